@@ -0,0 +1,35 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2022: true },
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true }
+  },
+  settings: {
+    react: { version: 'detect' },
+    'import/resolver': { node: { extensions: ['.js', '.jsx'] } }
+  },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+    'plugin:import/recommended'
+  ],
+  ignorePatterns: ['dist', 'node_modules'],
+  rules: {
+    'react/prop-types': 'off',
+    // Rest siblings drop fields from a copy; documented stubs keep their parameters
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }]
+  },
+  overrides: [
+    {
+      files: ['src/workers/**/*.js'],
+      env: { worker: true }
+    },
+    {
+      files: ['*.config.js', '.eslintrc.cjs'],
+      env: { node: true }
+    }
+  ]
+};
@@ -0,0 +1,52 @@
+import React from 'react';
+import { UserPlus, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { CONFLICT_STRATEGIES } from '../utils/contactUtils';
+
+function AppendModeBanner({ contactCount, strategy, onStrategyChange, onCancel }) {
+  return (
+    <div className="mb-6 p-4 bg-blue-50 border border-blue-100 rounded-lg">
+      <div className="flex items-start gap-3">
+        <UserPlus className="w-5 h-5 text-blue-600 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-medium text-blue-900">
+            Adding to {contactCount.toLocaleString()} loaded contacts
+          </p>
+          <p className="text-sm text-blue-700">
+            New numbers are appended. When a number is already loaded:
+          </p>
+        </div>
+        <Button onClick={onCancel} size="sm" variant="outline">
+          <X className="w-4 h-4 mr-1" />
+          Cancel
+        </Button>
+      </div>
+
+      <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2">
+        {CONFLICT_STRATEGIES.map(option => (
+          <label
+            key={option.value}
+            className={`p-3 rounded-lg border cursor-pointer text-sm transition-all ${
+              strategy === option.value
+                ? 'border-blue-500 bg-white shadow-sm'
+                : 'border-blue-100 bg-blue-50 hover:border-blue-300'
+            }`}
+          >
+            <input
+              type="radio"
+              name="conflict-strategy"
+              value={option.value}
+              checked={strategy === option.value}
+              onChange={() => onStrategyChange(option.value)}
+              className="sr-only"
+            />
+            <span className="font-medium text-gray-900">{option.label}</span>
+            <span className="block text-xs text-gray-600 mt-0.5">{option.description}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AppendModeBanner;
@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { Play, Pause, StopCircle, Download, AlertTriangle, CheckCircle2, XCircle, Clock, Users } from 'lucide-react';
+import { Play, Pause, StopCircle, Download, AlertTriangle, CheckCircle2, XCircle, Clock, Users, ShieldOff } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { useToast } from '../components/ui/use-toast';
 import {
@@ -9,13 +9,24 @@ import {
   estimateSendingTime,
   delay
 } from '../utils/whatsappUtils';
-
-function BulkSender({ contacts, messages }) {
+import { recordMessageSent } from '../utils/contactBook';
+import { filterSuppressed, addToSuppressionList } from '../utils/suppressionUtils';
+import { getConsentState } from '../utils/consentUtils';
+
+function BulkSender({
+  contacts,
+  messages,
+  overriddenPhones = new Set(),
+  consentSettings = {},
+  blankFieldExclusions = new Map(),
+  overCap = new Map()
+}) {
   const [sending, setSending] = useState(false);
   const [paused, setPaused] = useState(false);
   const [progress, setProgress] = useState({
     sent: 0,
     failed: 0,
+    skipped: 0,
     pending: contacts.length,
     total: contacts.length
   });
@@ -24,6 +35,8 @@ function BulkSender({ contacts, messages }) {
 
   const sendingRef = useRef(false);
   const pausedRef = useRef(false);
+  // Ties each contact's history entries to this campaign
+  const campaignIdRef = useRef(`campaign-${Date.now()}`);
   const { toast } = useToast();
 
   useEffect(() => {
@@ -58,9 +71,10 @@ function BulkSender({ contacts, messages }) {
 
     let sent = progress.sent;
     let failed = progress.failed;
+    let skipped = progress.skipped;
 
-    // Start from where we left off if resuming (index based on sent+failed)
-    const startIndex = sent + failed;
+    // Start from where we left off if resuming (index based on sent+failed+skipped)
+    const startIndex = sent + failed + skipped;
 
     for (let i = startIndex; i < contacts.length; i++) {
       // Check if stopped
@@ -79,6 +93,29 @@ function BulkSender({ contacts, messages }) {
       const contact = contacts[i];
       const message = messages[i];
 
+      // Numbers can be suppressed while a campaign runs (e.g. an opt-out from this log)
+      const [suppressed] = filterSuppressed([contact], overriddenPhones).excluded;
+      const consent = consentSettings.requireConsent ? getConsentState(contact, consentSettings) : null;
+      const blankFields = blankFieldExclusions.get(contact.phone);
+      const recentMessages = overCap.get(contact.phone);
+      if (suppressed || (consent && !consent.valid) || blankFields || recentMessages !== undefined) {
+        skipped++;
+        let reason;
+        if (suppressed) reason = `Skipped: on do-not-contact list (${suppressed.entry.reason || 'no reason given'})`;
+        else if (consent && !consent.valid) reason = `Skipped: no valid consent (${consent.reason})`;
+        else if (blankFields) reason = `Skipped: blank ${blankFields.map(key => `{${key}}`).join(', ')}`;
+        else reason = `Skipped: over frequency cap (${recentMessages} recent messages)`;
+        addLog(contact.phone, 'skipped', reason);
+        setProgress({
+          sent,
+          failed,
+          skipped,
+          pending: contacts.length - sent - failed - skipped,
+          total: contacts.length
+        });
+        continue;
+      }
+
       try {
         addLog(contact.phone, 'sending', 'Preparing message...');
 
@@ -88,6 +125,7 @@ function BulkSender({ contacts, messages }) {
         if (opened) {
           sent++;
           addLog(contact.phone, 'sent', 'Opened in WhatsApp Web');
+          recordMessageSent(contact.phone, { message: message.message, campaignId: campaignIdRef.current }).catch(error => console.error('Failed to record sent message:', error));
         } else {
           failed++;
           addLog(contact.phone, 'failed', 'Popup blocked or failed to open');
@@ -102,7 +140,8 @@ function BulkSender({ contacts, messages }) {
         setProgress({
           sent,
           failed,
-          pending: contacts.length - sent - failed,
+          skipped,
+          pending: contacts.length - sent - failed - skipped,
           total: contacts.length
         });
 
@@ -135,23 +174,26 @@ function BulkSender({ contacts, messages }) {
         setProgress({
           sent,
           failed,
-          pending: contacts.length - sent - failed,
+          skipped,
+          pending: contacts.length - sent - failed - skipped,
           total: contacts.length
         });
       }
     }
 
-    finishSending(sent, failed);
+    finishSending(sent, failed, skipped);
   };
 
-  const finishSending = (sent, failed) => {
+  const finishSending = (sent, failed, skipped) => {
     // Save report to localStorage
     try {
       const report = {
+        campaignId: campaignIdRef.current,
         timestamp: new Date().toISOString(),
         totalContacts: contacts.length,
         sent,
         failed,
+        skipped,
         log: log.slice(0, 50)
       };
 
@@ -165,12 +207,12 @@ function BulkSender({ contacts, messages }) {
     setSending(false);
     sendingRef.current = false;
     
-    if (sent + failed === contacts.length) {
+    if (sent + failed + skipped === contacts.length) {
       toast({
         title: 'Batch Complete',
         description: `Processed ${contacts.length} contacts.`,
       });
-      addLog('SYSTEM', 'info', `Batch complete: ${sent} sent, ${failed} failed`);
+      addLog('SYSTEM', 'info', `Batch complete: ${sent} sent, ${failed} failed, ${skipped} skipped`);
     }
   };
 
@@ -208,8 +250,21 @@ function BulkSender({ contacts, messages }) {
     URL.revokeObjectURL(url);
   };
 
+  const handleOptOut = (phone) => {
+    const result = addToSuppressionList([phone], 'Recipient asked to opt out', 'send_log');
+    if (!result) {
+      toast({
+        title: 'Opt-out Not Saved',
+        description: 'Could not save the do-not-contact list to browser storage',
+        variant: 'destructive',
+      });
+      return;
+    }
+    addLog(phone, 'info', 'Added to the do-not-contact list');
+  };
+
   const progressPercent = progress.total > 0
-    ? Math.round(((progress.sent + progress.failed) / progress.total) * 100)
+    ? Math.round(((progress.sent + progress.failed + progress.skipped) / progress.total) * 100)
     : 0;
 
   return (
@@ -259,7 +314,7 @@ function BulkSender({ contacts, messages }) {
         </div>
 
         {/* Stats Grid */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
           <div className="p-4 bg-blue-50 rounded-lg border border-blue-100">
             <div className="flex items-center gap-2 mb-1">
               <CheckCircle2 className="w-4 h-4 text-blue-600" />
@@ -274,6 +329,13 @@ function BulkSender({ contacts, messages }) {
             </div>
             <p className="text-2xl font-bold text-red-700">{progress.failed}</p>
           </div>
+          <div className="p-4 bg-amber-50 rounded-lg border border-amber-100">
+            <div className="flex items-center gap-2 mb-1">
+              <ShieldOff className="w-4 h-4 text-amber-600" />
+              <span className="text-sm font-medium text-amber-900">Skipped</span>
+            </div>
+            <p className="text-2xl font-bold text-amber-700">{progress.skipped}</p>
+          </div>
           <div className="p-4 bg-gray-50 rounded-lg border border-gray-100">
             <div className="flex items-center gap-2 mb-1">
               <Clock className="w-4 h-4 text-gray-600" />
@@ -349,7 +411,16 @@ function BulkSender({ contacts, messages }) {
                 }`}>
                   {entry.phone}
                 </span>
-                <span className="text-gray-300 truncate">{entry.message}</span>
+                <span className="text-gray-300 truncate flex-1">{entry.message}</span>
+                {entry.status === 'sent' && (
+                  <button
+                    onClick={() => handleOptOut(entry.phone)}
+                    className="flex-shrink-0 text-xs text-gray-500 hover:text-red-400"
+                    title="Add this number to the do-not-contact list"
+                  >
+                    Opted out
+                  </button>
+                )}
               </div>
             ))
           )}
@@ -0,0 +1,164 @@
+import React from 'react';
+import { Plus, X, ArrowUp } from 'lucide-react';
+
+// Standard field types for mapping
+export const FIELD_TYPES = [
+  { value: 'phone', label: 'Phone Number (Required)' },
+  { value: 'name', label: 'Full Name' },
+  { value: 'first_name', label: 'First Name' },
+  { value: 'last_name', label: 'Last Name' },
+  { value: 'email', label: 'Email Address' },
+  { value: 'location', label: 'Location' },
+  { value: 'country', label: 'Country (Overrides Default)' },
+  { value: 'consent_status', label: 'Consent Status' },
+  { value: 'consent_date', label: 'Consent Date' },
+  { value: 'consent_source', label: 'Consent Source' },
+  { value: 'consent_proof', label: 'Consent Proof Note' }
+];
+
+// Extra phone columns tried in order when the main phone column is blank or invalid
+function FallbackPhoneColumns({ headers, headerMapping, onMappingChange, onePerNumber, onOnePerNumberChange }) {
+  const fallbacks = headerMapping.fallback_phones || [];
+  const unused = headers.filter(header => header !== headerMapping.phone && !fallbacks.includes(header));
+
+  const update = (next) => onMappingChange(next, 'fallback_phones');
+
+  const handleChange = (index, header) => {
+    update(fallbacks.map((column, i) => (i === index ? header : column)));
+  };
+
+  const handleMoveUp = (index) => {
+    // Moving the first fallback up swaps it with the main phone column
+    if (index === 0) {
+      onMappingChange(fallbacks[0], 'phone');
+      update([headerMapping.phone, ...fallbacks.slice(1)]);
+      return;
+    }
+    const next = [...fallbacks];
+    [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    update(next);
+  };
+
+  return (
+    <div className="mt-2 space-y-2">
+      {fallbacks.map((column, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <span className="text-xs text-gray-500 w-16">Then try</span>
+          <select
+            value={column}
+            onChange={(e) => handleChange(index, e.target.value)}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900"
+          >
+            <option value={column}>{column}</option>
+            {unused.map(header => (
+              <option key={header} value={header}>{header}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => handleMoveUp(index)}
+            className="text-gray-400 hover:text-blue-600"
+            title="Try this column earlier"
+          >
+            <ArrowUp className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => update(fallbacks.filter((c, i) => i !== index))}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      {unused.length > 0 && (
+        <button
+          onClick={() => update([...fallbacks, unused[0]])}
+          className="text-xs text-blue-600 hover:text-blue-800 flex items-center gap-1"
+        >
+          <Plus className="w-3 h-3" />
+          Add fallback phone column
+        </button>
+      )}
+
+      {fallbacks.length > 0 && onOnePerNumberChange && (
+        <label className="flex items-center gap-2 text-xs text-gray-700">
+          <input
+            type="checkbox"
+            checked={!!onePerNumber}
+            onChange={(e) => onOnePerNumberChange(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          Create one contact per valid number instead of using the first
+        </label>
+      )}
+    </div>
+  );
+}
+
+function ColumnMapper({
+  headers,
+  headerMapping,
+  onMappingChange,
+  description = 'Match your file columns to the correct fields',
+  toolbar = null,
+  onePerNumber = false,
+  onOnePerNumberChange = null
+}) {
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
+        <h3 className="font-medium text-gray-900">Map Columns</h3>
+        <p className="text-sm text-gray-600">
+          {description}
+        </p>
+      </div>
+
+      {toolbar}
+
+      <div className="p-4 space-y-4">
+        {FIELD_TYPES.map(field => (
+          <div key={field.value} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+            <label className="text-sm font-medium text-gray-700">
+              {field.label}
+            </label>
+            <div className="md:col-span-2">
+              <select
+                value={headerMapping[field.value] || ''}
+                onChange={(e) => onMappingChange(e.target.value, field.value)}
+                className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 ${
+                  field.value === 'phone' && !headerMapping.phone
+                    ? 'border-red-300 bg-red-50'
+                    : 'border-gray-300'
+                }`}
+              >
+                <option value="">-- Select Column --</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>
+                    {header}
+                  </option>
+                ))}
+              </select>
+              {field.value === 'phone' && !headerMapping.phone && (
+                <p className="text-xs text-red-600 mt-1">
+                  Required: Select the column containing phone numbers
+                </p>
+              )}
+              {field.value === 'phone' && headerMapping.phone && (
+                <FallbackPhoneColumns
+                  headers={headers}
+                  headerMapping={headerMapping}
+                  onMappingChange={onMappingChange}
+                  onePerNumber={onePerNumber}
+                  onOnePerNumberChange={onOnePerNumberChange}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ColumnMapper;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { ShieldCheck, Download } from 'lucide-react';
+import { Button } from './ui/button';
+import { buildConsentReport } from '../utils/consentUtils';
+import { exportRowsToCSV } from '../utils/exportUtils';
+
+const MAX_AGE_OPTIONS = [
+  { value: 0, label: 'Any age' },
+  { value: 6, label: 'Last 6 months' },
+  { value: 12, label: 'Last 12 months' },
+  { value: 24, label: 'Last 24 months' }
+];
+
+function ConsentSettingsCard({ contacts, settings, onSettingsChange, validCount }) {
+  const excludedCount = settings.requireConsent ? contacts.length - validCount : 0;
+
+  const handleExport = () => {
+    exportRowsToCSV(
+      buildConsentReport(contacts, settings),
+      `consent-report-${new Date().toISOString().slice(0, 10)}.csv`
+    );
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <ShieldCheck className="w-5 h-5 text-green-600" />
+        <div className="flex-1">
+          <p className="font-medium text-gray-900">Consent</p>
+          <p className="text-sm text-gray-600">
+            {validCount} of {contacts.length} recipients have valid opt-in consent
+            {excludedCount > 0 && <span className="text-red-600"> • {excludedCount} will be skipped</span>}
+          </p>
+        </div>
+        <Button onClick={handleExport} size="sm" variant="outline">
+          <Download className="w-4 h-4 mr-1" />
+          Consent Report
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.requireConsent}
+            onChange={(e) => onSettingsChange({ ...settings, requireConsent: e.target.checked })}
+            className="rounded border-gray-300"
+          />
+          Only send to contacts with valid consent
+        </label>
+        <label className="flex items-center gap-2">
+          Opt-in given
+          <select
+            value={settings.maxAgeMonths}
+            onChange={(e) => onSettingsChange({ ...settings, maxAgeMonths: Number(e.target.value) })}
+            className="px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900"
+          >
+            {MAX_AGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default ConsentSettingsCard;
@@ -0,0 +1,538 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ArrowLeft, Search, Plus, X, Save, Trash2, ArrowUpDown, FolderInput } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import { analyzePhone, resolveDialCode, formatPhoneForDisplay, REJECTION_REASONS } from '../utils/phoneUtils';
+import { parseTags } from '../utils/segmentUtils';
+import { CONSENT_FIELDS, CONSENT_STATUSES, normalizeConsent, normalizeConsentStatus } from '../utils/consentUtils';
+import {
+  loadListContacts,
+  renameList,
+  addContactsToList,
+  removeFromList,
+  moveContactsBetweenLists,
+  saveContact,
+  hasContact,
+  loadContactHistory,
+  searchContacts,
+  getStorageErrorMessage
+} from '../utils/contactBook';
+
+const ROWS_PER_PAGE = 200;
+
+const STANDARD_FIELDS = ['name', 'first_name', 'last_name', 'email', 'location', 'country'];
+
+// Edited through their own inputs, or not editable at all
+const SPECIAL_FIELDS = ['phone', 'tags', 'notes', 'last_messaged', ...CONSENT_FIELDS];
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+const cellText = (value) => (Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+
+function MessageHistory({ phone }) {
+  const [history, setHistory] = useState(null);
+
+  useEffect(() => {
+    loadContactHistory(phone)
+      .then(setHistory)
+      .catch(error => {
+        console.error('Failed to load message history:', error);
+        setHistory([]);
+      });
+  }, [phone]);
+
+  if (!history) return null;
+
+  return (
+    <div className="text-sm">
+      <span className="block text-xs font-medium text-gray-500 mb-1">message history</span>
+      {history.length === 0 ? (
+        <p className="text-gray-500">No campaigns have messaged this number yet</p>
+      ) : (
+        <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-48 overflow-y-auto">
+          {history.map(entry => (
+            <div key={entry.id} className="px-3 py-2">
+              <p className="text-xs text-gray-500">{new Date(entry.timestamp).toLocaleString()}</p>
+              <p className="text-gray-800 whitespace-pre-wrap line-clamp-3">{entry.message}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ContactEditor({ contact, defaultCountryCode, onSave, onCancel }) {
+  const [phone, setPhone] = useState(contact?.phone || '');
+  const [fields, setFields] = useState(() => {
+    const custom = Object.keys(contact || {}).filter(key => !STANDARD_FIELDS.includes(key) && !SPECIAL_FIELDS.includes(key));
+    return [...STANDARD_FIELDS, ...custom].map(key => ({ key, value: cellText(contact?.[key]) }));
+  });
+  const [tags, setTags] = useState(cellText(contact?.tags));
+  const [notes, setNotes] = useState(contact?.notes || '');
+  const [consent, setConsent] = useState(() => normalizeConsent({
+    consent_status: contact?.consent_status,
+    consent_date: contact?.consent_date,
+    consent_source: contact?.consent_source || '',
+    consent_proof: contact?.consent_proof || ''
+  }));
+  const [newField, setNewField] = useState('');
+  const { toast } = useToast();
+
+  const setField = (index, value) => {
+    setFields(prev => prev.map((field, i) => (i === index ? { ...field, value } : field)));
+  };
+
+  const handleAddField = () => {
+    const key = newField.trim().replace(/\s+/g, '_').toLowerCase();
+    if (!key || SPECIAL_FIELDS.includes(key) || fields.some(field => field.key === key)) return;
+    setFields(prev => [...prev, { key, value: '' }]);
+    setNewField('');
+  };
+
+  const handleSave = () => {
+    const country = fields.find(field => field.key === 'country')?.value;
+    const result = analyzePhone(phone, resolveDialCode(country) || defaultCountryCode);
+    if (!result.phone) {
+      toast({
+        title: 'Invalid Phone Number',
+        description: `${phone || 'Empty value'}: ${REJECTION_REASONS[result.reason]}`,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const edited = { phone: result.phone };
+    fields.forEach(field => {
+      edited[field.key] = field.value.trim();
+    });
+    edited.tags = parseTags(tags);
+    if (notes.trim()) edited.notes = notes.trim();
+    if (consent.consent_status !== 'unknown' || CONSENT_FIELDS.some(field => contact?.[field])) {
+      Object.assign(edited, normalizeConsent(consent));
+    }
+    if (contact?.last_messaged) edited.last_messaged = contact.last_messaged;
+
+    onSave(edited);
+  };
+
+  return (
+    <div className="p-4 border border-blue-200 bg-blue-50/40 rounded-lg space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">phone</span>
+          <input value={phone} onChange={(e) => setPhone(e.target.value)} className={`${inputClass} w-full font-mono`} />
+        </label>
+        {fields.map((field, index) => (
+          <label key={field.key} className="text-sm text-gray-700">
+            <span className="flex items-center justify-between text-xs font-medium text-gray-500 mb-1">
+              {field.key}
+              {!STANDARD_FIELDS.includes(field.key) && (
+                <button
+                  onClick={() => setFields(prev => prev.filter((f, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                  title="Remove field"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </span>
+            <input value={field.value} onChange={(e) => setField(index, e.target.value)} className={`${inputClass} w-full`} />
+          </label>
+        ))}
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">tags</span>
+          <input
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="Comma-separated"
+            className={`${inputClass} w-full`}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">consent status</span>
+          <select
+            value={normalizeConsentStatus(consent.consent_status)}
+            onChange={(e) => setConsent(prev => ({ ...prev, consent_status: e.target.value }))}
+            className={`${inputClass} w-full`}
+          >
+            {CONSENT_STATUSES.map(status => (
+              <option key={status.value} value={status.value}>{status.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">consent date</span>
+          <input
+            type="date"
+            value={consent.consent_date}
+            onChange={(e) => setConsent(prev => ({ ...prev, consent_date: e.target.value }))}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">consent source</span>
+          <input
+            value={consent.consent_source}
+            onChange={(e) => setConsent(prev => ({ ...prev, consent_source: e.target.value }))}
+            placeholder="e.g. Website form"
+            className={`${inputClass} w-full`}
+          />
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block text-xs font-medium text-gray-500 mb-1">consent proof</span>
+          <input
+            value={consent.consent_proof}
+            onChange={(e) => setConsent(prev => ({ ...prev, consent_proof: e.target.value }))}
+            placeholder="e.g. Signed form #1042"
+            className={`${inputClass} w-full`}
+          />
+        </label>
+      </div>
+
+      <label className="block text-sm text-gray-700">
+        <span className="block text-xs font-medium text-gray-500 mb-1">notes</span>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={3}
+          className={`${inputClass} w-full resize-y`}
+        />
+      </label>
+
+      {contact && <MessageHistory phone={contact.phone} />}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          value={newField}
+          onChange={(e) => setNewField(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleAddField()}
+          placeholder="New field name"
+          className={`${inputClass} w-40`}
+        />
+        <Button onClick={handleAddField} size="sm" variant="outline" disabled={!newField.trim()}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add Field
+        </Button>
+        <Button onClick={onCancel} size="sm" variant="ghost" className="ml-auto">
+          Cancel
+        </Button>
+        <Button onClick={handleSave} size="sm">
+          <Save className="w-4 h-4 mr-1" />
+          Save Contact
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+function ContactListManager({ list, lists, defaultCountryCode, onClose, onListsChanged }) {
+  const [contacts, setContacts] = useState(null);
+  const [name, setName] = useState(list.name);
+  const [search, setSearch] = useState('');
+  const [matchingPhones, setMatchingPhones] = useState(null); // Set from the contact book search, null when not searching
+  const [sort, setSort] = useState({ field: '', direction: 'asc' });
+  const [selected, setSelected] = useState(new Set());
+  const [editing, setEditing] = useState(null); // Phone of the contact being edited, or 'new'
+  const [moveTarget, setMoveTarget] = useState('');
+  const [visibleCount, setVisibleCount] = useState(ROWS_PER_PAGE);
+  const { toast } = useToast();
+
+  // Run a contact book call, showing storage errors as a toast
+  const run = async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      console.error('Contact book error:', error);
+      toast({
+        title: 'Contact Book Error',
+        description: getStorageErrorMessage(error),
+        variant: 'destructive',
+      });
+      return null;
+    }
+  };
+
+  const reload = async () => {
+    const loaded = await run(() => loadListContacts(list.id));
+    setContacts(loaded || []);
+    setSelected(new Set());
+  };
+
+  useEffect(() => {
+    reload();
+  }, [list.id]);
+
+  // Search runs against the contact book's keyword index; the list shows its members among the results
+  useEffect(() => {
+    const query = search.trim();
+    if (!query) {
+      setMatchingPhones(null);
+      return;
+    }
+
+    let cancelled = false;
+    searchContacts(query, 0, defaultCountryCode)
+      .then(results => {
+        if (!cancelled) setMatchingPhones(new Set(results.map(contact => contact.phone)));
+      })
+      .catch(error => {
+        console.error('Contact search failed:', error);
+        if (!cancelled) setMatchingPhones(new Set());
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [search, contacts, defaultCountryCode]);
+
+  const columns = useMemo(() => {
+    const keys = new Set(['name', 'location', 'email']);
+    (contacts || []).forEach(contact => {
+      Object.keys(contact).forEach(key => {
+        if (!SPECIAL_FIELDS.includes(key) && !['first_name', 'last_name', 'country'].includes(key)) keys.add(key);
+      });
+    });
+    return [...keys];
+  }, [contacts]);
+
+  const visibleContacts = useMemo(() => {
+    const filtered = (contacts || []).filter(contact => !matchingPhones || matchingPhones.has(contact.phone));
+
+    if (!sort.field) return filtered;
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => (
+      factor * cellText(a[sort.field]).localeCompare(cellText(b[sort.field]), undefined, { numeric: true, sensitivity: 'base' })
+    ));
+  }, [contacts, matchingPhones, sort]);
+
+  const handleSort = (field) => {
+    setSort(prev => ({
+      field,
+      direction: prev.field === field && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleRename = async () => {
+    if (await run(() => renameList(list.id, name.trim())) === null) return;
+    onListsChanged();
+    toast({
+      title: 'List Renamed',
+      description: `Saved as "${name.trim()}"`,
+    });
+  };
+
+  const handleSaveContact = async (contact) => {
+    const originalPhone = editing === 'new' ? null : editing;
+
+    // A new contact with a stored number is added to this list and merged with the stored one
+    if (originalPhone && contact.phone !== originalPhone && await run(() => hasContact(contact.phone))) {
+      toast({
+        title: 'Duplicate Phone Number',
+        description: `${formatPhoneForDisplay(contact.phone)} is already in the contact book`,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const saved = await run(() => (
+      originalPhone ? saveContact(originalPhone, contact) : addContactsToList(list.id, [contact])
+    ));
+    if (saved === null) return;
+
+    setEditing(null);
+    await reload();
+    onListsChanged();
+    toast({
+      title: 'Contact Saved',
+      description: `${formatPhoneForDisplay(contact.phone)} was updated in every list that contains it`,
+    });
+  };
+
+  const handleRemoveSelected = async () => {
+    const count = selected.size;
+    if (await run(() => removeFromList(list.id, [...selected])) === null) return;
+    await reload();
+    onListsChanged();
+    toast({
+      title: 'Contacts Removed',
+      description: `${count} contacts removed from "${list.name}"`,
+    });
+  };
+
+  const handleMoveSelected = async () => {
+    const target = lists.find(l => l.id === moveTarget);
+    if (!target) return;
+
+    const count = selected.size;
+    if (await run(() => moveContactsBetweenLists(list.id, target.id, [...selected])) === null) return;
+    await reload();
+    onListsChanged();
+    setMoveTarget('');
+    toast({
+      title: 'Contacts Moved',
+      description: `${count} contacts moved to "${target.name}"`,
+    });
+  };
+
+  const handleToggle = (phone) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(phone)) next.delete(phone);
+      else next.add(phone);
+      return next;
+    });
+  };
+
+  const allSelected = visibleContacts.length > 0 && visibleContacts.every(contact => selected.has(contact.phone));
+
+  const handleToggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(visibleContacts.map(contact => contact.phone)));
+  };
+
+  const otherLists = lists.filter(l => l.id !== list.id);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button onClick={onClose} size="sm" variant="outline">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          All Lists
+        </Button>
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={`${inputClass} flex-1 min-w-[12rem] font-medium`}
+        />
+        <Button onClick={handleRename} size="sm" variant="outline" disabled={!name.trim() || name.trim() === list.name}>
+          <Save className="w-4 h-4 mr-1" />
+          Rename
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1 min-w-[12rem]">
+          <Search className="w-4 h-4 text-gray-400 absolute left-2 top-1/2 -translate-y-1/2" />
+          <input
+            value={search}
+            onChange={(e) => { setSearch(e.target.value); setVisibleCount(ROWS_PER_PAGE); }}
+            placeholder="Search name, email, location or number"
+            className={`${inputClass} w-full pl-8`}
+          />
+        </div>
+        <Button onClick={() => setEditing('new')} size="sm" variant="outline" disabled={editing !== null}>
+          <Plus className="w-4 h-4 mr-1" />
+          Add Contact
+        </Button>
+      </div>
+
+      {editing === 'new' && (
+        <ContactEditor
+          contact={null}
+          defaultCountryCode={defaultCountryCode}
+          onSave={handleSaveContact}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {selected.size > 0 && (
+        <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-700 flex-1">{selected.size.toLocaleString()} selected</span>
+          {otherLists.length > 0 && (
+            <>
+              <select value={moveTarget} onChange={(e) => setMoveTarget(e.target.value)} className={inputClass}>
+                <option value="">Move to list...</option>
+                {otherLists.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+              <Button onClick={handleMoveSelected} size="sm" variant="outline" disabled={!moveTarget}>
+                <FolderInput className="w-4 h-4 mr-1" />
+                Move
+              </Button>
+            </>
+          )}
+          <Button
+            onClick={handleRemoveSelected}
+            size="sm"
+            variant="outline"
+            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Remove from List
+          </Button>
+        </div>
+      )}
+
+      {contacts === null ? (
+        <p className="text-center text-sm text-gray-500 py-8">Loading contacts...</p>
+      ) : (
+        <div className="border border-gray-200 rounded-lg overflow-auto max-h-[32rem]">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+              <tr>
+                <th className="w-10 px-3 py-2">
+                  <input type="checkbox" checked={allSelected} onChange={handleToggleAll} />
+                </th>
+                {['phone', ...columns, 'tags'].map(column => (
+                  <th key={column} className="text-left font-medium px-3 py-2 whitespace-nowrap">
+                    <button onClick={() => handleSort(column)} className="flex items-center gap-1 hover:text-gray-900">
+                      {column}
+                      <ArrowUpDown className={`w-3 h-3 ${sort.field === column ? 'text-blue-600' : 'text-gray-300'}`} />
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visibleContacts.slice(0, visibleCount).map(contact => (
+                editing === contact.phone ? (
+                  <tr key={contact.phone}>
+                    <td colSpan={columns.length + 3} className="p-2">
+                      <ContactEditor
+                        contact={contact}
+                        defaultCountryCode={defaultCountryCode}
+                        onSave={handleSaveContact}
+                        onCancel={() => setEditing(null)}
+                      />
+                    </td>
+                  </tr>
+                ) : (
+                  <tr
+                    key={contact.phone}
+                    onClick={() => editing === null && setEditing(contact.phone)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-3 py-2 text-center" onClick={(e) => e.stopPropagation()}>
+                      <input type="checkbox" checked={selected.has(contact.phone)} onChange={() => handleToggle(contact.phone)} />
+                    </td>
+                    <td className="px-3 py-2 font-mono text-gray-900 whitespace-nowrap">{formatPhoneForDisplay(contact.phone)}</td>
+                    {columns.map(column => (
+                      <td key={column} className="px-3 py-2 text-gray-700 max-w-[14rem] truncate">{cellText(contact[column])}</td>
+                    ))}
+                    <td className="px-3 py-2 text-gray-700">{cellText(contact.tags)}</td>
+                  </tr>
+                )
+              ))}
+            </tbody>
+          </table>
+
+          {visibleContacts.length === 0 && (
+            <p className="text-center text-sm text-gray-500 py-8">
+              {contacts.length === 0 ? 'This list is empty' : 'No contacts match the search'}
+            </p>
+          )}
+          {visibleContacts.length > visibleCount && (
+            <div className="p-2 text-center">
+              <Button onClick={() => setVisibleCount(visibleCount + ROWS_PER_PAGE)} size="sm" variant="ghost">
+                Show more ({(visibleContacts.length - visibleCount).toLocaleString()} remaining)
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContactListManager;
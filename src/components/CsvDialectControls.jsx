@@ -0,0 +1,57 @@
+import React from 'react';
+import { Settings2 } from 'lucide-react';
+import { CSV_DELIMITERS, CSV_ENCODINGS } from '../utils/fileParser';
+
+const labelFor = (options, value) => options.find(option => option.value === value)?.label || value;
+
+function CsvDialectControls({ dialect, detected, onDialectChange }) {
+  const handleChange = (key, value) => {
+    onDialectChange({ ...dialect, [key]: value });
+  };
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+      <div className="flex items-center gap-2 mb-3">
+        <Settings2 className="w-4 h-4 text-gray-600" />
+        <h4 className="text-sm font-medium text-gray-900">File Format</h4>
+        {detected && (
+          <span className="text-xs text-gray-500 ml-auto">
+            Reading as {labelFor(CSV_DELIMITERS, detected.delimiter)} • {labelFor(CSV_ENCODINGS, detected.encoding)}
+          </span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <label className="text-sm text-gray-700">
+          Delimiter
+          <select
+            value={dialect.delimiter}
+            onChange={(e) => handleChange('delimiter', e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900"
+          >
+            <option value="auto">Auto-detect</option>
+            {CSV_DELIMITERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="text-sm text-gray-700">
+          Encoding
+          <select
+            value={dialect.encoding}
+            onChange={(e) => handleChange('encoding', e.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900"
+          >
+            <option value="auto">Auto-detect</option>
+            {CSV_ENCODINGS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default CsvDialectControls;
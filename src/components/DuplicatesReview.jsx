@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { Copy, ChevronDown, ChevronRight } from 'lucide-react';
+import { Button } from './ui/button';
+import { DEDUPE_RULES } from '../utils/contactUtils';
+import { formatPhoneForDisplay } from '../utils/phoneUtils';
+
+const GROUPS_PER_PAGE = 20;
+
+const MATCH_LABELS = {
+  phone: 'Phone',
+  email: 'Email',
+  name_location: 'Name + location'
+};
+
+const SUMMARY_FIELDS = ['name', 'first_name', 'last_name', 'email', 'location'];
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+function ContactSummary({ contact }) {
+  const values = SUMMARY_FIELDS
+    .filter(field => contact[field] !== undefined && String(contact[field]).trim() !== '')
+    .map(field => String(contact[field]));
+
+  return (
+    <span className="text-gray-700 truncate">
+      {values.length > 0 ? values.join(' • ') : <span className="text-gray-300">No details</span>}
+    </span>
+  );
+}
+
+function DuplicateGroup({ group, onOverride }) {
+  const hasSeveralPhones = new Set(group.members.map(member => member.phone)).size > 1;
+  const update = (changes) => onOverride(group.id, { primary: group.primary, separate: group.separate, ...changes });
+
+  return (
+    <div className="p-3 rounded-lg bg-gray-50 space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        <span className="font-medium text-gray-900">{group.members.length} rows</span>
+        matched on {group.matchedBy.map(type => MATCH_LABELS[type]).join(', ')}
+        {hasSeveralPhones && (
+          <label className="ml-auto flex items-center gap-1 text-gray-700">
+            <input
+              type="checkbox"
+              checked={group.separate}
+              onChange={(e) => update({ separate: e.target.checked })}
+              className="rounded border-gray-300"
+            />
+            Keep different numbers as separate contacts
+          </label>
+        )}
+      </div>
+
+      <div className="space-y-1 text-sm">
+        {group.members.map((member, index) => (
+          <label key={index} className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name={`duplicate-primary-${group.id}`}
+              checked={group.primary === index}
+              onChange={() => update({ primary: index })}
+              title="Use this row first"
+            />
+            <span className="font-mono text-gray-900 w-40 shrink-0">{formatPhoneForDisplay(member.phone)}</span>
+            <ContactSummary contact={member} />
+          </label>
+        ))}
+      </div>
+
+      <div className="pt-2 border-t border-gray-200 space-y-1 text-sm">
+        {group.result.map((contact, index) => (
+          <div key={index} className="flex items-center gap-2 text-green-800">
+            <span className="text-xs font-medium w-[4.5rem] shrink-0">{index === 0 ? 'Result' : ''}</span>
+            <span className="font-mono w-40 shrink-0">{formatPhoneForDisplay(contact.phone)}</span>
+            <ContactSummary contact={contact} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function DuplicatesReview({ groups, settings, onSettingsChange, onOverride }) {
+  const [isOpen, setIsOpen] = useState(groups.length > 0);
+  const [visibleCount, setVisibleCount] = useState(GROUPS_PER_PAGE);
+
+  const mergedRows = groups.reduce((sum, group) => sum + group.members.length - group.result.length, 0);
+  const set = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full bg-gray-50 px-4 py-3 flex items-center gap-2 text-left"
+      >
+        {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Copy className="w-4 h-4 text-gray-600" />
+        <span className="font-medium text-gray-900 flex-1">Duplicates</span>
+        <span className="text-sm text-gray-600">
+          {groups.length === 0
+            ? 'None found'
+            : `${groups.length.toLocaleString()} contacts • ${mergedRows.toLocaleString()} rows merged`}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="p-4 space-y-3 border-t border-gray-200">
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <select
+              value={settings.rule}
+              onChange={(e) => set({ rule: e.target.value })}
+              className={inputClass}
+            >
+              {DEDUPE_RULES.map(rule => (
+                <option key={rule.value} value={rule.value}>{rule.label}</option>
+              ))}
+            </select>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={settings.matchEmail}
+                onChange={(e) => set({ matchEmail: e.target.checked })}
+                className="rounded border-gray-300"
+              />
+              Also match on email
+            </label>
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={settings.matchNameLocation}
+                onChange={(e) => set({ matchNameLocation: e.target.checked })}
+                className="rounded border-gray-300"
+              />
+              Also match on name + location
+            </label>
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Pick the row whose values come first in each group. Changing these options rebuilds the contact list below.
+          </p>
+
+          {groups.slice(0, visibleCount).map(group => (
+            <DuplicateGroup key={group.id} group={group} onOverride={onOverride} />
+          ))}
+
+          {groups.length > visibleCount && (
+            <Button onClick={() => setVisibleCount(visibleCount + GROUPS_PER_PAGE)} size="sm" variant="outline">
+              Show {Math.min(GROUPS_PER_PAGE, groups.length - visibleCount)} more
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicatesReview;
@@ -0,0 +1,121 @@
+import React from 'react';
+import { Layers, AlertTriangle } from 'lucide-react';
+
+function ExcelSheetPicker({ sheets, selection, previewRows, skippedSheets, onSelectionChange }) {
+  const handleToggleStack = (stack) => {
+    onSelectionChange({
+      ...selection,
+      stack,
+      sheets: stack ? selection.sheets : selection.sheets.slice(0, 1)
+    });
+  };
+
+  const handleSheetClick = (name) => {
+    if (!selection.stack) {
+      onSelectionChange({ ...selection, sheets: [name] });
+      return;
+    }
+
+    // The first selected sheet defines the columns and cannot be unticked while others depend on it
+    const isSelected = selection.sheets.includes(name);
+    if (isSelected && selection.sheets.length === 1) return;
+
+    onSelectionChange({
+      ...selection,
+      sheets: isSelected
+        ? selection.sheets.filter(sheet => sheet !== name)
+        : [...selection.sheets, name]
+    });
+  };
+
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex items-center justify-between gap-4">
+        <div>
+          <h3 className="font-medium text-gray-900">Choose Sheet</h3>
+          <p className="text-sm text-gray-600">
+            Pick the sheet holding your contacts, then click the row with the column names
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 whitespace-nowrap">
+          <input
+            type="checkbox"
+            checked={selection.stack}
+            onChange={(e) => handleToggleStack(e.target.checked)}
+            className="rounded border-gray-300"
+          />
+          <Layers className="w-4 h-4" />
+          Stack sheets with matching columns
+        </label>
+      </div>
+
+      <div className="p-4 flex flex-wrap gap-2 border-b border-gray-100">
+        {sheets.map(sheet => {
+          const index = selection.sheets.indexOf(sheet.name);
+          const isSelected = index !== -1;
+
+          return (
+            <button
+              key={sheet.name}
+              onClick={() => handleSheetClick(sheet.name)}
+              className={`px-3 py-2 rounded-lg border text-sm text-left transition-all ${
+                isSelected
+                  ? 'border-blue-500 bg-blue-50 text-blue-900'
+                  : 'border-gray-200 bg-white text-gray-700 hover:border-blue-300'
+              }`}
+            >
+              <span className="font-medium">{sheet.name}</span>
+              <span className="block text-xs text-gray-500">
+                {sheet.rowCount} rows{selection.stack && index === 0 ? ' • primary' : ''}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+
+      {skippedSheets.length > 0 && (
+        <div className="px-4 py-3 bg-amber-50 border-b border-amber-100 flex items-start gap-2 text-sm text-amber-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 text-amber-600" />
+          Not stacked because their columns don't match "{selection.sheets[0]}": {skippedSheets.join(', ')}
+        </div>
+      )}
+
+      <div className="max-h-72 overflow-auto">
+        <table className="w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            {previewRows.map((row, index) => {
+              const rowNumber = index + 1;
+              const isHeader = rowNumber === selection.headerRow;
+
+              return (
+                <tr
+                  key={rowNumber}
+                  onClick={() => onSelectionChange({ ...selection, headerRow: rowNumber })}
+                  className={`cursor-pointer ${
+                    isHeader
+                      ? 'bg-blue-50 font-medium text-blue-900'
+                      : rowNumber < selection.headerRow
+                        ? 'text-gray-400 hover:bg-gray-50'
+                        : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <td className="px-3 py-1.5 text-xs text-gray-400 w-12 text-right">{rowNumber}</td>
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} className="px-3 py-1.5 whitespace-nowrap max-w-[12rem] truncate">
+                      {String(cell)}
+                    </td>
+                  ))}
+                  {isHeader && (
+                    <td className="px-3 py-1.5 text-xs text-blue-600 whitespace-nowrap">Header row</td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default ExcelSheetPicker;
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Timer } from 'lucide-react';
+import { Button } from './ui/button';
+import { describeFrequencyCap } from '../utils/frequencyUtils';
+
+const inputClass = 'w-16 px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+function FrequencyCapCard({ cap, onCapChange, overCapCount, onSkipOverCap }) {
+  const handleNumberChange = (field, value) => {
+    const number = parseInt(value, 10);
+    if (number > 0) onCapChange({ ...cap, [field]: number });
+  };
+
+  return (
+    <div className="mb-6 p-4 border border-gray-200 rounded-lg space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <Timer className="w-5 h-5 text-blue-600" />
+        <div className="flex-1">
+          <p className="font-medium text-gray-900">Frequency Cap</p>
+          <p className="text-sm text-gray-600">
+            {cap.enabled
+              ? <>At most {describeFrequencyCap(cap)} per recipient
+                {overCapCount > 0 && (
+                  <span className="text-red-600">
+                    {' '}• {overCapCount} already at the cap {cap.skipOverCap ? 'will be skipped' : 'will still be messaged'}
+                  </span>
+                )}</>
+              : 'Recipients can be messaged any number of times'}
+          </p>
+        </div>
+        {cap.enabled && overCapCount > 0 && (
+          <>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={cap.skipOverCap}
+                onChange={(e) => onCapChange({ ...cap, skipOverCap: e.target.checked })}
+                className="rounded border-gray-300"
+              />
+              Skip them when sending
+            </label>
+            <Button onClick={onSkipOverCap} size="sm" variant="outline">
+              Remove {overCapCount} Over Cap
+            </Button>
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+        <label className="flex items-center gap-2 mr-2">
+          <input
+            type="checkbox"
+            checked={cap.enabled}
+            onChange={(e) => onCapChange({ ...cap, enabled: e.target.checked })}
+            className="rounded border-gray-300"
+          />
+          Limit messages to
+        </label>
+        <input
+          type="number"
+          min="1"
+          value={cap.maxMessages}
+          onChange={(e) => handleNumberChange('maxMessages', e.target.value)}
+          disabled={!cap.enabled}
+          className={inputClass}
+        />
+        per
+        <input
+          type="number"
+          min="1"
+          value={cap.periodDays}
+          onChange={(e) => handleNumberChange('periodDays', e.target.value)}
+          disabled={!cap.enabled}
+          className={inputClass}
+        />
+        days
+      </div>
+    </div>
+  );
+}
+
+export default FrequencyCapCard;
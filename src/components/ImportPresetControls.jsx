@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Bookmark, Save, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import {
+  BUILT_IN_PRESETS,
+  loadImportPresets,
+  saveImportPreset,
+  deleteImportPreset
+} from '../utils/importPresets';
+
+function ImportPresetControls({ headers, headerMapping, activePreset, onApplyPreset }) {
+  const [savedPresets, setSavedPresets] = useState(loadImportPresets);
+  const [presetName, setPresetName] = useState(null); // null while the name field is hidden
+  const { toast } = useToast();
+
+  const allPresets = [...savedPresets, ...BUILT_IN_PRESETS];
+  const isSavedPreset = activePreset && savedPresets.some(p => p.id === activePreset.id);
+
+  const handleSelect = (e) => {
+    const preset = allPresets.find(p => p.id === e.target.value);
+    if (preset) onApplyPreset(preset);
+  };
+
+  const handleSave = () => {
+    if (!presetName.trim()) return;
+
+    const preset = saveImportPreset(presetName.trim(), headers, headerMapping);
+    if (!preset) {
+      toast({
+        title: 'Preset Not Saved',
+        description: 'Could not save the preset to browser storage',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSavedPresets(loadImportPresets());
+    setPresetName(null);
+    onApplyPreset(preset);
+    toast({
+      title: 'Preset Saved',
+      description: `Files with these columns will be mapped with "${preset.name}" automatically`,
+    });
+  };
+
+  const handleDelete = () => {
+    deleteImportPreset(activePreset.id);
+    setSavedPresets(loadImportPresets());
+    onApplyPreset(null);
+    toast({
+      title: 'Preset Deleted',
+      description: `"${activePreset.name}" will no longer be applied`,
+    });
+  };
+
+  return (
+    <div className="px-4 py-3 border-b border-gray-200 bg-white flex flex-wrap items-center gap-3">
+      <Bookmark className="w-4 h-4 text-gray-500" />
+
+      {activePreset ? (
+        <span className="px-2 py-1 text-xs font-medium rounded bg-blue-50 text-blue-800 border border-blue-100">
+          Preset: {activePreset.name}
+        </span>
+      ) : (
+        <span className="text-sm text-gray-500">No preset matched</span>
+      )}
+
+      {isSavedPreset && (
+        <button
+          onClick={handleDelete}
+          className="text-gray-400 hover:text-red-600"
+          title="Delete this preset"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+
+      <select
+        value=""
+        onChange={handleSelect}
+        className="ml-auto px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900"
+      >
+        <option value="">Apply preset...</option>
+        {allPresets.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </select>
+
+      {presetName === null ? (
+        <Button
+          onClick={() => setPresetName(isSavedPreset ? activePreset.name : '')}
+          size="sm"
+          variant="outline"
+          disabled={!headerMapping.phone}
+        >
+          <Save className="w-4 h-4 mr-1" />
+          Save as Preset
+        </Button>
+      ) : (
+        <div className="flex items-center gap-2 w-full md:w-auto">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="e.g. Sales team export"
+            autoFocus
+            className="flex-1 px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900"
+          />
+          <Button onClick={handleSave} size="sm" disabled={!presetName.trim()}>
+            Save
+          </Button>
+          <Button onClick={() => setPresetName(null)} size="sm" variant="ghost">
+            Cancel
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportPresetControls;
@@ -0,0 +1,305 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { Trash2, Filter, ChevronLeft, ChevronRight, ArrowLeft, ArrowRight } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import { analyzePhone, resolveDialCode, formatPhoneForDisplay, REJECTION_REASONS } from '../utils/phoneUtils';
+
+const PAGE_SIZE = 1000;
+const ROW_HEIGHT = 36;
+const VIEWPORT_HEIGHT = 432;
+const OVERSCAN = 8;
+
+const STANDARD_COLUMNS = ['phone', 'name', 'first_name', 'last_name', 'email', 'location'];
+
+const FILTER_MODES = [
+  { value: 'any', label: 'Any' },
+  { value: 'empty', label: 'Empty' },
+  { value: 'filled', label: 'Not empty' },
+  { value: 'contains', label: 'Contains' }
+];
+
+/**
+ * Check a cell against a column filter
+ * @param {*} value - Cell value
+ * @param {Object} filter - { mode, text }
+ * @returns {boolean} - True if the row passes
+ */
+function matchesFilter(value, filter) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  switch (filter.mode) {
+    case 'empty':
+      return text === '';
+    case 'filled':
+      return text !== '';
+    case 'contains':
+      return text.toLowerCase().includes((filter.text || '').toLowerCase());
+    default:
+      return true;
+  }
+}
+
+function ImportPreviewGrid({ contacts, defaultCountryCode, onContactsChange, onConfirm, onBack }) {
+  const [filters, setFilters] = useState({}); // { [column]: { mode, text } }
+  const [showFilters, setShowFilters] = useState(false);
+  const [page, setPage] = useState(0);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [editing, setEditing] = useState(null); // { index, column, value }
+  const scrollRef = useRef(null);
+  const { toast } = useToast();
+
+  // Standard fields first, then every custom column found in the data
+  const columns = useMemo(() => {
+    const custom = new Set();
+    contacts.forEach(contact => {
+      Object.keys(contact).forEach(key => {
+        if (!STANDARD_COLUMNS.includes(key)) custom.add(key);
+      });
+    });
+    return [...STANDARD_COLUMNS, ...custom];
+  }, [contacts]);
+
+  // Indexes into contacts that pass every active filter
+  const visibleIndexes = useMemo(() => {
+    const active = Object.entries(filters).filter(([, filter]) => filter.mode !== 'any');
+    const indexes = [];
+    contacts.forEach((contact, index) => {
+      if (active.every(([column, filter]) => matchesFilter(contact[column], filter))) {
+        indexes.push(index);
+      }
+    });
+    return indexes;
+  }, [contacts, filters]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleIndexes.length / PAGE_SIZE));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageIndexes = visibleIndexes.slice(currentPage * PAGE_SIZE, (currentPage + 1) * PAGE_SIZE);
+
+  // Only rows inside the scrolled viewport are rendered
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastRow = Math.min(pageIndexes.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const renderedIndexes = pageIndexes.slice(firstRow, lastRow);
+
+  const goToPage = (next) => {
+    setPage(next);
+    setScrollTop(0);
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+  };
+
+  const handleFilterChange = (column, changes) => {
+    setFilters(prev => ({ ...prev, [column]: { mode: 'any', text: '', ...prev[column], ...changes } }));
+    goToPage(0);
+  };
+
+  const handleDeleteRow = (index) => {
+    onContactsChange(contacts.filter((contact, i) => i !== index));
+  };
+
+  const handleDeleteVisible = () => {
+    const remove = new Set(visibleIndexes);
+    onContactsChange(contacts.filter((contact, i) => !remove.has(i)));
+    toast({
+      title: 'Rows Deleted',
+      description: `${remove.size} filtered rows removed`,
+    });
+  };
+
+  const commitEdit = () => {
+    if (!editing) return;
+    const { index, column, value } = editing;
+    const contact = contacts[index];
+    setEditing(null);
+
+    if (column !== 'phone') {
+      if (String(contact[column] ?? '') === value) return;
+      onContactsChange(contacts.map((c, i) => (i === index ? { ...c, [column]: value } : c)));
+      return;
+    }
+
+    // Phone edits are normalized the same way as imported numbers
+    const { phone, reason } = analyzePhone(value, resolveDialCode(contact.country) || defaultCountryCode);
+    if (!phone) {
+      toast({
+        title: 'Invalid Phone Number',
+        description: `${value || 'Empty value'}: ${REJECTION_REASONS[reason]}`,
+        variant: 'destructive',
+      });
+      return;
+    }
+    if (phone !== contact.phone && contacts.some(c => c.phone === phone)) {
+      toast({
+        title: 'Duplicate Phone Number',
+        description: `${formatPhoneForDisplay(phone)} is already in this import`,
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    onContactsChange(contacts.map((c, i) => (i === index ? { ...c, phone } : c)));
+  };
+
+  const handleEditKeyDown = (e) => {
+    if (e.key === 'Enter') commitEdit();
+    if (e.key === 'Escape') setEditing(null);
+  };
+
+  const activeFilterCount = Object.values(filters).filter(filter => filter.mode !== 'any').length;
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex flex-wrap items-center gap-3">
+        <div className="flex-1">
+          <h3 className="font-medium text-gray-900">Review Contacts</h3>
+          <p className="text-sm text-gray-600">
+            {activeFilterCount > 0
+              ? `${visibleIndexes.length.toLocaleString()} of ${contacts.length.toLocaleString()} contacts match the filters`
+              : `${contacts.length.toLocaleString()} contacts`}
+            {' '}• Click a cell to edit it
+          </p>
+        </div>
+        <Button onClick={() => setShowFilters(!showFilters)} size="sm" variant={showFilters ? 'default' : 'outline'}>
+          <Filter className="w-4 h-4 mr-1" />
+          Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+        </Button>
+        {activeFilterCount > 0 && visibleIndexes.length > 0 && (
+          <Button
+            onClick={handleDeleteVisible}
+            size="sm"
+            variant="outline"
+            className="text-red-600 hover:text-red-700 hover:bg-red-50"
+          >
+            <Trash2 className="w-4 h-4 mr-1" />
+            Delete {visibleIndexes.length.toLocaleString()} Filtered
+          </Button>
+        )}
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        className="overflow-auto"
+        style={{ maxHeight: VIEWPORT_HEIGHT + (showFilters ? 2 : 1) * ROW_HEIGHT }}
+      >
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 sticky top-0 z-10">
+            <tr>
+              <th className="w-10 px-2"></th>
+              {columns.map(column => (
+                <th key={column} className="text-left font-medium px-3 py-2 whitespace-nowrap">{column}</th>
+              ))}
+            </tr>
+            {showFilters && (
+              <tr className="bg-white">
+                <th></th>
+                {columns.map(column => {
+                  const filter = filters[column] || { mode: 'any', text: '' };
+                  return (
+                    <th key={column} className="px-2 py-1 font-normal">
+                      <div className="flex gap-1">
+                        <select
+                          value={filter.mode}
+                          onChange={(e) => handleFilterChange(column, { mode: e.target.value })}
+                          className="px-1 py-0.5 border border-gray-300 rounded text-xs text-gray-900"
+                        >
+                          {FILTER_MODES.map(mode => (
+                            <option key={mode.value} value={mode.value}>{mode.label}</option>
+                          ))}
+                        </select>
+                        {filter.mode === 'contains' && (
+                          <input
+                            value={filter.text}
+                            onChange={(e) => handleFilterChange(column, { text: e.target.value })}
+                            className="w-24 px-1 py-0.5 border border-gray-300 rounded text-xs text-gray-900"
+                          />
+                        )}
+                      </div>
+                    </th>
+                  );
+                })}
+              </tr>
+            )}
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {firstRow > 0 && <tr style={{ height: firstRow * ROW_HEIGHT }} />}
+            {renderedIndexes.map(index => {
+              const contact = contacts[index];
+              return (
+                <tr key={index} style={{ height: ROW_HEIGHT }} className="group hover:bg-gray-50">
+                  <td className="px-2 text-center">
+                    <button
+                      onClick={() => handleDeleteRow(index)}
+                      className="text-gray-300 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                      title="Delete row"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                  {columns.map(column => {
+                    const isEditing = editing && editing.index === index && editing.column === column;
+                    const value = contact[column];
+
+                    return (
+                      <td
+                        key={column}
+                        onClick={() => !isEditing && setEditing({ index, column, value: value === undefined || value === null ? '' : String(value) })}
+                        className={`px-3 whitespace-nowrap max-w-[14rem] truncate cursor-text ${column === 'phone' ? 'font-mono' : ''}`}
+                      >
+                        {isEditing ? (
+                          <input
+                            value={editing.value}
+                            onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                            onBlur={commitEdit}
+                            onKeyDown={handleEditKeyDown}
+                            autoFocus
+                            className="w-full px-1 py-0.5 border border-blue-400 rounded text-gray-900 focus:outline-none"
+                          />
+                        ) : column === 'phone' ? (
+                          formatPhoneForDisplay(value)
+                        ) : (
+                          <span className={value === undefined || value === '' ? 'text-gray-300' : 'text-gray-900'}>
+                            {value === undefined || value === '' ? '—' : String(value)}
+                          </span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            {lastRow < pageIndexes.length && <tr style={{ height: (pageIndexes.length - lastRow) * ROW_HEIGHT }} />}
+          </tbody>
+        </table>
+
+        {visibleIndexes.length === 0 && (
+          <p className="text-center text-sm text-gray-500 py-8">No contacts match the filters</p>
+        )}
+      </div>
+
+      <div className="p-4 border-t border-gray-200 bg-white flex flex-wrap items-center gap-2">
+        <Button onClick={onBack} size="sm" variant="outline">
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Back to Mapping
+        </Button>
+
+        {pageCount > 1 && (
+          <div className="flex items-center gap-2 text-sm text-gray-600 mx-auto">
+            <Button onClick={() => goToPage(currentPage - 1)} size="sm" variant="ghost" disabled={currentPage === 0}>
+              <ChevronLeft className="w-4 h-4" />
+            </Button>
+            Page {currentPage + 1} of {pageCount}
+            <Button onClick={() => goToPage(currentPage + 1)} size="sm" variant="ghost" disabled={currentPage >= pageCount - 1}>
+              <ChevronRight className="w-4 h-4" />
+            </Button>
+          </div>
+        )}
+
+        <Button onClick={onConfirm} className="ml-auto" disabled={contacts.length === 0}>
+          Continue with {contacts.length.toLocaleString()} Contacts
+          <ArrowRight className="w-4 h-4 ml-2" />
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreviewGrid;
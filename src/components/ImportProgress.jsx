@@ -0,0 +1,43 @@
+import React from 'react';
+import { Loader2, X } from 'lucide-react';
+import { Button } from './ui/button';
+
+const STAGE_LABELS = {
+  reading: 'Reading file',
+  parsing: 'Parsed',
+  normalizing: 'Checked'
+};
+
+function ImportProgress({ progress, onCancel }) {
+  if (!progress) return null;
+
+  const { stage, processed, total } = progress;
+  const counted = stage !== 'reading' && total > 0;
+  const percent = counted ? Math.min(100, Math.round((processed / total) * 100)) : null;
+
+  return (
+    <div className="mt-4 p-4 bg-blue-50 border border-blue-100 rounded-lg animate-in fade-in">
+      <div className="flex items-center gap-3">
+        <Loader2 className="w-5 h-5 text-blue-600 animate-spin" />
+        <p className="flex-1 text-sm text-blue-900">
+          {STAGE_LABELS[stage] || 'Processing'}
+          {counted && ` ${processed.toLocaleString()} / ${total.toLocaleString()} rows`}
+          {!counted && '...'}
+        </p>
+        <Button onClick={onCancel} size="sm" variant="outline">
+          <X className="w-4 h-4 mr-1" />
+          Cancel
+        </Button>
+      </div>
+
+      <div className="overflow-hidden h-2 mt-3 rounded bg-blue-100">
+        <div
+          style={{ width: percent === null ? '100%' : `${percent}%` }}
+          className={`h-full bg-blue-500 transition-all duration-300 ${percent === null ? 'animate-pulse' : ''}`}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ImportProgress;
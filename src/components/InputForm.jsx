@@ -1,81 +1,248 @@
-import React, { useState, useRef } from 'react';
-import { Upload, X, CheckCircle2, Users, FileText, ArrowRight } from 'lucide-react';
+import React, { useState, useRef, useMemo } from 'react';
+import { Upload, X, CheckCircle2, Users, FileText, ArrowRight, Globe, Table, Contact, HardDrive, Tag, Pencil } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { useToast } from '../components/ui/use-toast';
-import { extractPhonesFromText } from '../utils/phoneUtils';
-import { parseCSV, parseExcel, detectHeaders } from '../utils/fileParser';
-import { mergeContactData, loadContactsFromStorage, deleteContactList } from '../utils/contactUtils';
+import { getCountryByIso, scanTextForPhones, REJECTION_REASONS } from '../utils/phoneUtils';
+import { parseTabularText, detectHeaders } from '../utils/fileParser';
+import {
+  mergeContactDataWithReport,
+  revalidateRejectedRow,
+  deduplicateContactsWithReport,
+  deduplicateImportReport,
+  recordContactEdits,
+  applyContactEdits,
+  loadDefaultCountry,
+  saveDefaultCountry,
+  getImportFieldNames
+} from '../utils/contactUtils';
+import { COUNTRIES } from '../utils/countries';
+import {
+  loadContactLists,
+  loadListContacts,
+  deleteSavedList,
+  deleteListsByPrefix,
+  pruneUnusedContacts,
+  getContactBookStats,
+  getStorageErrorMessage,
+  AUTO_SAVE_PREFIX
+} from '../utils/contactBook';
+import { runImportTask, isCancelledError } from '../utils/importWorkerClient';
+import { findPreset, applyPreset } from '../utils/importPresets';
+import { parseTags } from '../utils/segmentUtils';
+import { applyTransformsToReport } from '../utils/transformUtils';
+import RejectedRowsReview from './RejectedRowsReview';
+import PastePreview from './PastePreview';
+import ColumnMapper from './ColumnMapper';
+import CsvDialectControls from './CsvDialectControls';
+import ExcelSheetPicker from './ExcelSheetPicker';
+import ImportProgress from './ImportProgress';
+import VCardExportDialog from './VCardExportDialog';
+import ImportPresetControls from './ImportPresetControls';
+import ImportPreviewGrid from './ImportPreviewGrid';
+import TransformRulesEditor from './TransformRulesEditor';
+import SegmentBuilder from './SegmentBuilder';
+import ContactListManager from './ContactListManager';
+import DuplicatesReview from './DuplicatesReview';
+
+const COUNTRY_OPTIONS = [...COUNTRIES].sort((a, b) => a.name.localeCompare(b.name));
+
+// Upload sources, with the worker task that parses each file type
+const FILE_SOURCES = {
+  csv: { label: 'CSV', extensions: ['.csv', '.tsv', '.txt'], task: 'parse-csv' },
+  excel: { label: 'Excel', extensions: ['.xlsx', '.xls'], task: 'open-workbook' },
+  vcard: { label: 'vCard', extensions: ['.vcf', '.vcard'], task: 'parse-vcard' }
+};
 
 function InputForm({ inputSource, onContactsLoaded }) {
   const [textInput, setTextInput] = useState('');
   const [uploadedFile, setUploadedFile] = useState(null);
   const [parsedData, setParsedData] = useState(null); // { data: [], headers: [] }
   const [headerMapping, setHeaderMapping] = useState({});
+  const [activePreset, setActivePreset] = useState(null); // Import preset the mapping came from
+  const [onePerNumber, setOnePerNumber] = useState(false); // One contact per valid phone column
+  const [transformRules, setTransformRules] = useState([]); // Column transforms run on imported contacts
   const [isLoading, setIsLoading] = useState(false);
   const [dragActive, setDragActive] = useState(false);
   const [savedLists, setSavedLists] = useState([]);
+  const [bookStats, setBookStats] = useState(null); // { lists, contacts, usage, quota }
+  const [managedListId, setManagedListId] = useState(null); // Saved list open in the contact editor
+  const [defaultCountry, setDefaultCountry] = useState(loadDefaultCountry);
+  const [importResult, setImportResult] = useState(null); // { contacts: [], rejected: [], candidates: [], duplicates: [], overrides: {}, edits: {} }
+  const [importTags, setImportTags] = useState(''); // Comma-separated tags added to every imported contact
+  const [dedupeSettings, setDedupeSettings] = useState({ rule: 'fill_blanks', matchEmail: false, matchNameLocation: false });
+  const [treatPasteAsText, setTreatPasteAsText] = useState(false);
+  const [csvDialect, setCsvDialect] = useState({ delimiter: 'auto', encoding: 'auto' });
+  const [excelSheets, setExcelSheets] = useState([]); // [{ name, rowCount }]
+  const [excelSelection, setExcelSelection] = useState(null); // { sheets: [], headerRow, stack }
+  const [excelPreviewRows, setExcelPreviewRows] = useState([]); // First rows of the primary sheet
+  const [importProgress, setImportProgress] = useState(null); // { stage, processed, total }
+  const [exportList, setExportList] = useState(null); // Saved list being exported as vCards
   
   const fileInputRef = useRef(null);
+  const importTaskRef = useRef(null);
   const { toast } = useToast();
 
-  // Standard field types for mapping
-  const FIELD_TYPES = [
-    { value: 'phone', label: 'Phone Number (Required)' },
-    { value: 'name', label: 'Full Name' },
-    { value: 'first_name', label: 'First Name' },
-    { value: 'last_name', label: 'Last Name' },
-    { value: 'email', label: 'Email Address' },
-    { value: 'location', label: 'Location' }
-  ];
+  const defaultCountryCode = getCountryByIso(defaultCountry)?.dialCode || '+256';
+  const fileSource = FILE_SOURCES[inputSource];
+  const isImportSource = inputSource !== 'saved' && inputSource !== 'segment';
+
+  // Cells copied from a spreadsheet go through column mapping like an uploaded file
+  const pasteTable = useMemo(
+    () => (inputSource === 'paste' && !treatPasteAsText ? parseTabularText(textInput) : null),
+    [inputSource, textInput, treatPasteAsText]
+  );
+
+  // Live scan of pasted text for the highlighted preview
+  const pasteMatches = useMemo(
+    () => (inputSource === 'paste' && !pasteTable ? scanTextForPhones(textInput, defaultCountryCode) : []),
+    [inputSource, pasteTable, textInput, defaultCountryCode]
+  );
+
+  // Run a contact book call, showing storage errors (such as a full quota) as a toast
+  const withContactBook = async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      console.error('Contact book error:', error);
+      toast({
+        title: 'Contact Book Error',
+        description: getStorageErrorMessage(error),
+        variant: 'destructive',
+      });
+      return null;
+    }
+  };
+
+  const refreshSavedLists = () => withContactBook(async () => {
+    setSavedLists(await loadContactLists());
+    setBookStats(await getContactBookStats());
+  });
 
   // Load saved contacts when switching to saved source
   React.useEffect(() => {
     if (inputSource === 'saved') {
-      setSavedLists(loadContactsFromStorage());
+      refreshSavedLists();
     }
   }, [inputSource]);
 
+  // Stop any running import when leaving the step
+  React.useEffect(() => () => importTaskRef.current?.cancel(), []);
+
+  // Run a parsing task in the import worker; starting a new one cancels the previous
+  const runWorkerTask = async (type, payload) => {
+    importTaskRef.current?.cancel();
+
+    const task = runImportTask(type, payload, setImportProgress);
+    importTaskRef.current = task;
+    setImportProgress({ stage: null, processed: 0, total: 0 });
+
+    try {
+      return await task.promise;
+    } finally {
+      if (importTaskRef.current === task) {
+        importTaskRef.current = null;
+        setImportProgress(null);
+      }
+    }
+  };
+
+  // A saved or built-in preset for this column layout beats guessing from header names
+  const autoMapHeaders = (headers, detectedMapping) => {
+    const match = findPreset(headers);
+    setActivePreset(match ? match.preset : null);
+    setHeaderMapping(match ? match.mapping : detectedMapping);
+    return match;
+  };
+
+  const handleTransformRulesChange = (rules) => {
+    setTransformRules(rules);
+    setImportResult(null);
+  };
+
+  const handleApplyPreset = (preset) => {
+    const headers = (pasteTable || parsedData).headers;
+    setActivePreset(preset);
+    if (preset) setHeaderMapping(applyPreset(preset, headers));
+    setImportResult(null);
+  };
+
+  const resetFile = () => {
+    setUploadedFile(null);
+    setParsedData(null);
+    setExcelSheets([]);
+    setExcelSelection(null);
+    setExcelPreviewRows([]);
+    setHeaderMapping({});
+    setActivePreset(null);
+    setImportResult(null);
+  };
+
+  // Cancelling stops the worker mid-read, so the upload starts over
+  const handleCancelImport = () => {
+    importTaskRef.current?.cancel();
+    resetFile();
+    toast({
+      title: 'Import Cancelled',
+      description: 'The file was not imported',
+    });
+  };
+
+  const handleDefaultCountryChange = (e) => {
+    setDefaultCountry(e.target.value);
+    saveDefaultCountry(e.target.value);
+    setImportResult(null);
+  };
+
   const handleTextChange = (e) => {
-    setTextInput(e.target.value);
+    const text = e.target.value;
+    setTextInput(text);
+    setImportResult(null);
+    setTreatPasteAsText(false);
+
+    // Auto-detect mapping whenever the pasted table's columns change
+    const table = parseTabularText(text);
+    if (table && table.headers.join('\n') !== pasteTable?.headers.join('\n')) {
+      autoMapHeaders(table.headers, detectHeaders(table.headers));
+    }
   };
 
-  const handleFileSelect = async (file) => {
+  const handleFileSelect = async (file, dialect = csvDialect) => {
     if (!file) return;
 
     setIsLoading(true);
     setUploadedFile(file);
+    setImportResult(null);
 
     try {
-      let result;
-
-      if (inputSource === 'csv') {
-        const text = await file.text();
-        result = parseCSV(text);
-      } else if (inputSource === 'excel') {
-        result = await parseExcel(file);
-      }
+      const result = await runWorkerTask(fileSource.task, { file, dialect });
 
-      if (result.error) {
+      if (result.parsed.error) {
         toast({
           title: 'Parsing Error',
-          description: result.error,
+          description: result.parsed.error,
           variant: 'destructive',
         });
         return;
       }
 
-      setParsedData(result);
+      if (inputSource === 'excel') {
+        setExcelSheets(result.sheets);
+        setExcelSelection(result.selection);
+        setExcelPreviewRows(result.previewRows);
+      }
+
+      setParsedData(result.parsed);
 
-      // Auto-detect header mapping using original headers
-      // result.headers contains original string headers from file
-      const detected = detectHeaders(result.headers);
-      setHeaderMapping(detected);
+      // Fall back to the mapping the worker guessed from the original file headers
+      const preset = autoMapHeaders(result.parsed.headers, result.mapping);
 
       toast({
         title: 'File Uploaded',
-        description: `Successfully parsed ${result.data.length} rows with ${result.headers.length} columns`,
+        description: `Successfully parsed ${result.parsed.data.length.toLocaleString()} rows with ${result.parsed.headers.length} columns`
+          + (preset ? ` • mapped with the "${preset.preset.name}" preset` : ''),
       });
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error(error);
       toast({
         title: 'Upload Failed',
@@ -87,6 +254,45 @@ function InputForm({ inputSource, onContactsLoaded }) {
     }
   };
 
+  const handleExcelSelectionChange = async (selection) => {
+    // A new primary sheet gets its own detected header row
+    const redetectHeaderRow = selection.sheets[0] !== excelSelection.sheets[0]
+      && selection.headerRow === excelSelection.headerRow;
+
+    setIsLoading(true);
+    setImportResult(null);
+
+    try {
+      const result = await runWorkerTask('select-sheets', { selection, redetectHeaderRow });
+
+      setExcelSelection(result.selection);
+      setExcelPreviewRows(result.previewRows);
+      setParsedData(result.parsed);
+
+      if (result.parsed.headers.join('\n') !== parsedData?.headers.join('\n')) {
+        autoMapHeaders(result.parsed.headers, result.mapping);
+      }
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error(error);
+      toast({
+        title: 'Sheet Error',
+        description: error.message || 'Unknown error',
+        variant: 'destructive',
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Re-read the current file when the delimiter or encoding is overridden
+  const handleDialectChange = (dialect) => {
+    setCsvDialect(dialect);
+    if (uploadedFile) {
+      handleFileSelect(uploadedFile, dialect);
+    }
+  };
+
   const handleFileInputChange = (e) => {
     const file = e.target.files?.[0];
     if (file) handleFileSelect(file);
@@ -110,14 +316,12 @@ function InputForm({ inputSource, onContactsLoaded }) {
     const file = e.dataTransfer.files?.[0];
     if (file) {
       // Validate file type
-      const isValid = inputSource === 'csv' 
-        ? file.type === 'text/csv' || file.name.endsWith('.csv')
-        : file.name.endsWith('.xlsx') || file.name.endsWith('.xls');
+      const isValid = fileSource.extensions.some(extension => file.name.toLowerCase().endsWith(extension));
 
       if (!isValid) {
         toast({
           title: 'Invalid File Type',
-          description: `Please upload a valid ${inputSource.toUpperCase()} file`,
+          description: `Please upload a valid ${fileSource.label} file`,
           variant: 'destructive',
         });
         return;
@@ -132,17 +336,46 @@ function InputForm({ inputSource, onContactsLoaded }) {
       ...prev,
       [fieldType]: csvHeader
     }));
+    setActivePreset(null);
+    setImportResult(null);
+  };
+
+  // Stop on step 2 to review the contacts (and any rejected rows) before handing them over
+  const finishImport = (result) => {
+    if (result.contacts.length === 0 && result.rejected.length === 0) {
+      toast({
+        title: 'No Valid Contacts',
+        description: 'Could not extract valid phone numbers based on your mapping',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setImportResult({ ...result, overrides: {}, edits: {} });
+  };
+
+  // Rebuild the deduplicated contacts from the imported rows, keeping changes made in the grid
+  const rebuildDuplicates = (settings, overrides) => {
+    const { contacts, groups } = deduplicateContactsWithReport(importResult.candidates, { ...settings, overrides });
+    setImportResult(prev => ({ ...prev, contacts: applyContactEdits(contacts, prev.edits), duplicates: groups, overrides }));
+  };
+
+  const handleDedupeSettingsChange = (settings) => {
+    setDedupeSettings(settings);
+    // Group ids change when the matching changes, so overrides no longer apply
+    rebuildDuplicates(settings, {});
+  };
+
+  const handleDuplicateOverride = (groupId, override) => {
+    rebuildDuplicates(dedupeSettings, { ...importResult.overrides, [groupId]: override });
   };
 
-  const handleConfirm = () => {
+  const handleConfirm = async () => {
     setIsLoading(true);
     
     try {
-      if (inputSource === 'paste') {
-        // Extract phones from text
-        const phones = extractPhonesFromText(textInput);
-        
-        if (phones.length === 0) {
+      if (inputSource === 'paste' && !pasteTable) {
+        if (pasteMatches.length === 0) {
           toast({
             title: 'No Valid Numbers',
             description: 'Please enter valid phone numbers',
@@ -152,11 +385,17 @@ function InputForm({ inputSource, onContactsLoaded }) {
           return;
         }
 
+        // Each detected number keeps its line number and any name found next to it
+        const entries = pasteMatches.map(match => ({
+          value: match.raw,
+          name: match.name,
+          row: match.line
+        }));
+
         // Use helper to create basic contact structure
-        const contacts = mergeContactData(phones, [], {});
-        onContactsLoaded(contacts);
+        finishImport(deduplicateImportReport(mergeContactDataWithReport(entries, [], {}, defaultCountryCode), dedupeSettings));
         
-      } else if ((inputSource === 'csv' || inputSource === 'excel') && parsedData) {
+      } else if (pasteTable || (fileSource && parsedData)) {
         // Check if phone is mapped
         if (!headerMapping.phone) {
           toast({
@@ -168,26 +407,24 @@ function InputForm({ inputSource, onContactsLoaded }) {
           return;
         }
 
-        // Merge using header mapping
-        const contacts = mergeContactData(
-          [], // No raw phones
-          parsedData.data, 
-          headerMapping
-        );
-
-        if (contacts.length === 0) {
-          toast({
-            title: 'No Valid Contacts',
-            description: 'Could not extract valid phone numbers based on your mapping',
-            variant: 'destructive',
-          });
-          setIsLoading(false);
-          return;
+        // Pasted selections are small; files are normalized in the worker that parsed them
+        if (pasteTable) {
+          finishImport(deduplicateImportReport(applyTransformsToReport(
+            mergeContactDataWithReport([], pasteTable.data, headerMapping, defaultCountryCode, null, null, { onePerNumber }),
+            transformRules
+          ), dedupeSettings));
+        } else {
+          finishImport(await runWorkerTask('merge', {
+            headerMapping,
+            defaultCountryCode,
+            options: { onePerNumber },
+            transforms: transformRules,
+            dedupe: dedupeSettings
+          }));
         }
-
-        onContactsLoaded(contacts);
       }
     } catch (error) {
+      if (isCancelledError(error)) return;
       console.error(error);
       toast({
         title: 'Processing Error',
@@ -199,45 +436,190 @@ function InputForm({ inputSource, onContactsLoaded }) {
     }
   };
 
-  const handleLoadSavedList = (list) => {
-    onContactsLoaded(list.contacts);
+  const handleRevalidateRow = (entry, value) => {
+    const existingPhones = new Set(importResult.contacts.map(contact => contact.phone));
+    const result = revalidateRejectedRow(entry, value, existingPhones);
+
+    if (result.contact) {
+      setImportResult(prev => ({
+        ...prev,
+        contacts: [...prev.contacts, result.contact],
+        candidates: [...prev.candidates, result.contact],
+        rejected: prev.rejected.filter(e => e !== entry)
+      }));
+      toast({
+        title: 'Row Fixed',
+        description: `Row ${entry.row} is now valid`,
+      });
+    } else {
+      setImportResult(prev => ({
+        ...prev,
+        rejected: prev.rejected.map(e => (e === entry ? result.entry : e))
+      }));
+      toast({
+        title: 'Still Invalid',
+        description: `Row ${entry.row}: ${REJECTION_REASONS[result.entry.reason]}`,
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handlePreviewContactsChange = (contacts) => {
+    setImportResult(prev => ({ ...prev, contacts, edits: recordContactEdits(prev.contacts, contacts, prev.edits) }));
+  };
+
+  const handleConfirmPreview = () => {
+    const tags = parseTags(importTags);
+    onContactsLoaded(tags.length === 0
+      ? importResult.contacts
+      : importResult.contacts.map(contact => ({ ...contact, tags: parseTags([...parseTags(contact.tags), ...tags]) })));
+  };
+
+  const handleUseSegment = (contacts, name) => {
+    onContactsLoaded(contacts);
+    toast({
+      title: 'Segment Loaded',
+      description: `${contacts.length} contacts loaded${name ? ` from "${name}"` : ''}`,
+    });
+  };
+
+  const handleLoadSavedList = async (list) => {
+    const contacts = await withContactBook(() => loadListContacts(list.id));
+    if (!contacts) return;
+
+    onContactsLoaded(contacts);
     toast({
       title: 'Contacts Loaded',
-      description: `${list.contacts.length} contacts loaded from "${list.name}"`,
+      description: `${contacts.length} contacts loaded from "${list.name}"`,
     });
   };
 
-  const handleDeleteSavedList = (index) => {
-    deleteContactList(index);
-    setSavedLists(loadContactsFromStorage());
+  const handleExportSavedList = async (list) => {
+    const contacts = await withContactBook(() => loadListContacts(list.id));
+    if (contacts) setExportList({ name: list.name, contacts });
+  };
+
+  const handleDeleteSavedList = async (list) => {
+    if (await withContactBook(() => deleteSavedList(list.id)) === null) return;
+    refreshSavedLists();
     toast({
       title: 'List Deleted',
       description: 'Contact list has been removed',
     });
   };
 
+  const handleDeleteAutoSaves = async () => {
+    const count = await withContactBook(() => deleteListsByPrefix(AUTO_SAVE_PREFIX));
+    if (count === null) return;
+    refreshSavedLists();
+    toast({
+      title: 'Auto-saves Deleted',
+      description: `${count} automatically saved lists removed`,
+    });
+  };
+
+  const handlePruneContacts = async () => {
+    const count = await withContactBook(pruneUnusedContacts);
+    if (count === null) return;
+    refreshSavedLists();
+    toast({
+      title: 'Contact Book Cleaned Up',
+      description: `${count} contacts not used by any list were removed`,
+    });
+  };
+
+  const managedList = savedLists.find(list => list.id === managedListId);
+  const autoSaveCount = savedLists.filter(list => list.name.startsWith(AUTO_SAVE_PREFIX)).length;
+
   return (
     <div className="space-y-6">
+      {isImportSource && (
+        <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
+          <label className="text-sm font-medium text-gray-700 flex items-center gap-2">
+            <Globe className="w-4 h-4" />
+            Default Country
+          </label>
+          <div className="md:col-span-2">
+            <select
+              value={defaultCountry}
+              onChange={handleDefaultCountryChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900"
+            >
+              {COUNTRY_OPTIONS.map(country => (
+                <option key={country.iso} value={country.iso}>
+                  {country.name} ({country.dialCode})
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-600 mt-1">
+              Used for numbers written without a country code (e.g. 0712 345678)
+            </p>
+          </div>
+        </div>
+      )}
+
       {inputSource === 'paste' && (
         <div className="space-y-4">
           <div>
             <label className="block text-sm font-medium text-gray-900 mb-2">
-              Phone Numbers (one per line)
+              Phone Numbers
             </label>
             <textarea
               value={textInput}
               onChange={handleTextChange}
-              placeholder="+254712345678&#10;+254723456789&#10;+254734567890"
+              placeholder="John 0772 123456, Mary +254 711 000111&#10;+254723456789; +254734567890"
               className="w-full h-64 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-400 resize-none font-mono text-sm"
             />
             <p className="text-sm text-gray-600 mt-2">
-              We'll automatically extract valid phone numbers from your text.
+              Paste any text: lists, email signatures or several numbers per line. We'll pick out the phone numbers and any names next to them.
             </p>
           </div>
+
+          {pasteTable ? (
+            <>
+              <div className="p-4 bg-blue-50 border border-blue-100 rounded-lg flex items-start gap-3">
+                <Table className="w-5 h-5 text-blue-600 mt-0.5" />
+                <div className="flex-1">
+                  <p className="font-medium text-blue-900">Spreadsheet Selection Detected</p>
+                  <p className="text-sm text-blue-700">
+                    {pasteTable.data.length} rows • {pasteTable.headers.length} columns. Every column can be used as a template variable.
+                  </p>
+                </div>
+                <Button onClick={() => setTreatPasteAsText(true)} size="sm" variant="outline">
+                  Treat as Plain Text
+                </Button>
+              </div>
+
+              <ColumnMapper
+                headers={pasteTable.headers}
+                headerMapping={headerMapping}
+                onMappingChange={handleHeaderMappingChange}
+                onePerNumber={onePerNumber}
+                onOnePerNumberChange={(value) => { setOnePerNumber(value); setImportResult(null); }}
+                description="Match your pasted columns to the correct fields"
+                toolbar={
+                  <ImportPresetControls
+                    headers={pasteTable.headers}
+                    headerMapping={headerMapping}
+                    activePreset={activePreset}
+                    onApplyPreset={handleApplyPreset}
+                  />
+                }
+              />
+
+              <TransformRulesEditor
+                fields={getImportFieldNames(pasteTable.headers, headerMapping)}
+                rules={transformRules}
+                onRulesChange={handleTransformRulesChange}
+              />
+            </>
+          ) : (
+            <PastePreview text={textInput} matches={pasteMatches} />
+          )}
         </div>
       )}
 
-      {(inputSource === 'csv' || inputSource === 'excel') && (
+      {fileSource && (
         <div>
           <div
             onDragEnter={handleDrag}
@@ -252,7 +634,7 @@ function InputForm({ inputSource, onContactsLoaded }) {
           >
             <Upload className="w-12 h-12 mx-auto text-gray-400 mb-4" />
             <p className="text-gray-900 font-medium mb-2">
-              Drag and drop your {inputSource.toUpperCase()} file here
+              Drag and drop your {fileSource.label} file here
             </p>
             <p className="text-sm text-gray-600 mb-4">or</p>
             <Button
@@ -264,7 +646,7 @@ function InputForm({ inputSource, onContactsLoaded }) {
             <input
               ref={fileInputRef}
               type="file"
-              accept={inputSource === 'csv' ? '.csv' : '.xlsx,.xls'}
+              accept={fileSource.extensions.join(',')}
               onChange={handleFileInputChange}
               className="hidden"
             />
@@ -276,15 +658,11 @@ function InputForm({ inputSource, onContactsLoaded }) {
               <div className="flex-1">
                 <p className="font-medium text-green-900">{uploadedFile.name}</p>
                 <p className="text-sm text-green-700">
-                  {parsedData?.data.length || 0} rows found • {parsedData?.headers.length || 0} columns
+                  {(parsedData?.data.length || 0).toLocaleString()} rows found • {parsedData?.headers.length || 0} columns
                 </p>
               </div>
               <button
-                onClick={() => {
-                  setUploadedFile(null);
-                  setParsedData(null);
-                  setHeaderMapping({});
-                }}
+                onClick={importProgress ? handleCancelImport : resetFile}
                 className="text-green-600 hover:text-green-800"
               >
                 <X className="w-5 h-5" />
@@ -292,54 +670,90 @@ function InputForm({ inputSource, onContactsLoaded }) {
             </div>
           )}
 
+          <ImportProgress progress={importProgress} onCancel={handleCancelImport} />
+
+          {inputSource === 'csv' && uploadedFile && (
+            <CsvDialectControls
+              dialect={csvDialect}
+              detected={parsedData && { delimiter: parsedData.delimiter, encoding: parsedData.encoding }}
+              onDialectChange={handleDialectChange}
+            />
+          )}
+
+          {inputSource === 'excel' && excelSelection && (
+            <ExcelSheetPicker
+              sheets={excelSheets}
+              selection={excelSelection}
+              previewRows={excelPreviewRows}
+              skippedSheets={parsedData?.skippedSheets || []}
+              onSelectionChange={handleExcelSelectionChange}
+            />
+          )}
+
           {parsedData && parsedData.headers.length > 0 && (
-            <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
-              <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
-                <h3 className="font-medium text-gray-900">Map Columns</h3>
-                <p className="text-sm text-gray-600">
-                  Match your file columns to the correct fields
-                </p>
-              </div>
-              
-              <div className="p-4 space-y-4">
-                {FIELD_TYPES.map(field => (
-                  <div key={field.value} className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center">
-                    <label className="text-sm font-medium text-gray-700">
-                      {field.label}
-                    </label>
-                    <div className="md:col-span-2">
-                      <select
-                        value={headerMapping[field.value] || ''}
-                        onChange={(e) => handleHeaderMappingChange(e.target.value, field.value)}
-                        className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 ${
-                          field.value === 'phone' && !headerMapping.phone 
-                            ? 'border-red-300 bg-red-50' 
-                            : 'border-gray-300'
-                        }`}
-                      >
-                        <option value="">-- Select Column --</option>
-                        {parsedData.headers.map(header => (
-                          <option key={header} value={header}>
-                            {header}
-                          </option>
-                        ))}
-                      </select>
-                      {field.value === 'phone' && !headerMapping.phone && (
-                        <p className="text-xs text-red-600 mt-1">
-                          Required: Select the column containing phone numbers
-                        </p>
-                      )}
-                    </div>
-                  </div>
-                ))}
-              </div>
-            </div>
+            <ColumnMapper
+              headers={parsedData.headers}
+              headerMapping={headerMapping}
+              onMappingChange={handleHeaderMappingChange}
+              onePerNumber={onePerNumber}
+              onOnePerNumberChange={(value) => { setOnePerNumber(value); setImportResult(null); }}
+              toolbar={
+                <ImportPresetControls
+                  headers={parsedData.headers}
+                  headerMapping={headerMapping}
+                  activePreset={activePreset}
+                  onApplyPreset={handleApplyPreset}
+                />
+              }
+            />
+          )}
+
+          {parsedData && parsedData.headers.length > 0 && (
+            <TransformRulesEditor
+              fields={getImportFieldNames(parsedData.headers, headerMapping)}
+              rules={transformRules}
+              onRulesChange={handleTransformRulesChange}
+            />
           )}
         </div>
       )}
 
-      {inputSource === 'saved' && (
+      {inputSource === 'segment' && <SegmentBuilder onUseContacts={handleUseSegment} />}
+
+      {inputSource === 'saved' && managedList && (
+        <ContactListManager
+          list={managedList}
+          lists={savedLists}
+          defaultCountryCode={defaultCountryCode}
+          onClose={() => setManagedListId(null)}
+          onListsChanged={refreshSavedLists}
+        />
+      )}
+
+      {inputSource === 'saved' && !managedList && (
         <div className="space-y-4">
+          {bookStats && (bookStats.lists > 0 || bookStats.contacts > 0) && (
+            <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg flex flex-wrap items-center gap-3">
+              <HardDrive className="w-5 h-5 text-gray-500" />
+              <p className="flex-1 text-sm text-gray-700">
+                {bookStats.contacts.toLocaleString()} contacts in {bookStats.lists.toLocaleString()} lists
+                {bookStats.usage !== null && bookStats.quota && (
+                  <span className="text-gray-500">
+                    {' '}• {(bookStats.usage / 1048576).toFixed(1)} MB of {(bookStats.quota / 1048576).toFixed(0)} MB used
+                  </span>
+                )}
+              </p>
+              {autoSaveCount > 0 && (
+                <Button onClick={handleDeleteAutoSaves} size="sm" variant="outline">
+                  Delete {autoSaveCount} Auto-saves
+                </Button>
+              )}
+              <Button onClick={handlePruneContacts} size="sm" variant="outline">
+                Remove Unused Contacts
+              </Button>
+            </div>
+          )}
+
           {savedLists.length === 0 ? (
             <div className="text-center py-12 bg-gray-50 rounded-lg border border-gray-200">
               <Users className="w-12 h-12 mx-auto text-gray-400 mb-4" />
@@ -349,9 +763,9 @@ function InputForm({ inputSource, onContactsLoaded }) {
               </p>
             </div>
           ) : (
-            savedLists.map((list, index) => (
+            savedLists.map(list => (
               <div
-                key={index}
+                key={list.id}
                 className="p-4 bg-white border border-gray-200 rounded-lg hover:shadow-md transition-shadow group"
               >
                 <div className="flex items-start justify-between gap-4">
@@ -369,7 +783,23 @@ function InputForm({ inputSource, onContactsLoaded }) {
                       Load
                     </Button>
                     <Button
-                      onClick={() => handleDeleteSavedList(index)}
+                      onClick={() => setManagedListId(list.id)}
+                      size="sm"
+                      variant="outline"
+                      title="Edit contacts"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      onClick={() => handleExportSavedList(list)}
+                      size="sm"
+                      variant="outline"
+                      title="Export as vCard"
+                    >
+                      <Contact className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      onClick={() => handleDeleteSavedList(list)}
                       size="sm"
                       variant="outline"
                       className="text-red-600 hover:text-red-700 hover:bg-red-50"
@@ -384,7 +814,59 @@ function InputForm({ inputSource, onContactsLoaded }) {
         </div>
       )}
 
-      {inputSource !== 'saved' && (
+      {exportList && (
+        <VCardExportDialog
+          contacts={exportList.contacts}
+          filename={exportList.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'contacts'}
+          onClose={() => setExportList(null)}
+        />
+      )}
+
+      {isImportSource && importResult && importResult.rejected.length > 0 && (
+        <RejectedRowsReview
+          rejected={importResult.rejected}
+          acceptedCount={importResult.contacts.length}
+          onRevalidate={handleRevalidateRow}
+          onCancel={() => setImportResult(null)}
+        />
+      )}
+
+      {isImportSource && importResult && (
+        <DuplicatesReview
+          groups={importResult.duplicates}
+          settings={dedupeSettings}
+          onSettingsChange={handleDedupeSettingsChange}
+          onOverride={handleDuplicateOverride}
+        />
+      )}
+
+      {isImportSource && importResult && (
+        <div className="mb-4 flex flex-wrap items-center gap-3">
+          <label htmlFor="import-tags" className="text-sm font-medium text-gray-700 flex items-center gap-2">
+            <Tag className="w-4 h-4" />
+            Tag these contacts
+          </label>
+          <input
+            id="import-tags"
+            value={importTags}
+            onChange={(e) => setImportTags(e.target.value)}
+            placeholder="e.g. vip, kampala-expo"
+            className="flex-1 max-w-sm px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-900"
+          />
+        </div>
+      )}
+
+      {isImportSource && importResult && (
+        <ImportPreviewGrid
+          contacts={importResult.contacts}
+          defaultCountryCode={defaultCountryCode}
+          onContactsChange={handlePreviewContactsChange}
+          onConfirm={handleConfirmPreview}
+          onBack={() => setImportResult(null)}
+        />
+      )}
+
+      {isImportSource && !importResult && (
         <div className="flex justify-end pt-4">
           <Button
             onClick={handleConfirm}
@@ -392,7 +874,7 @@ function InputForm({ inputSource, onContactsLoaded }) {
             disabled={
               isLoading ||
               (inputSource === 'paste' && !textInput.trim()) ||
-              ((inputSource === 'csv' || inputSource === 'excel') && !parsedData)
+              (fileSource && !parsedData)
             }
           >
             Confirm & Continue
@@ -1,12 +1,12 @@
 import React from 'react';
-import { Upload, FileText, FileSpreadsheet, Users } from 'lucide-react';
+import { Upload, FileText, FileSpreadsheet, Contact, Users, Filter } from 'lucide-react';
 
 const INPUT_SOURCES = [
   {
     id: 'paste',
     label: 'Paste Numbers',
     icon: FileText,
-    description: 'Paste phone numbers (one per line)'
+    description: 'Paste numbers or any text containing them'
   },
   {
     id: 'csv',
@@ -20,11 +20,23 @@ const INPUT_SOURCES = [
     icon: FileSpreadsheet,
     description: 'Upload Excel file (.xlsx, .xls)'
   },
+  {
+    id: 'vcard',
+    label: 'vCard Upload',
+    icon: Contact,
+    description: 'Upload contacts exported from a phone (.vcf)'
+  },
   {
     id: 'saved',
     label: 'Saved Contacts',
     icon: Users,
     description: 'Load previously saved contacts'
+  },
+  {
+    id: 'segment',
+    label: 'Segment',
+    icon: Filter,
+    description: 'Pick contacts by tags and conditions'
   }
 ];
 
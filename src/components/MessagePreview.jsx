@@ -1,14 +1,43 @@
 import React from 'react';
-import { X, AlertTriangle, CheckCircle } from 'lucide-react';
+import { X, AlertTriangle, CheckCircle, ShieldCheck, ShieldAlert, Timer } from 'lucide-react';
 import { Button } from './ui/button';
 import { formatPhoneForDisplay } from '../utils/phoneUtils';
+import { getConsentState } from '../utils/consentUtils';
+import { describeFrequencyCap } from '../utils/frequencyUtils';
 
-function MessagePreview({ previews, totalCount, onClose, onConfirm }) {
-  if (!previews || previews.length === 0) return null;
+function ConsentBadge({ contact, settings }) {
+  const consent = getConsentState(contact, settings);
+  const Icon = consent.valid ? ShieldCheck : ShieldAlert;
 
-  const hasMissingPlaceholders = previews.some(
-    (p) => p.message.includes('{') || p.message.includes('{{')
+  return (
+    <span
+      className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${
+        consent.valid ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+      }`}
+    >
+      <Icon className="w-3 h-3" />
+      {consent.reason}
+    </span>
   );
+}
+
+function MessagePreview({
+  previews,
+  totalCount,
+  consentSettings = {},
+  validConsentCount = 0,
+  frequencyCap = {},
+  overCap = new Map(),
+  onFrequencyCapChange,
+  onSkipOverCap,
+  blankExcludedCount = 0,
+  onClose,
+  onConfirm
+}) {
+  if (!previews || previews.length === 0) return null;
+
+  const missingFields = [...new Set(previews.flatMap((p) => p.missingFields))];
+  const hasMissingPlaceholders = missingFields.length > 0;
 
   return (
     <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -32,7 +61,7 @@ function MessagePreview({ previews, totalCount, onClose, onConfirm }) {
           <div className="p-4 bg-yellow-50 flex gap-3">
             <AlertTriangle className="text-yellow-600" />
             <p className="text-sm text-yellow-800">
-              Some placeholders could not be replaced.
+              Some placeholders could not be replaced: {missingFields.map(field => `{${field}}`).join(', ')}
             </p>
           </div>
         ) : (
@@ -44,12 +73,65 @@ function MessagePreview({ previews, totalCount, onClose, onConfirm }) {
           </div>
         )}
 
+        {consentSettings.requireConsent && (
+          <div className={`p-4 flex gap-3 border-t ${validConsentCount < totalCount ? 'bg-red-50' : 'bg-green-50'}`}>
+            <ShieldCheck className={validConsentCount < totalCount ? 'text-red-600' : 'text-green-600'} />
+            <p className={`text-sm ${validConsentCount < totalCount ? 'text-red-800' : 'text-green-800'}`}>
+              {validConsentCount} of {totalCount} contacts have valid consent.
+              {validConsentCount < totalCount && ` ${totalCount - validConsentCount} will be skipped when sending.`}
+            </p>
+          </div>
+        )}
+
+        {blankExcludedCount > 0 && (
+          <div className="p-4 bg-amber-50 flex gap-3 border-t">
+            <AlertTriangle className="text-amber-600" />
+            <p className="text-sm text-amber-800">
+              {blankExcludedCount} recipients would get a blank placeholder and will be skipped when sending.
+            </p>
+          </div>
+        )}
+
+        {overCap.size > 0 && (
+          <div className="p-4 bg-amber-50 flex items-center gap-3 border-t">
+            <Timer className="text-amber-600" />
+            <p className="text-sm text-amber-800 flex-1">
+              {overCap.size} recipients have already had {describeFrequencyCap(frequencyCap)}
+              {frequencyCap.skipOverCap ? ' and will be skipped when sending.' : ' but will still be messaged.'}
+            </p>
+            <label className="flex items-center gap-2 text-sm text-amber-800">
+              <input
+                type="checkbox"
+                checked={frequencyCap.skipOverCap}
+                onChange={(e) => onFrequencyCapChange({ ...frequencyCap, skipOverCap: e.target.checked })}
+                className="rounded border-amber-300"
+              />
+              Skip when sending
+            </label>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={onSkipOverCap}
+              className="text-amber-800 border-amber-300 hover:bg-amber-100"
+            >
+              Remove Them
+            </Button>
+          </div>
+        )}
+
         {/* PREVIEW LIST */}
         <div className="flex-1 overflow-y-auto p-6 space-y-6 bg-gray-50/50">
           {previews.map((preview, index) => (
             <div key={index} className="bg-white border rounded-xl p-4 shadow-sm">
-              <div className="font-bold mb-2">
-                {formatPhoneForDisplay(preview.phone)}
+              <div className="flex items-center gap-3 mb-2">
+                <span className="font-bold flex-1">{formatPhoneForDisplay(preview.phone)}</span>
+                {overCap.has(preview.phone) && (
+                  <span className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-amber-50 text-amber-700">
+                    <Timer className="w-3 h-3" />
+                    Over cap: {overCap.get(preview.phone)} in {frequencyCap.periodDays} days
+                  </span>
+                )}
+                <ConsentBadge contact={preview.contact} settings={consentSettings} />
               </div>
               <pre className="bg-gray-50 p-3 rounded text-sm whitespace-pre-wrap">
                 {preview.message}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { CheckCircle2, XCircle } from 'lucide-react';
+import { formatPhoneForDisplay, REJECTION_REASONS } from '../utils/phoneUtils';
+
+function PastePreview({ text, matches }) {
+  if (!text.trim()) return null;
+
+  const detected = matches.filter(match => match.phone);
+  const rejected = matches.filter(match => !match.phone);
+
+  // Split the text into plain (ignored) pieces and highlighted matches
+  const pieces = [];
+  let position = 0;
+  matches.forEach(match => {
+    if (match.start > position) {
+      pieces.push({ text: text.slice(position, match.start) });
+    }
+    pieces.push({ text: text.slice(match.start, match.end), match });
+    position = match.end;
+  });
+  if (position < text.length) {
+    pieces.push({ text: text.slice(position) });
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden animate-in fade-in">
+      <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex flex-wrap items-center gap-4 text-sm">
+        <h3 className="font-medium text-gray-900 mr-auto">Detected Numbers</h3>
+        <span className="flex items-center gap-1 text-green-700">
+          <CheckCircle2 className="w-4 h-4" />
+          {detected.length} detected
+        </span>
+        <span className="flex items-center gap-1 text-red-700">
+          <XCircle className="w-4 h-4" />
+          {rejected.length} invalid
+        </span>
+        <span className="text-gray-500">Grey text is ignored</span>
+      </div>
+
+      <div className="p-4 max-h-48 overflow-y-auto font-mono text-sm whitespace-pre-wrap break-words text-gray-400">
+        {pieces.map((piece, index) => {
+          if (!piece.match) return <span key={index}>{piece.text}</span>;
+
+          const { match } = piece;
+          return match.phone ? (
+            <mark
+              key={index}
+              title={match.name ? `${match.phone} (${match.name})` : match.phone}
+              className="bg-green-100 text-green-900 rounded px-0.5"
+            >
+              {piece.text}
+            </mark>
+          ) : (
+            <mark
+              key={index}
+              title={REJECTION_REASONS[match.reason]}
+              className="bg-red-100 text-red-900 rounded px-0.5 line-through"
+            >
+              {piece.text}
+            </mark>
+          );
+        })}
+      </div>
+
+      {detected.length > 0 && (
+        <div className="border-t border-gray-200 max-h-48 overflow-y-auto divide-y divide-gray-100">
+          {detected.map((match, index) => (
+            <div key={index} className="px-4 py-2 flex items-center justify-between text-sm">
+              <span className="font-mono text-gray-900">{formatPhoneForDisplay(match.phone)}</span>
+              <span className="text-gray-600">{match.name || '—'}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PastePreview;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { AlertTriangle, RefreshCw, Download, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { REJECTION_REASONS } from '../utils/phoneUtils';
+import { exportRowsToCSV, exportRowsToXLSX } from '../utils/exportUtils';
+
+function RejectedRowsReview({ rejected, acceptedCount, onRevalidate, onCancel }) {
+  // Edited phone values keyed by entry id
+  const [edits, setEdits] = useState({});
+
+  const getValue = (entry) => (edits[entry.id] !== undefined ? edits[entry.id] : entry.value);
+
+  const handleEdit = (id, value) => {
+    setEdits(prev => ({ ...prev, [id]: value }));
+  };
+
+  const handleRevalidate = (entry) => {
+    onRevalidate(entry, getValue(entry));
+  };
+
+  // "Mobile: Too short; Office: Empty" for rows with several phone columns
+  const describeCandidates = (entry) => entry.candidates
+    .map(candidate => `${candidate.column}: ${candidate.reason ? REJECTION_REASONS[candidate.reason] || candidate.reason : 'Not used'}`)
+    .join('; ');
+
+  const buildExportRows = () => rejected.map(entry => ({
+    Row: entry.row,
+    Reason: REJECTION_REASONS[entry.reason] || entry.reason,
+    ...(entry.candidates ? { 'Phone Columns': describeCandidates(entry) } : {}),
+    ...entry.data
+  }));
+
+  const exportName = `rejected-contacts-${new Date().toISOString().slice(0, 10)}`;
+
+  return (
+    <div className="border border-amber-200 rounded-lg overflow-hidden animate-in fade-in">
+      <div className="bg-amber-50 px-4 py-3 border-b border-amber-200 flex items-start gap-3">
+        <AlertTriangle className="w-5 h-5 text-amber-600 mt-0.5" />
+        <div className="flex-1">
+          <h3 className="font-medium text-amber-900">Review Rejected Rows</h3>
+          <p className="text-sm text-amber-700">
+            {acceptedCount} contacts are valid • {rejected.length} rows need attention.
+            Fix a number and revalidate to add the row below, or export the rows for whoever owns the source data.
+          </p>
+        </div>
+        <button onClick={onCancel} className="text-amber-600 hover:text-amber-800">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="max-h-80 overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 sticky top-0">
+            <tr>
+              <th className="text-left font-medium px-4 py-2 w-20">Row</th>
+              <th className="text-left font-medium px-4 py-2">Phone</th>
+              <th className="text-left font-medium px-4 py-2 w-48">Reason</th>
+              <th className="px-4 py-2 w-32"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {rejected.map(entry => (
+              <tr key={entry.id}>
+                <td className="px-4 py-2 text-gray-500">{entry.row}</td>
+                <td className="px-4 py-2">
+                  <input
+                    value={getValue(entry)}
+                    onChange={(e) => handleEdit(entry.id, e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRevalidate(entry)}
+                    className="w-full px-2 py-1 border border-gray-300 rounded font-mono text-gray-900 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </td>
+                <td className="px-4 py-2">
+                  <span className="inline-block px-2 py-0.5 rounded-full bg-red-50 text-red-700 text-xs font-medium">
+                    {REJECTION_REASONS[entry.reason] || entry.reason}
+                  </span>
+                  {entry.candidates && (
+                    <ul className="mt-1 space-y-0.5 text-xs text-gray-500">
+                      {entry.candidates.map(candidate => (
+                        <li key={candidate.column}>
+                          {candidate.column}: {candidate.reason ? REJECTION_REASONS[candidate.reason] || candidate.reason : 'Not used'}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right">
+                  <Button onClick={() => handleRevalidate(entry)} size="sm" variant="outline" className="h-8">
+                    <RefreshCw className="w-3 h-3 mr-1" />
+                    Revalidate
+                  </Button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="p-4 border-t border-gray-200 bg-white flex flex-wrap items-center gap-2">
+        <Button
+          onClick={() => exportRowsToCSV(buildExportRows(), `${exportName}.csv`)}
+          size="sm"
+          variant="outline"
+          disabled={rejected.length === 0}
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export CSV
+        </Button>
+        <Button
+          onClick={() => exportRowsToXLSX(buildExportRows(), `${exportName}.xlsx`, 'Rejected')}
+          size="sm"
+          variant="outline"
+          disabled={rejected.length === 0}
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export XLSX
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default RejectedRowsReview;
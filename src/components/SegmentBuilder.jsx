@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Filter, Plus, X, Save, Tag, Contact, ArrowRight } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import VCardExportDialog from './VCardExportDialog';
+import { formatPhoneForDisplay } from '../utils/phoneUtils';
+import { loadAllContacts, updateContactTags, getStorageErrorMessage } from '../utils/contactBook';
+import {
+  getOperatorsForField,
+  getSegmentFields,
+  getRuleError,
+  evaluateSegment,
+  parseTags,
+  loadSegments,
+  saveSegment,
+  deleteSegment
+} from '../utils/segmentUtils';
+
+const MAX_ROWS = 200;
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+function SegmentBuilder({ onUseContacts }) {
+  const [contacts, setContacts] = useState(null); // Every contact in the book
+  const [segment, setSegment] = useState({ match: 'all', rules: [] });
+  const [savedSegments, setSavedSegments] = useState(loadSegments);
+  const [segmentName, setSegmentName] = useState('');
+  const [selected, setSelected] = useState(new Set()); // Phones picked for bulk tagging
+  const [tagInput, setTagInput] = useState('');
+  const [showExport, setShowExport] = useState(false);
+  const { toast } = useToast();
+
+  const reloadContacts = async () => {
+    try {
+      setContacts(await loadAllContacts());
+    } catch (error) {
+      console.error('Failed to load contact book:', error);
+      setContacts([]);
+      toast({
+        title: 'Contact Book Error',
+        description: getStorageErrorMessage(error),
+        variant: 'destructive',
+      });
+    }
+  };
+
+  useEffect(() => {
+    reloadContacts();
+  }, []);
+
+  const fields = useMemo(() => getSegmentFields(contacts || []), [contacts]);
+  const knownTags = useMemo(
+    () => [...new Set((contacts || []).flatMap(contact => contact.tags || []))].sort(),
+    [contacts]
+  );
+  const matches = useMemo(() => evaluateSegment(contacts || [], segment), [contacts, segment]);
+
+  const updateRule = (id, changes) => {
+    setSegment(prev => ({
+      ...prev,
+      rules: prev.rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule))
+    }));
+  };
+
+  const handleFieldChange = (id, field) => {
+    const [operator] = getOperatorsForField(field);
+    updateRule(id, { field, operator: operator.value, value: '' });
+  };
+
+  const handleAddRule = () => {
+    setSegment(prev => ({
+      ...prev,
+      rules: [...prev.rules, { id: `rule-${Date.now()}`, field: 'tags', operator: 'has_tag', value: '' }]
+    }));
+  };
+
+  const handleLoadSegment = (id) => {
+    const saved = savedSegments.find(s => s.id === id);
+    if (!saved) return;
+    setSegment({ match: saved.match, rules: saved.rules });
+    setSegmentName(saved.name);
+    setSelected(new Set());
+  };
+
+  const handleSaveSegment = () => {
+    const saved = saveSegment(segmentName.trim(), segment);
+    if (!saved) {
+      toast({
+        title: 'Segment Not Saved',
+        description: 'Could not save the segment to browser storage',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSavedSegments(loadSegments());
+    toast({
+      title: 'Segment Saved',
+      description: `"${saved.name}" is re-evaluated every time you use it`,
+    });
+  };
+
+  const handleDeleteSegment = (id) => {
+    deleteSegment(id);
+    setSavedSegments(loadSegments());
+  };
+
+  const handleToggle = (phone) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(phone)) next.delete(phone);
+      else next.add(phone);
+      return next;
+    });
+  };
+
+  const allSelected = matches.length > 0 && matches.every(contact => selected.has(contact.phone));
+
+  const handleToggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(matches.map(contact => contact.phone)));
+  };
+
+  const handleTagSelected = async (mode) => {
+    const tags = parseTags(tagInput);
+    if (tags.length === 0 || selected.size === 0) return;
+
+    try {
+      const changed = await updateContactTags([...selected], mode === 'add' ? { add: tags } : { remove: tags });
+      await reloadContacts();
+      toast({
+        title: mode === 'add' ? 'Tags Added' : 'Tags Removed',
+        description: `${tags.join(', ')} ${mode === 'add' ? 'added to' : 'removed from'} ${changed} contacts`,
+      });
+    } catch (error) {
+      console.error('Failed to update tags:', error);
+      toast({
+        title: 'Tags Not Updated',
+        description: getStorageErrorMessage(error),
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const selectedSegment = savedSegments.find(s => s.name === segmentName.trim());
+
+  if (contacts === null) {
+    return <p className="text-center text-sm text-gray-500 py-12">Loading contact book...</p>;
+  }
+
+  if (contacts.length === 0) {
+    return (
+      <div className="text-center py-12 bg-gray-50 rounded-lg border border-gray-200">
+        <Filter className="w-12 h-12 mx-auto text-gray-400 mb-4" />
+        <p className="text-gray-900 font-medium">No Contacts Yet</p>
+        <p className="text-sm text-gray-600 mt-2">
+          Imported contacts are added to the contact book, then you can build segments from them
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <datalist id="segment-known-tags">
+        {knownTags.map(tag => <option key={tag} value={tag} />)}
+      </datalist>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex flex-wrap items-center gap-2">
+          <Filter className="w-4 h-4 text-gray-600" />
+          <span className="font-medium text-gray-900">Match</span>
+          <select
+            value={segment.match}
+            onChange={(e) => setSegment(prev => ({ ...prev, match: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="all">all</option>
+            <option value="any">any</option>
+          </select>
+          <span className="font-medium text-gray-900 flex-1">of these conditions</span>
+
+          {savedSegments.length > 0 && (
+            <select value="" onChange={(e) => handleLoadSegment(e.target.value)} className={inputClass}>
+              <option value="">Load saved segment...</option>
+              {savedSegments.map(s => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <div className="p-4 space-y-2">
+          {segment.rules.length === 0 && (
+            <p className="text-sm text-gray-500">No conditions: every contact in the book matches.</p>
+          )}
+
+          {segment.rules.map(rule => {
+            const operators = getOperatorsForField(rule.field);
+            const operator = operators.find(op => op.value === rule.operator);
+            const error = getRuleError(rule);
+
+            return (
+              <div key={rule.id} className="flex flex-wrap items-start gap-2 p-2 rounded-lg bg-gray-50">
+                <select
+                  value={rule.field}
+                  onChange={(e) => handleFieldChange(rule.id, e.target.value)}
+                  className={inputClass}
+                >
+                  {fields.map(field => <option key={field} value={field}>{field}</option>)}
+                </select>
+                <select
+                  value={rule.operator}
+                  onChange={(e) => updateRule(rule.id, { operator: e.target.value })}
+                  className={inputClass}
+                >
+                  {operators.map(op => <option key={op.value} value={op.value}>{op.label}</option>)}
+                </select>
+                {operator?.input && (
+                  <input
+                    value={rule.value}
+                    onChange={(e) => updateRule(rule.id, { value: e.target.value })}
+                    type={operator.input === 'text' ? 'text' : 'number'}
+                    list={rule.field === 'tags' ? 'segment-known-tags' : undefined}
+                    placeholder={operator.input === 'days' ? 'Days' : 'Value'}
+                    className={`${inputClass} w-40`}
+                  />
+                )}
+                <button
+                  onClick={() => setSegment(prev => ({ ...prev, rules: prev.rules.filter(r => r.id !== rule.id) }))}
+                  className="ml-auto text-gray-400 hover:text-red-600 pt-1"
+                  title="Remove condition"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+                {error && <p className="w-full text-xs text-red-600">{error}</p>}
+              </div>
+            );
+          })}
+
+          <div className="flex flex-wrap items-center gap-2 pt-2">
+            <Button onClick={handleAddRule} size="sm" variant="outline">
+              <Plus className="w-4 h-4 mr-1" />
+              Add Condition
+            </Button>
+            <input
+              value={segmentName}
+              onChange={(e) => setSegmentName(e.target.value)}
+              placeholder="Segment name"
+              className={`${inputClass} ml-auto w-44`}
+            />
+            <Button onClick={handleSaveSegment} size="sm" variant="outline" disabled={!segmentName.trim()}>
+              <Save className="w-4 h-4 mr-1" />
+              {selectedSegment ? 'Update' : 'Save'}
+            </Button>
+            {selectedSegment && (
+              <Button
+                onClick={() => handleDeleteSegment(selectedSegment.id)}
+                size="sm"
+                variant="ghost"
+                className="text-red-600 hover:text-red-700"
+              >
+                Delete
+              </Button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-4 py-3 border-b border-gray-200 flex flex-wrap items-center gap-2">
+          <p className="flex-1 text-sm text-gray-700">
+            <span className="font-medium text-gray-900">{matches.length.toLocaleString()}</span> of {contacts.length.toLocaleString()} contacts match
+            {selected.size > 0 && ` • ${selected.size.toLocaleString()} selected`}
+          </p>
+          <input
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            list="segment-known-tags"
+            placeholder="Tags, e.g. vip"
+            className={`${inputClass} w-36`}
+          />
+          <Button onClick={() => handleTagSelected('add')} size="sm" variant="outline" disabled={selected.size === 0 || !tagInput.trim()}>
+            <Tag className="w-4 h-4 mr-1" />
+            Tag Selected
+          </Button>
+          <Button onClick={() => handleTagSelected('remove')} size="sm" variant="ghost" disabled={selected.size === 0 || !tagInput.trim()}>
+            Untag
+          </Button>
+        </div>
+
+        <div className="max-h-80 overflow-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600 sticky top-0">
+              <tr>
+                <th className="w-10 px-3 py-2">
+                  <input type="checkbox" checked={allSelected} onChange={handleToggleAll} title="Select all matching contacts" />
+                </th>
+                <th className="text-left font-medium px-3 py-2">Phone</th>
+                <th className="text-left font-medium px-3 py-2">Name</th>
+                <th className="text-left font-medium px-3 py-2">Location</th>
+                <th className="text-left font-medium px-3 py-2">Tags</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {matches.slice(0, MAX_ROWS).map(contact => (
+                <tr key={contact.phone} className="hover:bg-gray-50">
+                  <td className="px-3 py-2 text-center">
+                    <input type="checkbox" checked={selected.has(contact.phone)} onChange={() => handleToggle(contact.phone)} />
+                  </td>
+                  <td className="px-3 py-2 font-mono text-gray-900 whitespace-nowrap">{formatPhoneForDisplay(contact.phone)}</td>
+                  <td className="px-3 py-2 text-gray-900">{contact.name || `${contact.first_name || ''} ${contact.last_name || ''}`.trim()}</td>
+                  <td className="px-3 py-2 text-gray-600">{contact.location}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex flex-wrap gap-1">
+                      {(contact.tags || []).map(tag => (
+                        <span key={tag} className="px-1.5 py-0.5 rounded bg-blue-50 text-blue-700 text-xs">{tag}</span>
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {matches.length > MAX_ROWS && (
+            <p className="text-center text-xs text-gray-500 py-2">
+              Showing the first {MAX_ROWS} of {matches.length.toLocaleString()} matching contacts
+            </p>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex flex-wrap items-center gap-2">
+          <Button onClick={() => setShowExport(true)} size="sm" variant="outline" disabled={matches.length === 0}>
+            <Contact className="w-4 h-4 mr-1" />
+            Export vCard
+          </Button>
+          <Button onClick={() => onUseContacts(matches, segmentName.trim())} className="ml-auto" disabled={matches.length === 0}>
+            Use {matches.length.toLocaleString()} Recipients
+            <ArrowRight className="w-4 h-4 ml-2" />
+          </Button>
+        </div>
+      </div>
+
+      {showExport && (
+        <VCardExportDialog
+          contacts={matches}
+          filename={(segmentName.trim() || 'segment').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'segment'}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default SegmentBuilder;
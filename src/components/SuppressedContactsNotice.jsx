@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { ShieldOff, ChevronDown, ChevronRight, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { formatPhoneForDisplay } from '../utils/phoneUtils';
+import { summarizeExclusions } from '../utils/suppressionUtils';
+
+function SuppressedContactsNotice({ excluded, onOverride, onDismiss }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [selected, setSelected] = useState(new Set());
+  const [justification, setJustification] = useState('');
+  const [confirmed, setConfirmed] = useState(false);
+
+  const summary = summarizeExclusions(excluded);
+
+  const handleToggle = (phone) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(phone)) next.delete(phone);
+      else next.add(phone);
+      return next;
+    });
+  };
+
+  const handleOverride = () => {
+    onOverride([...selected], justification.trim());
+    setSelected(new Set());
+    setJustification('');
+    setConfirmed(false);
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg text-sm">
+      <div className="flex items-start gap-3">
+        <ShieldOff className="w-5 h-5 text-amber-600 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-medium text-amber-900">
+            {excluded.length} contacts excluded by the do-not-contact list
+          </p>
+          <p className="text-amber-800">
+            {summary.map(({ reason, count }) => `${count} × ${reason}`).join(' • ')}
+          </p>
+        </div>
+        <button onClick={() => setIsOpen(!isOpen)} className="text-amber-700 hover:text-amber-900 flex items-center gap-1">
+          {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          Review
+        </button>
+        <button onClick={onDismiss} className="text-amber-600 hover:text-amber-800">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          <div className="bg-white border border-amber-100 rounded-lg divide-y divide-amber-50 max-h-56 overflow-y-auto">
+            {excluded.map(({ contact, entry }) => (
+              <label key={contact.phone} className="px-3 py-2 flex items-center gap-3 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selected.has(contact.phone)}
+                  onChange={() => handleToggle(contact.phone)}
+                />
+                <span className="font-mono text-gray-900 w-40 shrink-0">{formatPhoneForDisplay(contact.phone)}</span>
+                <span className="text-gray-700 truncate">{contact.name}</span>
+                <span className="ml-auto text-xs text-gray-500 truncate">{entry.reason}</span>
+              </label>
+            ))}
+          </div>
+
+          {selected.size > 0 && (
+            <div className="space-y-2">
+              <textarea
+                value={justification}
+                onChange={(e) => setJustification(e.target.value)}
+                rows={2}
+                placeholder="Why may these recipients be messaged? This is saved in the override log."
+                className="w-full px-3 py-2 border border-amber-200 rounded-lg text-sm text-gray-900"
+              />
+              <label className="flex items-center gap-2 text-amber-900">
+                <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+                I confirm these {selected.size} recipients may be contacted despite being on the do-not-contact list
+              </label>
+              <Button
+                onClick={handleOverride}
+                size="sm"
+                variant="outline"
+                disabled={!confirmed || !justification.trim()}
+                className="text-amber-800 border-amber-300 hover:bg-amber-100"
+              >
+                Include {selected.size} Anyway
+              </Button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SuppressedContactsNotice;
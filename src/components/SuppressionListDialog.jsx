@@ -0,0 +1,222 @@
+import React, { useState, useRef } from 'react';
+import { X, ShieldOff, Upload, Plus, Search, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import { extractPhonesFromText, formatPhoneForDisplay, getCountryByIso } from '../utils/phoneUtils';
+import { readTextFile } from '../utils/fileParser';
+import { loadDefaultCountry } from '../utils/contactUtils';
+import {
+  SUPPRESSION_SOURCES,
+  loadSuppressionList,
+  addToSuppressionList,
+  removeFromSuppressionList,
+  loadSuppressionOverrides
+} from '../utils/suppressionUtils';
+
+const MAX_ROWS = 200;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+function SuppressionListDialog({ onClose }) {
+  const [entries, setEntries] = useState(loadSuppressionList);
+  const [numbers, setNumbers] = useState('');
+  const [reason, setReason] = useState('');
+  const [search, setSearch] = useState('');
+  const [showOverrides, setShowOverrides] = useState(false);
+  const fileInputRef = useRef(null);
+  const { toast } = useToast();
+
+  const defaultCountryCode = getCountryByIso(loadDefaultCountry())?.dialCode || '+256';
+
+  const refresh = () => {
+    setEntries(loadSuppressionList());
+  };
+
+  const addPhones = (phones, entryReason, source) => {
+    if (phones.length === 0) {
+      toast({
+        title: 'No Numbers Found',
+        description: 'No valid phone numbers to add',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    const result = addToSuppressionList(phones, entryReason, source);
+    if (!result) {
+      toast({
+        title: 'List Not Saved',
+        description: 'Could not save the do-not-contact list to browser storage',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    refresh();
+    toast({
+      title: 'Numbers Suppressed',
+      description: `${result.added} added${result.existing ? ` • ${result.existing} already on the list` : ''}`,
+    });
+  };
+
+  const handleAddManual = () => {
+    addPhones(extractPhonesFromText(numbers, defaultCountryCode), reason.trim(), 'manual');
+    setNumbers('');
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { text } = await readTextFile(file);
+      addPhones(extractPhonesFromText(text, defaultCountryCode), reason.trim() || `Imported from ${file.name}`, 'csv');
+    } catch (error) {
+      console.error('Failed to read suppression file:', error);
+      toast({
+        title: 'Import Failed',
+        description: 'Could not read the file',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleRemove = (phone) => {
+    removeFromSuppressionList(phone);
+    refresh();
+  };
+
+  const query = search.trim().toLowerCase();
+  const digits = query.replace(/\D/g, '');
+  const filtered = entries.filter(entry => (
+    !query
+    || (digits && entry.phone.includes(digits))
+    || (entry.reason || '').toLowerCase().includes(query)
+  ));
+  const overrides = showOverrides ? loadSuppressionOverrides() : [];
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="flex items-center justify-between p-6 border-b bg-gray-50">
+          <div>
+            <h2 className="text-xl font-bold flex items-center gap-2">
+              <ShieldOff className="w-5 h-5 text-red-600" />
+              Do-Not-Contact List
+            </h2>
+            <p className="text-sm text-gray-600">
+              {entries.length} numbers are removed from every campaign
+            </p>
+          </div>
+          <button onClick={onClose}>
+            <X />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div className="space-y-2">
+            <textarea
+              value={numbers}
+              onChange={(e) => setNumbers(e.target.value)}
+              rows={3}
+              placeholder="Numbers to suppress, one per line or separated by commas"
+              className={`${inputClass} w-full font-mono`}
+            />
+            <div className="flex flex-wrap gap-2">
+              <input
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="Reason, e.g. Asked to unsubscribe"
+                className={`${inputClass} flex-1 min-w-[12rem]`}
+              />
+              <Button onClick={handleAddManual} variant="outline" disabled={!numbers.trim()}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add
+              </Button>
+              <Button onClick={() => fileInputRef.current?.click()} variant="outline">
+                <Upload className="w-4 h-4 mr-1" />
+                Import CSV
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.txt"
+                onChange={handleImportFile}
+                className="hidden"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <div className="relative">
+              <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search numbers or reasons"
+                className={`${inputClass} w-full pl-9`}
+              />
+            </div>
+
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-72 overflow-y-auto">
+              {filtered.length === 0 ? (
+                <p className="text-center text-sm text-gray-500 py-6">
+                  {entries.length === 0 ? 'Nobody is on the list yet' : 'No numbers match the search'}
+                </p>
+              ) : (
+                filtered.slice(0, MAX_ROWS).map(entry => (
+                  <div key={entry.phone} className="px-3 py-2 flex items-center gap-3 text-sm group">
+                    <span className="font-mono text-gray-900 w-40 shrink-0">{formatPhoneForDisplay(entry.phone)}</span>
+                    <span className="flex-1 text-gray-600 truncate">
+                      {entry.reason || SUPPRESSION_SOURCES[entry.source]}
+                    </span>
+                    <span className="text-xs text-gray-400">{new Date(entry.timestamp).toLocaleDateString()}</span>
+                    <button
+                      onClick={() => handleRemove(entry.phone)}
+                      className="text-gray-300 hover:text-red-600 opacity-0 group-hover:opacity-100"
+                      title="Remove from list"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+            {filtered.length > MAX_ROWS && (
+              <p className="text-xs text-gray-500">Showing {MAX_ROWS} of {filtered.length} numbers; search to narrow down</p>
+            )}
+          </div>
+
+          <div>
+            <button
+              onClick={() => setShowOverrides(!showOverrides)}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showOverrides ? 'Hide' : 'Show'} override log
+            </button>
+            {showOverrides && (
+              <div className="mt-2 space-y-2 text-sm">
+                {overrides.length === 0 ? (
+                  <p className="text-gray-500">No suppressions have been overridden</p>
+                ) : (
+                  overrides.map(override => (
+                    <div key={override.timestamp} className="p-3 bg-amber-50 border border-amber-100 rounded-lg">
+                      <p className="text-amber-900">
+                        <span className="font-medium">{override.phones.length} numbers</span> messaged on{' '}
+                        {new Date(override.timestamp).toLocaleString()}
+                      </p>
+                      <p className="text-amber-800 mt-1">"{override.justification}"</p>
+                    </div>
+                  ))
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SuppressionListDialog;
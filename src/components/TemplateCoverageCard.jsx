@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { AlertTriangle, CheckCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { formatPhoneForDisplay } from '../utils/phoneUtils';
+import { BLANK_FIELD_ACTIONS } from '../utils/templateUtils';
+
+const MAX_ROWS = 200;
+
+function TemplateCoverageCard({ coverage, totalCount, settings, onSettingsChange }) {
+  const [openField, setOpenField] = useState(null);
+
+  const affected = new Set(coverage.flatMap(field => field.contacts.map(({ contact }) => contact.phone)));
+
+  if (coverage.length === 0) {
+    return (
+      <div className="mt-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center gap-3 text-sm">
+        <CheckCircle className="w-5 h-5 text-green-600" />
+        <p className="text-green-800">Every placeholder has a value for all {totalCount} recipients</p>
+      </div>
+    );
+  }
+
+  const setFallback = (key, value) => {
+    onSettingsChange({ ...settings, fallbacks: { ...settings.fallbacks, [key]: value } });
+  };
+
+  return (
+    <div className="mt-6 p-4 border border-amber-200 rounded-lg space-y-4 text-sm">
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="w-5 h-5 text-amber-600 mt-0.5" />
+        <div className="flex-1">
+          <p className="font-medium text-gray-900">
+            {affected.size} of {totalCount} recipients would get a blank value
+          </p>
+          <p className="text-gray-600">Checked against every contact in the list</p>
+        </div>
+      </div>
+
+      <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+        {coverage.map(field => (
+          <div key={field.key}>
+            <div className="px-3 py-2 flex flex-wrap items-center gap-3">
+              <button
+                onClick={() => setOpenField(openField === field.key ? null : field.key)}
+                className="flex items-center gap-1 text-gray-900 hover:text-blue-700"
+              >
+                {openField === field.key ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                <span className="font-mono bg-gray-100 px-1 rounded">{`{${field.key}}`}</span>
+              </button>
+              <span className="flex-1 text-gray-600">
+                {field.contacts.length} recipients ({Math.round((field.contacts.length / totalCount) * 100)}%)
+                {field.missing > 0 && ` • ${field.missing} missing`}
+                {field.blank > 0 && ` • ${field.blank} blank`}
+              </span>
+              {settings.action === 'fallback' && (
+                <input
+                  value={settings.fallbacks[field.key] ?? ''}
+                  onChange={(e) => setFallback(field.key, e.target.value)}
+                  placeholder="Fallback value"
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900 w-40"
+                />
+              )}
+            </div>
+
+            {openField === field.key && (
+              <div className="px-3 pb-3">
+                <div className="bg-gray-50 border border-gray-100 rounded-lg divide-y divide-gray-100 max-h-56 overflow-y-auto">
+                  {field.contacts.slice(0, MAX_ROWS).map(({ contact, problem }) => (
+                    <div key={contact.phone} className="px-3 py-1.5 flex items-center gap-3">
+                      <span className="font-mono text-gray-900 w-40 shrink-0">{formatPhoneForDisplay(contact.phone)}</span>
+                      <span className="text-gray-700 truncate">{contact.name}</span>
+                      <span className="ml-auto text-xs text-gray-500">{problem === 'missing' ? 'No such field' : 'Blank'}</span>
+                    </div>
+                  ))}
+                </div>
+                {field.contacts.length > MAX_ROWS && (
+                  <p className="text-xs text-gray-500 mt-1">Showing {MAX_ROWS} of {field.contacts.length} recipients</p>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-gray-700">
+        {BLANK_FIELD_ACTIONS.map(action => (
+          <label key={action.value} className="flex items-start gap-2 cursor-pointer">
+            <input
+              type="radio"
+              name="blankFieldAction"
+              checked={settings.action === action.value}
+              onChange={() => onSettingsChange({ ...settings, action: action.value })}
+              className="mt-1"
+            />
+            <span>
+              <span className="font-medium text-gray-900">{action.label}</span>
+              <span className="block text-xs text-gray-500">{action.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TemplateCoverageCard;
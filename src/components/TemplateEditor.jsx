@@ -1,20 +1,45 @@
-import React, { useState, useEffect } from 'react';
-import { Save, Download, Trash2, AlertCircle, Info, MessageSquare } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Save, Download, Trash2, AlertCircle, AlertTriangle, Info, MessageSquare } from 'lucide-react';
 import { Button } from './ui/button';
 import { useToast } from '../components/ui/use-toast';
 import {
   extractPlaceholders,
   validatePlaceholders,
   getAvailableFields,
+  getTemplateHighlights,
   countTemplateCharacters
 } from '../utils/templateUtils';
+import { parseTemplate } from '../utils/templateParser';
+
+// How a variable button inserts its field, as [text before the cursor, text after it]
+const INSERT_STYLES = [
+  { value: 'value', label: 'Value', build: (field) => [`{${field}}`, ''] },
+  { value: 'fallback', label: 'With fallback', build: (field) => [`{${field}|there}`, ''] },
+  { value: 'capitalize', label: 'Capitalized', build: (field) => [`{${field}|capitalize}`, ''] },
+  { value: 'number', label: 'As number', build: (field) => [`{${field}|number}`, ''] },
+  { value: 'date', label: 'As date', build: (field) => [`{${field}|date:"D MMM YYYY"}`, ''] },
+  { value: 'if', label: 'Only if present', build: (field) => [`{#if ${field}}`, '{/if}'] },
+  { value: 'unless', label: 'Only if missing', build: (field) => [`{#unless ${field}}`, '{/unless}'] }
+];
+
+// Background of each highlighted segment; the textarea's own text is drawn on top
+const HIGHLIGHT_CLASSES = {
+  variable: 'bg-blue-100 rounded',
+  unknown: 'bg-amber-200 rounded',
+  block: 'bg-purple-100 rounded',
+  escape: 'bg-gray-200 rounded',
+  error: 'bg-red-200 rounded underline decoration-wavy decoration-red-500'
+};
 
 function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
   const [localTemplate, setLocalTemplate] = useState(template);
-  const [validation, setValidation] = useState({ valid: true, missingFields: [] });
+  const [validation, setValidation] = useState({ valid: true, missingFields: [], coveredFields: [] });
   const [availableFields, setAvailableFields] = useState([]);
   const [savedTemplates, setSavedTemplates] = useState([]);
   const [showSaved, setShowSaved] = useState(false);
+  const [insertStyle, setInsertStyle] = useState('value');
+  const textareaRef = useRef(null);
+  const overlayRef = useRef(null);
   
   const { toast } = useToast();
 
@@ -129,17 +154,20 @@ function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
   const handleClearTemplate = () => {
     setLocalTemplate('');
     onTemplateChange('');
-    setValidation({ valid: true, missingFields: [] });
+    setValidation({ valid: true, missingFields: [], coveredFields: [] });
   };
 
   const insertPlaceholder = (field) => {
-    const textarea = document.querySelector('textarea');
+    const textarea = textareaRef.current;
     if (!textarea) return;
 
     const start = textarea.selectionStart;
     const end = textarea.selectionEnd;
     const text = localTemplate;
-    const newText = text.substring(0, start) + `{${field}}` + text.substring(end);
+    const [before, after] = INSERT_STYLES.find(style => style.value === insertStyle).build(field);
+    // Blocks wrap the selected text
+    const newText = text.substring(0, start) + before + text.substring(start, after ? end : start) + after + text.substring(end);
+    const cursor = start + before.length + (after ? end - start : 0);
     
     setLocalTemplate(newText);
     onTemplateChange(newText);
@@ -147,12 +175,22 @@ function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
     // Restore focus and cursor
     setTimeout(() => {
       textarea.focus();
-      textarea.setSelectionRange(start + field.length + 2, start + field.length + 2);
+      textarea.setSelectionRange(cursor, cursor);
     }, 0);
   };
 
   const charCount = countTemplateCharacters(localTemplate);
   const placeholders = extractPlaceholders(localTemplate);
+  const highlights = useMemo(
+    () => getTemplateHighlights(localTemplate, availableFields),
+    [localTemplate, availableFields]
+  );
+  const { errors: syntaxErrors, warnings: syntaxWarnings } = useMemo(() => parseTemplate(localTemplate), [localTemplate]);
+  const hasProblems = !validation.valid || syntaxErrors.length > 0;
+
+  const handleScroll = (e) => {
+    if (overlayRef.current) overlayRef.current.scrollTop = e.target.scrollTop;
+  };
 
   return (
     <div className="space-y-6">
@@ -167,14 +205,60 @@ function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
           </div>
         </div>
         
-        <textarea
-          value={localTemplate}
-          onChange={handleTemplateChange}
-          placeholder="Hi {first_name}, check out our new offers!..."
-          className={`w-full h-48 px-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-400 resize-none font-sans ${
-            !validation.valid ? 'border-red-300 focus:ring-red-500' : 'border-gray-300'
-          }`}
-        />
+        <div className="relative bg-white rounded-lg">
+          <div
+            ref={overlayRef}
+            aria-hidden="true"
+            className="absolute inset-0 px-4 py-3 border border-transparent overflow-hidden whitespace-pre-wrap break-words font-sans text-transparent pointer-events-none"
+          >
+            {highlights.map((segment, index) => (
+              <span key={index} className={HIGHLIGHT_CLASSES[segment.kind]}>{segment.text}</span>
+            ))}
+            {' '}
+          </div>
+          <textarea
+            ref={textareaRef}
+            value={localTemplate}
+            onChange={handleTemplateChange}
+            onScroll={handleScroll}
+            placeholder="Hi {first_name}, check out our new offers!..."
+            className={`relative block w-full h-48 px-4 py-3 border rounded-lg bg-transparent focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 placeholder-gray-400 resize-none font-sans ${
+              hasProblems ? 'border-red-300 focus:ring-red-500' : 'border-gray-300'
+            }`}
+          />
+        </div>
+
+        {syntaxErrors.length > 0 && (
+          <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 animate-in slide-in-from-top-1">
+            <AlertCircle className="w-5 h-5 text-red-600 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-sm font-medium text-red-900">Template Errors</p>
+              <ul className="text-sm text-red-700 mt-1 space-y-0.5">
+                {syntaxErrors.map(error => (
+                  <li key={error.start}>
+                    <span className="font-mono">Line {error.line}, column {error.column}:</span> {error.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+
+        {syntaxWarnings.length > 0 && (
+          <div className="mt-3 p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-start gap-2 animate-in slide-in-from-top-1">
+            <AlertTriangle className="w-5 h-5 text-amber-600 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-sm font-medium text-amber-900">Possible Typos</p>
+              <ul className="text-sm text-amber-700 mt-1 space-y-0.5">
+                {syntaxWarnings.map(warning => (
+                  <li key={warning.start}>
+                    <span className="font-mono">Line {warning.line}, column {warning.column}:</span> {warning.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
 
         {!validation.valid && (
           <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start gap-2 animate-in slide-in-from-top-1">
@@ -191,14 +275,34 @@ function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
           </div>
         )}
 
+        {validation.coveredFields?.length > 0 && (
+          <p className="mt-2 text-xs text-gray-500">
+            Not in your contact list, but covered by a fallback or an {'{#if}'} block:{' '}
+            {validation.coveredFields.map(f => (
+              <span key={f} className="font-mono bg-gray-100 px-1 rounded mx-0.5">{f}</span>
+            ))}
+          </p>
+        )}
+
         {availableFields.length > 0 && (
           <div className="mt-3 p-4 bg-blue-50 border border-blue-100 rounded-lg">
             <div className="flex items-start gap-2">
               <Info className="w-5 h-5 text-blue-600 mt-0.5" />
               <div className="flex-1">
-                <p className="text-sm font-medium text-blue-900 mb-2">
-                  Insert Variables:
-                </p>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                  <p className="text-sm font-medium text-blue-900">
+                    Insert Variables:
+                  </p>
+                  <select
+                    value={insertStyle}
+                    onChange={(e) => setInsertStyle(e.target.value)}
+                    className="px-2 py-1 border border-blue-200 rounded text-xs text-blue-900 bg-white"
+                  >
+                    {INSERT_STYLES.map(style => (
+                      <option key={style.value} value={style.value}>{style.label}</option>
+                    ))}
+                  </select>
+                </div>
                 <div className="flex flex-wrap gap-2">
                   {availableFields.map(field => (
                     <button
@@ -206,10 +310,23 @@ function TemplateEditor({ contacts, template, onTemplateChange, onPreview }) {
                       onClick={() => insertPlaceholder(field)}
                       className="px-2 py-1 bg-white border border-blue-200 rounded text-xs text-blue-800 hover:bg-blue-100 hover:border-blue-300 transition-colors shadow-sm"
                     >
-                      {`{${field}}`}
+                      {INSERT_STYLES.find(style => style.value === insertStyle).build(field).join('')}
                     </button>
                   ))}
                 </div>
+                <p className="text-xs text-blue-700 mt-3">
+                  Fallbacks: <code>{'{first_name|there}'}</code> • Filters: <code>upper</code>, <code>lower</code>,{' '}
+                  <code>capitalize</code>, <code>title</code>, <code>trim</code>, <code>number</code>,{' '}
+                  <code>{'date:"D MMM"'}</code> • Blocks: <code>{'{#if location}...{/if}'}</code>,{' '}
+                  <code>{'{#unless email}...{/unless}'}</code> • Literal braces: <code>{'\\{'}</code>{' '}
+                  <code>{'\\}'}</code>
+                </p>
+                <p className="text-xs text-blue-700 mt-1 flex flex-wrap gap-2">
+                  <span className="px-1 bg-blue-100 rounded">known field</span>
+                  <span className="px-1 bg-amber-200 rounded">unknown field</span>
+                  <span className="px-1 bg-purple-100 rounded">block</span>
+                  <span className="px-1 bg-red-200 rounded">syntax error</span>
+                </p>
               </div>
             </div>
           </div>
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { Wand2, Plus, X, Save, ChevronDown, ChevronRight } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import {
+  TRANSFORM_TYPES,
+  getTransformError,
+  loadTransformSets,
+  saveTransformSet,
+  deleteTransformSet
+} from '../utils/transformUtils';
+
+const inputClass = 'px-2 py-1 border border-gray-300 rounded-lg text-sm text-gray-900';
+
+function RuleParams({ rule, fields, onChange }) {
+  const { type, params } = rule;
+  const set = (changes) => onChange({ ...params, ...changes });
+
+  if (type === 'concat') {
+    return (
+      <>
+        <select
+          multiple
+          value={params.columns}
+          onChange={(e) => set({ columns: Array.from(e.target.selectedOptions, option => option.value) })}
+          className={`${inputClass} h-20`}
+          title="Columns to combine (hold Ctrl or Cmd to pick several)"
+        >
+          {fields.map(field => <option key={field} value={field}>{field}</option>)}
+        </select>
+        <input
+          value={params.separator}
+          onChange={(e) => set({ separator: e.target.value })}
+          placeholder="Separator"
+          className={`${inputClass} w-20`}
+        />
+      </>
+    );
+  }
+
+  if (type === 'replace') {
+    return (
+      <>
+        <input
+          value={params.pattern}
+          onChange={(e) => set({ pattern: e.target.value })}
+          placeholder="Pattern, e.g. \s*-\s*\d+$"
+          className={`${inputClass} font-mono w-40`}
+        />
+        <input
+          value={params.replacement}
+          onChange={(e) => set({ replacement: e.target.value })}
+          placeholder="Replace with ($1 for groups)"
+          className={`${inputClass} font-mono w-40`}
+        />
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={params.ignoreCase}
+            onChange={(e) => set({ ignoreCase: e.target.checked })}
+            className="rounded border-gray-300"
+          />
+          Ignore case
+        </label>
+      </>
+    );
+  }
+
+  if (type === 'parse_date') {
+    return (
+      <select value={params.order} onChange={(e) => set({ order: e.target.value })} className={inputClass}>
+        <option value="DMY">Day/Month/Year</option>
+        <option value="MDY">Month/Day/Year</option>
+        <option value="YMD">Year/Month/Day</option>
+      </select>
+    );
+  }
+
+  if (type === 'parse_number') {
+    return (
+      <select value={params.decimal} onChange={(e) => set({ decimal: e.target.value })} className={inputClass}>
+        <option value=".">1,234.56</option>
+        <option value=",">1.234,56</option>
+      </select>
+    );
+  }
+
+  if (type === 'split_name') {
+    return <span className="text-xs text-gray-500">Writes title, first_name and last_name</span>;
+  }
+
+  return null;
+}
+
+function TransformRulesEditor({ fields, rules, onRulesChange }) {
+  const [isOpen, setIsOpen] = useState(rules.length > 0);
+  const [savedSets, setSavedSets] = useState(loadTransformSets);
+  const [setName, setSetName] = useState('');
+  const { toast } = useToast();
+
+  const updateRule = (id, changes) => {
+    onRulesChange(rules.map(rule => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleTypeChange = (id, type) => {
+    const { params } = TRANSFORM_TYPES.find(t => t.value === type);
+    updateRule(id, { type, params: { ...params } });
+  };
+
+  const handleAddRule = () => {
+    const [first] = TRANSFORM_TYPES;
+    onRulesChange([
+      ...rules,
+      { id: `rule-${Date.now()}`, column: fields.find(field => field !== 'phone') || '', type: first.value, params: { ...first.params } }
+    ]);
+  };
+
+  const handleLoadSet = (id) => {
+    const set = savedSets.find(s => s.id === id);
+    if (!set) return;
+    onRulesChange(set.rules);
+    setSetName(set.name);
+  };
+
+  const handleSaveSet = () => {
+    const saved = saveTransformSet(setName.trim(), rules);
+    if (!saved) {
+      toast({
+        title: 'Transforms Not Saved',
+        description: 'Could not save the transform set to browser storage',
+        variant: 'destructive',
+      });
+      return;
+    }
+
+    setSavedSets(loadTransformSets());
+    toast({
+      title: 'Transforms Saved',
+      description: `"${saved.name}" can be applied to future imports`,
+    });
+  };
+
+  const handleDeleteSet = (id) => {
+    deleteTransformSet(id);
+    setSavedSets(loadTransformSets());
+  };
+
+  const selectedSet = savedSets.find(s => s.name === setName.trim());
+
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full bg-gray-50 px-4 py-3 flex items-center gap-2 text-left"
+      >
+        {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+        <Wand2 className="w-4 h-4 text-gray-600" />
+        <span className="font-medium text-gray-900 flex-1">Transform Columns</span>
+        <span className="text-sm text-gray-600">
+          {rules.length === 0 ? 'Optional' : `${rules.length} rule${rules.length === 1 ? '' : 's'}`}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div className="p-4 space-y-3 border-t border-gray-200">
+          <p className="text-sm text-gray-600">
+            Clean up imported values. Rules run from top to bottom on every contact before you review them.
+          </p>
+
+          {rules.map((rule, index) => {
+            const error = getTransformError(rule);
+
+            return (
+              <div key={rule.id} className="flex flex-wrap items-start gap-2 p-2 rounded-lg bg-gray-50">
+                <span className="text-xs text-gray-400 w-5 pt-1.5">{index + 1}.</span>
+                <select
+                  value={rule.type}
+                  onChange={(e) => handleTypeChange(rule.id, e.target.value)}
+                  className={inputClass}
+                >
+                  {TRANSFORM_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+
+                {rule.type === 'concat' ? (
+                  <input
+                    value={rule.column}
+                    onChange={(e) => updateRule(rule.id, { column: e.target.value.trim().replace(/\s+/g, '_').toLowerCase() })}
+                    placeholder="Into field, e.g. full_address"
+                    className={`${inputClass} w-40`}
+                  />
+                ) : (
+                  <select
+                    value={rule.column}
+                    onChange={(e) => updateRule(rule.id, { column: e.target.value })}
+                    className={inputClass}
+                  >
+                    <option value="">-- Column --</option>
+                    {fields.filter(field => field !== 'phone').map(field => (
+                      <option key={field} value={field}>{field}</option>
+                    ))}
+                  </select>
+                )}
+
+                <RuleParams
+                  rule={rule}
+                  fields={fields}
+                  onChange={(params) => updateRule(rule.id, { params })}
+                />
+
+                <button
+                  onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+                  className="ml-auto text-gray-400 hover:text-red-600 pt-1"
+                  title="Remove rule"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+
+                {error && <p className="w-full pl-7 text-xs text-red-600">{error}</p>}
+              </div>
+            );
+          })}
+
+          <div className="flex flex-wrap items-center gap-2 pt-2">
+            <Button onClick={handleAddRule} size="sm" variant="outline">
+              <Plus className="w-4 h-4 mr-1" />
+              Add Rule
+            </Button>
+
+            {savedSets.length > 0 && (
+              <select value="" onChange={(e) => handleLoadSet(e.target.value)} className={inputClass}>
+                <option value="">Load saved transforms...</option>
+                {savedSets.map(set => (
+                  <option key={set.id} value={set.id}>{set.name} ({set.rules.length})</option>
+                ))}
+              </select>
+            )}
+
+            <input
+              value={setName}
+              onChange={(e) => setSetName(e.target.value)}
+              placeholder="Transform set name"
+              className={`${inputClass} ml-auto w-44`}
+            />
+            <Button onClick={handleSaveSet} size="sm" variant="outline" disabled={!setName.trim() || rules.length === 0}>
+              <Save className="w-4 h-4 mr-1" />
+              {selectedSet ? 'Update' : 'Save'}
+            </Button>
+            {selectedSet && (
+              <Button
+                onClick={() => handleDeleteSet(selectedSet.id)}
+                size="sm"
+                variant="ghost"
+                className="text-red-600 hover:text-red-700"
+              >
+                Delete
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TransformRulesEditor;
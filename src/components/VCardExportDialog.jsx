@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { X, Download, Contact } from 'lucide-react';
+import { Button } from './ui/button';
+import { useToast } from './ui/use-toast';
+import { formatPhoneForDisplay } from '../utils/phoneUtils';
+import { getAvailableFields } from '../utils/templateUtils';
+import { downloadFile } from '../utils/exportUtils';
+import {
+  formatCardName,
+  buildVCardFiles,
+  loadVCardExportSettings,
+  saveVCardExportSettings
+} from '../utils/vcardUtils';
+
+// Browsers drop rapid back-to-back downloads, so files are spaced out
+const DOWNLOAD_INTERVAL_MS = 400;
+
+function VCardExportDialog({ contacts, filename, onClose }) {
+  const [settings, setSettings] = useState(loadVCardExportSettings);
+  const [isExporting, setIsExporting] = useState(false);
+  const { toast } = useToast();
+
+  const fields = getAvailableFields(contacts);
+  const chunkSize = settings.split ? Math.max(1, parseInt(settings.chunkSize, 10) || 1) : 0;
+  const fileCount = chunkSize ? Math.ceil(contacts.length / chunkSize) : 1;
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    saveVCardExportSettings({ ...settings, chunkSize: chunkSize || settings.chunkSize });
+
+    const files = buildVCardFiles(contacts, {
+      namePattern: settings.namePattern,
+      chunkSize,
+      filename
+    });
+
+    for (let i = 0; i < files.length; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, DOWNLOAD_INTERVAL_MS));
+      downloadFile(files[i].content, files[i].filename, 'text/vcard;charset=utf-8');
+    }
+
+    toast({
+      title: 'vCards Exported',
+      description: `${contacts.length} contacts saved to ${files.length} file${files.length === 1 ? '' : 's'}`,
+    });
+    setIsExporting(false);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl max-w-xl w-full max-h-[90vh] flex flex-col overflow-hidden">
+        <div className="flex items-center justify-between p-6 border-b bg-gray-50">
+          <div>
+            <h2 className="text-xl font-bold flex items-center gap-2">
+              <Contact className="w-5 h-5 text-blue-600" />
+              Export to Phone Contacts
+            </h2>
+            <p className="text-sm text-gray-600">
+              {contacts.length} contacts as vCard 3.0 (.vcf)
+            </p>
+          </div>
+          <button onClick={onClose}>
+            <X />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-900 mb-2">
+              Contact Name
+            </label>
+            <input
+              type="text"
+              value={settings.namePattern}
+              onChange={(e) => setSettings(prev => ({ ...prev, namePattern: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-gray-900 font-mono text-sm"
+            />
+            <div className="flex flex-wrap gap-1 mt-2">
+              {fields.map(field => (
+                <button
+                  key={field}
+                  onClick={() => setSettings(prev => ({ ...prev, namePattern: `${prev.namePattern}{${field}}` }))}
+                  className="px-2 py-0.5 text-xs bg-gray-100 hover:bg-blue-100 text-gray-700 rounded font-mono"
+                >
+                  {`{${field}}`}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={settings.split}
+                onChange={(e) => setSettings(prev => ({ ...prev, split: e.target.checked }))}
+                className="rounded border-gray-300"
+              />
+              Split into files of
+              <input
+                type="number"
+                min="1"
+                value={settings.chunkSize}
+                disabled={!settings.split}
+                onChange={(e) => setSettings(prev => ({ ...prev, chunkSize: e.target.value }))}
+                className="w-24 px-2 py-1 border border-gray-300 rounded-lg text-gray-900 disabled:bg-gray-100"
+              />
+              contacts
+            </label>
+            <p className="text-xs text-gray-600 mt-1">
+              WhatsApp broadcast lists hold up to 256 recipients. This export makes {fileCount} file{fileCount === 1 ? '' : 's'}.
+            </p>
+          </div>
+
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+            {contacts.slice(0, 3).map((contact, index) => (
+              <div key={index} className="px-4 py-2 flex justify-between gap-4 text-sm">
+                <span className="font-medium text-gray-900 truncate">
+                  {formatCardName(settings.namePattern, contact)}
+                </span>
+                <span className="text-gray-500 whitespace-nowrap">{formatPhoneForDisplay(contact.phone)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="p-6 border-t bg-gray-50 flex justify-end gap-3">
+          <Button variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button onClick={handleExport} disabled={isExporting || contacts.length === 0}>
+            <Download className="w-4 h-4 mr-2" />
+            Download {fileCount === 1 ? 'vCard' : `${fileCount} vCards`}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VCardExportDialog;
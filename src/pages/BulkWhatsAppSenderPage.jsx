@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
 import { Helmet } from 'react-helmet';
 import {
   ArrowLeft,
@@ -7,7 +7,11 @@ import {
   Users,
   FileText,
   Send,
-  Settings
+  Settings,
+  Contact,
+  UserPlus,
+  ShieldOff,
+  X
 } from 'lucide-react';
 
 import { Button } from '../components/ui/button';
@@ -18,15 +22,38 @@ import InputForm from '../components/InputForm';
 import TemplateEditor from '../components/TemplateEditor';
 import MessagePreview from '../components/MessagePreview';
 import BulkSender from '../components/BulkSender';
+import VCardExportDialog from '../components/VCardExportDialog';
+import AppendModeBanner from '../components/AppendModeBanner';
+import SuppressionListDialog from '../components/SuppressionListDialog';
+import SuppressedContactsNotice from '../components/SuppressedContactsNotice';
+import ConsentSettingsCard from '../components/ConsentSettingsCard';
+import FrequencyCapCard from '../components/FrequencyCapCard';
+import TemplateCoverageCard from '../components/TemplateCoverageCard';
 
 import {
   deduplicateContacts,
   validateContacts,
   formatContactsForSending,
-  saveContactsToStorage
+  mergeIntoContactSet
 } from '../utils/contactUtils';
+import { loadConsentSettings, saveConsentSettings, getConsentState, normalizeConsent } from '../utils/consentUtils';
+import { filterSuppressed, summarizeExclusions, logSuppressionOverride } from '../utils/suppressionUtils';
+import {
+  saveContactList,
+  migrateLegacyLists,
+  countMessagesSince,
+  getStorageErrorMessage,
+  AUTO_SAVE_PREFIX
+} from '../utils/contactBook';
+import { loadFrequencyCap, saveFrequencyCap, getCapWindowStart, findOverCapContacts } from '../utils/frequencyUtils';
 
-import { generatePreview } from '../utils/templateUtils';
+import {
+  generatePreview,
+  checkTemplateCoverage,
+  getCampaignFallbacks,
+  getBlankFieldExclusions
+} from '../utils/templateUtils';
+import { parseTemplate } from '../utils/templateParser';
 
 const STEPS = [
   { id: 1, name: 'Input Source', description: 'Choose import method' },
@@ -36,20 +63,105 @@ const STEPS = [
   { id: 5, name: 'Send', description: 'Start Campaign' }
 ];
 
+// Coverage renders the template for every contact, so it waits for a pause in typing
+const COVERAGE_DELAY_MS = 400;
+
 function BulkWhatsAppSenderPage() {
   const { toast } = useToast();
 
   const [currentStep, setCurrentStep] = useState(1);
   const [inputSource, setInputSource] = useState('paste');
   const [contacts, setContacts] = useState([]);
+  // Loaded contacts as imported, before sending defaults are filled in, by phone
+  const importedRef = useRef(new Map());
   const [template, setTemplate] = useState('');
 
   const [showPreview, setShowPreview] = useState(false);
   const [previewMessages, setPreviewMessages] = useState([]);
   const [previewConfirmed, setPreviewConfirmed] = useState(false);
+  const [showVCardExport, setShowVCardExport] = useState(false);
+
+  // "Add more contacts" merges the next import into the loaded set instead of replacing it
+  const [appendMode, setAppendMode] = useState(false);
+  const [conflictStrategy, setConflictStrategy] = useState('fill_blanks');
+  const [mergeSummary, setMergeSummary] = useState(null); // { added, updated, skipped }
+
+  // Do-not-contact handling: contacts held back on load, and numbers allowed through by an override
+  const [showSuppressionList, setShowSuppressionList] = useState(false);
+  const [suppressed, setSuppressed] = useState([]); // [{ contact, entry }]
+  const [overriddenPhones, setOverriddenPhones] = useState(new Set());
+
+  // Campaign setting: only message contacts with a valid opt-in
+  const [consentSettings, setConsentSettings] = useState(loadConsentSettings);
+
+  // Campaign setting: how often one number may be messaged, and who this campaign would take over it
+  const [frequencyCap, setFrequencyCap] = useState(loadFrequencyCap);
+  const [overCap, setOverCap] = useState(new Map()); // phone -> messages inside the cap window
+
+  // Campaign setting: what to do with recipients who would get a blank placeholder
+  const [blankFieldSettings, setBlankFieldSettings] = useState({ action: 'block', fallbacks: {} });
+  const [coverageTemplate, setCoverageTemplate] = useState('');
+
+  // Every message is rendered once, when the campaign moves to the send step
+  const [finalMessages, setFinalMessages] = useState([]);
 
   /* ---------------- CONTACT HANDLING ---------------- */
 
+  // Lists saved by older versions live in localStorage; move them into the contact book once
+  useEffect(() => {
+    migrateLegacyLists()
+      .then(count => {
+        if (count > 0) {
+          toast({
+            title: 'Saved Lists Upgraded',
+            description: `${count} saved lists moved to the new contact book`
+          });
+        }
+      })
+      .catch(error => {
+        console.error('Failed to migrate saved lists:', error);
+        toast({
+          title: 'Saved Lists Not Upgraded',
+          description: getStorageErrorMessage(error),
+          variant: 'destructive'
+        });
+      });
+  }, []);
+
+  // Look up each recipient's recent messages in the contact book history
+  useEffect(() => {
+    if (!frequencyCap.enabled || contacts.length === 0) {
+      setOverCap(new Map());
+      return;
+    }
+
+    let cancelled = false;
+    countMessagesSince(getCapWindowStart(frequencyCap))
+      .then(counts => {
+        if (!cancelled) setOverCap(findOverCapContacts(contacts, counts, frequencyCap));
+      })
+      .catch(error => {
+        console.error('Failed to check frequency cap:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [contacts, frequencyCap]);
+
+  // Every loaded set is kept in the contact book as an automatic save
+  const autoSaveContacts = async (list) => {
+    try {
+      await saveContactList(list, `${AUTO_SAVE_PREFIX} ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      console.error('Failed to save contacts:', error);
+      toast({
+        title: 'Contacts Not Saved',
+        description: getStorageErrorMessage(error),
+        variant: 'destructive'
+      });
+    }
+  };
+
   const handleContactsLoaded = (loadedContacts) => {
     const deduplicated = deduplicateContacts(loadedContacts);
     const { valid, invalid } = validateContacts(deduplicated);
@@ -71,19 +183,105 @@ function BulkWhatsAppSenderPage() {
       return;
     }
 
-    const formatted = formatContactsForSending(valid);
-    setContacts(formatted);
+    // Merges and the contact book work on contacts as imported; only the contacts
+    // being sent get defaults such as first_name "there"
+    const imported = valid.map(normalizeConsent);
+
+    // Numbers on the do-not-contact list are held back unless overridden for this campaign
+    const appending = appendMode && contacts.length > 0;
+    const { allowed, excluded } = filterSuppressed(imported, appending ? overriddenPhones : new Set());
+
+    if (appending) {
+      setSuppressed(prev => [
+        ...prev,
+        ...excluded.filter(item => !prev.some(p => p.contact.phone === item.contact.phone))
+      ]);
+    } else {
+      setSuppressed(excluded);
+      setOverriddenPhones(new Set());
+    }
 
-    saveContactsToStorage(
-      formatted,
-      `Auto-save ${new Date().toLocaleTimeString()}`
-    );
+    if (excluded.length > 0) {
+      toast({
+        title: 'Do-Not-Contact Numbers Removed',
+        description: `${excluded.length} excluded: ${summarizeExclusions(excluded).map(({ reason, count }) => `${count} × ${reason}`).join(', ')}`
+      });
+    }
+
+    if (allowed.length === 0) {
+      toast({
+        title: 'No Contacts Left',
+        description: 'Every contact is on the do-not-contact list.',
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    if (appending) {
+      const existing = contacts.map(contact => importedRef.current.get(contact.phone) || contact);
+      const { contacts: merged, summary } = mergeIntoContactSet(existing, allowed, conflictStrategy);
+      [...excluded.map(item => item.contact), ...merged].forEach(contact => importedRef.current.set(contact.phone, contact));
+      setContacts(formatContactsForSending(merged));
+      setMergeSummary(summary);
+      setAppendMode(false);
+
+      autoSaveContacts(merged);
+
+      toast({
+        title: 'Contacts Merged',
+        description: `${summary.added} added • ${summary.updated} updated • ${summary.skipped} skipped`
+      });
+
+      setCurrentStep(3);
+      return;
+    }
+
+    importedRef.current = new Map(imported.map(contact => [contact.phone, contact]));
+    setContacts(formatContactsForSending(allowed));
+    setMergeSummary(null);
+
+    autoSaveContacts(allowed);
 
     toast({
       title: 'Contacts Ready',
-      description: `${formatted.length} contacts ready for messaging`
+      description: `${allowed.length} contacts ready for messaging`
+    });
+
+    setCurrentStep(3);
+  };
+
+  const handleOverrideSuppression = (phones, justification) => {
+    if (!logSuppressionOverride(phones, justification)) {
+      toast({
+        title: 'Override Not Logged',
+        description: 'Could not record the override, so the contacts were not added.',
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    const allowed = new Set(phones);
+    setOverriddenPhones(prev => new Set([...prev, ...phones]));
+    setContacts(prev => [
+      ...prev,
+      ...formatContactsForSending(suppressed.filter(item => allowed.has(item.contact.phone)).map(item => item.contact))
+    ]);
+    setSuppressed(prev => prev.filter(item => !allowed.has(item.contact.phone)));
+
+    toast({
+      title: 'Suppression Overridden',
+      description: `${phones.length} contacts added back. The override was logged.`
     });
+  };
+
+  const startAppend = () => {
+    setAppendMode(true);
+    setMergeSummary(null);
+    setCurrentStep(1);
+  };
 
+  const cancelAppend = () => {
+    setAppendMode(false);
     setCurrentStep(3);
   };
 
@@ -99,17 +297,43 @@ function BulkWhatsAppSenderPage() {
       return;
     }
 
-    const previews = generatePreview(template, contacts, 5);
+    const [syntaxError] = parseTemplate(template).errors;
+    if (syntaxError) {
+      toast({
+        title: 'Template Has Errors',
+        description: `Line ${syntaxError.line}, column ${syntaxError.column}: ${syntaxError.message}`,
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    const current = flushCoverage();
+    if (blankFieldSettings.action === 'block' && current.length > 0) {
+      toast({
+        title: 'Blank Values in Template',
+        description: `${current.map(field => `{${field.key}}`).join(', ')} would be blank for some recipients. Exclude them or set a fallback to continue.`,
+        variant: 'destructive'
+      });
+      return;
+    }
+
+    const previews = generatePreview(template, contacts, 5, getCampaignFallbacks(current, blankFieldSettings));
     setPreviewMessages(previews);
     setPreviewConfirmed(false);
     setShowPreview(true);
     setCurrentStep(4);
   };
 
+  const enterSendStep = () => {
+    const fallbacks = getCampaignFallbacks(flushCoverage(), blankFieldSettings);
+    setFinalMessages(contacts.length && template ? generatePreview(template, contacts, contacts.length, fallbacks) : []);
+    setCurrentStep(5);
+  };
+
   const confirmPreview = () => {
     setShowPreview(false);
     setPreviewConfirmed(true);
-    setCurrentStep(5);
+    enterSendStep();
   };
 
   /* ---------------- NAVIGATION ---------------- */
@@ -123,6 +347,10 @@ function BulkWhatsAppSenderPage() {
       });
       return;
     }
+    if (currentStep === 4) {
+      enterSendStep();
+      return;
+    }
     setCurrentStep((s) => Math.min(s + 1, 5));
   };
 
@@ -130,12 +358,58 @@ function BulkWhatsAppSenderPage() {
     setCurrentStep((s) => Math.max(s - 1, 1));
   };
 
+  const handleConsentSettingsChange = (settings) => {
+    setConsentSettings(settings);
+    saveConsentSettings(settings);
+  };
+
+  const handleFrequencyCapChange = (cap) => {
+    setFrequencyCap(cap);
+    saveFrequencyCap(cap);
+  };
+
+  const handleSkipOverCap = () => {
+    const remaining = contacts.filter(contact => !overCap.has(contact.phone));
+    setContacts(remaining);
+    setPreviewMessages(generatePreview(template, remaining, 5, campaignFallbacks));
+    toast({
+      title: 'Recipients Skipped',
+      description: `${contacts.length - remaining.length} recipients over the frequency cap removed from this campaign`
+    });
+  };
+
+  const validConsentCount = useMemo(
+    () => contacts.filter(contact => getConsentState(contact, consentSettings).valid).length,
+    [contacts, consentSettings]
+  );
+
   /* ---------------- FINAL MESSAGE BUILD ---------------- */
 
-  const finalMessages = useMemo(() => {
-    if (!contacts.length || !template) return [];
-    return generatePreview(template, contacts, contacts.length);
-  }, [contacts, template]);
+  useEffect(() => {
+    const timer = setTimeout(() => setCoverageTemplate(template), COVERAGE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [template]);
+
+  // Every recipient checked, per placeholder
+  const coverage = useMemo(() => checkTemplateCoverage(coverageTemplate, contacts), [coverageTemplate, contacts]);
+
+  // Coverage of the template as it is now, for actions taken before the delay runs out
+  const flushCoverage = () => {
+    if (coverageTemplate === template) return coverage;
+    setCoverageTemplate(template);
+    return checkTemplateCoverage(template, contacts);
+  };
+
+  const campaignFallbacks = useMemo(
+    () => getCampaignFallbacks(coverage, blankFieldSettings),
+    [coverage, blankFieldSettings]
+  );
+
+  // phone -> placeholders that would be blank, for recipients left out of this campaign
+  const blankFieldExclusions = useMemo(
+    () => getBlankFieldExclusions(coverage, blankFieldSettings),
+    [coverage, blankFieldSettings]
+  );
 
   return (
     <div className="min-h-screen bg-gray-50/50">
@@ -146,11 +420,17 @@ function BulkWhatsAppSenderPage() {
       <div className="max-w-6xl mx-auto px-4 py-8">
 
         {/* HEADER */}
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold">Bulk Sender</h1>
-          <p className="text-gray-500 mt-1">
-            Manage your campaign in 5 easy steps
-          </p>
+        <div className="mb-8 flex items-start gap-4">
+          <div className="flex-1">
+            <h1 className="text-3xl font-bold">Bulk Sender</h1>
+            <p className="text-gray-500 mt-1">
+              Manage your campaign in 5 easy steps
+            </p>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => setShowSuppressionList(true)}>
+            <ShieldOff className="w-4 h-4 mr-2" />
+            Do-Not-Contact List
+          </Button>
         </div>
 
         {/* STEPPER */}
@@ -194,6 +474,15 @@ function BulkWhatsAppSenderPage() {
                 <h2 className="text-xl font-bold">Select Input Source</h2>
               </div>
 
+              {appendMode && (
+                <AppendModeBanner
+                  contactCount={contacts.length}
+                  strategy={conflictStrategy}
+                  onStrategyChange={setConflictStrategy}
+                  onCancel={cancelAppend}
+                />
+              )}
+
               <InputSourceSelector
                 selectedSource={inputSource}
                 onSelectSource={(source) => {
@@ -212,6 +501,15 @@ function BulkWhatsAppSenderPage() {
                 <h2 className="text-xl font-bold">Import Contacts</h2>
               </div>
 
+              {appendMode && (
+                <AppendModeBanner
+                  contactCount={contacts.length}
+                  strategy={conflictStrategy}
+                  onStrategyChange={setConflictStrategy}
+                  onCancel={cancelAppend}
+                />
+              )}
+
               <InputForm
                 inputSource={inputSource}
                 onContactsLoaded={handleContactsLoaded}
@@ -231,15 +529,55 @@ function BulkWhatsAppSenderPage() {
             <div>
               <div className="flex items-center gap-3 mb-6">
                 <FileText className="text-blue-600" />
-                <h2 className="text-xl font-bold">Compose Message</h2>
+                <h2 className="text-xl font-bold flex-1">Compose Message</h2>
+                <Button variant="outline" size="sm" onClick={startAppend}>
+                  <UserPlus className="w-4 h-4 mr-2" />
+                  Add More Contacts
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => setShowVCardExport(true)}>
+                  <Contact className="w-4 h-4 mr-2" />
+                  Export vCard
+                </Button>
               </div>
 
+              {mergeSummary && (
+                <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center gap-3 text-sm">
+                  <UserPlus className="w-5 h-5 text-green-600" />
+                  <p className="flex-1 text-green-900">
+                    <span className="font-medium">{mergeSummary.added}</span> added •{' '}
+                    <span className="font-medium">{mergeSummary.updated}</span> updated •{' '}
+                    <span className="font-medium">{mergeSummary.skipped}</span> skipped •{' '}
+                    {contacts.length} contacts in total
+                  </p>
+                  <button onClick={() => setMergeSummary(null)} className="text-green-600 hover:text-green-800">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+
+              {suppressed.length > 0 && (
+                <SuppressedContactsNotice
+                  excluded={suppressed}
+                  onOverride={handleOverrideSuppression}
+                  onDismiss={() => setSuppressed([])}
+                />
+              )}
+
               <TemplateEditor
                 contacts={contacts}
                 template={template}
                 onTemplateChange={setTemplate}
                 onPreview={openPreview}
               />
+
+              {template.trim() && contacts.length > 0 && (
+                <TemplateCoverageCard
+                  coverage={coverage}
+                  totalCount={contacts.length}
+                  settings={blankFieldSettings}
+                  onSettingsChange={setBlankFieldSettings}
+                />
+              )}
             </div>
           )}
 
@@ -267,6 +605,20 @@ function BulkWhatsAppSenderPage() {
                 </div>
               </div>
 
+              <ConsentSettingsCard
+                contacts={contacts}
+                settings={consentSettings}
+                onSettingsChange={handleConsentSettingsChange}
+                validCount={validConsentCount}
+              />
+
+              <FrequencyCapCard
+                cap={frequencyCap}
+                onCapChange={handleFrequencyCapChange}
+                overCapCount={overCap.size}
+                onSkipOverCap={handleSkipOverCap}
+              />
+
               <Button variant="outline" onClick={handlePrevStep}>
                 <ArrowLeft className="w-4 h-4 mr-2" />
                 Back to Edit
@@ -282,10 +634,25 @@ function BulkWhatsAppSenderPage() {
                 <h2 className="text-xl font-bold">Sending Campaign</h2>
               </div>
 
-              <BulkSender contacts={contacts} messages={finalMessages} />
+              <BulkSender
+                contacts={contacts}
+                messages={finalMessages}
+                overriddenPhones={overriddenPhones}
+                consentSettings={consentSettings}
+                blankFieldExclusions={blankFieldExclusions}
+                overCap={frequencyCap.skipOverCap ? overCap : new Map()}
+              />
 
               <div className="mt-8">
-                <Button variant="ghost" onClick={() => setCurrentStep(1)}>
+                <Button
+                  variant="ghost"
+                  onClick={() => {
+                    setAppendMode(false);
+                    setMergeSummary(null);
+                    setBlankFieldSettings({ action: 'block', fallbacks: {} });
+                    setCurrentStep(1);
+                  }}
+                >
                   Start New Campaign
                 </Button>
               </div>
@@ -299,10 +666,29 @@ function BulkWhatsAppSenderPage() {
         <MessagePreview
           previews={previewMessages}
           totalCount={contacts.length}
+          consentSettings={consentSettings}
+          validConsentCount={validConsentCount}
+          frequencyCap={frequencyCap}
+          overCap={overCap}
+          onFrequencyCapChange={handleFrequencyCapChange}
+          onSkipOverCap={handleSkipOverCap}
+          blankExcludedCount={blankFieldExclusions.size}
           onClose={() => setShowPreview(false)}
           onConfirm={confirmPreview}
         />
       )}
+
+      {showSuppressionList && (
+        <SuppressionListDialog onClose={() => setShowSuppressionList(false)} />
+      )}
+
+      {showVCardExport && (
+        <VCardExportDialog
+          contacts={contacts}
+          filename="contacts"
+          onClose={() => setShowVCardExport(false)}
+        />
+      )}
     </div>
   );
 }
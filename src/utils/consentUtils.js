@@ -0,0 +1,146 @@
+/**
+ * Consent records
+ * A contact's consent lives in four fields: consent_status, consent_date (YYYY-MM-DD),
+ * consent_source (how they opted in) and consent_proof (a note pointing at the evidence).
+ */
+
+import { parseUnambiguousDate } from './transformUtils';
+
+export const CONSENT_FIELDS = ['consent_status', 'consent_date', 'consent_source', 'consent_proof'];
+
+export const CONSENT_STATUSES = [
+  { value: 'opted_in', label: 'Opted in' },
+  { value: 'opted_out', label: 'Opted out' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'unknown', label: 'Unknown' }
+];
+
+// Spreadsheet values that mean the same thing as each status
+const STATUS_ALIASES = {
+  opted_in: ['opted in', 'opt in', 'optin', 'yes', 'y', 'true', '1', 'subscribed', 'granted', 'consented', 'confirmed'],
+  opted_out: ['opted out', 'opt out', 'optout', 'no', 'n', 'false', '0', 'unsubscribed', 'withdrawn', 'revoked', 'declined'],
+  pending: ['pending', 'requested', 'awaiting', 'double opt in pending']
+};
+
+/**
+ * Turn an imported consent value into one of CONSENT_STATUSES
+ * @param {*} value - Raw value ("Yes", "Subscribed", "opted_in"...)
+ * @returns {string} - Status value, 'unknown' if not recognized
+ */
+export function normalizeConsentStatus(value) {
+  const text = String(value ?? '').trim().toLowerCase().replace(/[_-]+/g, ' ');
+  if (!text) return 'unknown';
+
+  const status = Object.keys(STATUS_ALIASES).find(key => (
+    key.replace('_', ' ') === text || STATUS_ALIASES[key].includes(text)
+  ));
+  return status || 'unknown';
+}
+
+/**
+ * Normalize the consent fields of a contact
+ * Contacts without any consent field are returned unchanged
+ * @param {Object} contact - Contact
+ * @returns {Object} - Contact with a known status and an ISO consent date
+ */
+export function normalizeConsent(contact) {
+  if (!CONSENT_FIELDS.some(field => contact[field] !== undefined)) return contact;
+
+  return {
+    ...contact,
+    consent_status: normalizeConsentStatus(contact.consent_status),
+    // Dates that can't be read one way are kept as typed, so they stay invalid
+    consent_date: contact.consent_date ? (parseUnambiguousDate(contact.consent_date) || String(contact.consent_date)) : ''
+  };
+}
+
+/**
+ * Decide whether a contact has valid consent
+ * Valid consent is "opted in" with an unambiguous date that is not in the future
+ * and, when maxAgeMonths is set, not older than that.
+ * @param {Object} contact - Contact
+ * @param {Object} settings - { maxAgeMonths }
+ * @returns {Object} - { valid, status, reason }
+ */
+export function getConsentState(contact, settings = {}) {
+  const status = normalizeConsentStatus(contact.consent_status);
+  const label = CONSENT_STATUSES.find(s => s.value === status).label;
+
+  if (status !== 'opted_in') {
+    return { valid: false, status, reason: status === 'unknown' ? 'No consent recorded' : label };
+  }
+
+  if (!String(contact.consent_date ?? '').trim()) return { valid: false, status, reason: 'Opt-in date missing' };
+
+  const date = parseUnambiguousDate(contact.consent_date);
+  if (!date) return { valid: false, status, reason: 'Opt-in date unclear' };
+
+  const time = Date.parse(date);
+  if (time > Date.now()) return { valid: false, status, reason: 'Opt-in date is in the future' };
+
+  if (settings.maxAgeMonths > 0) {
+    const expires = new Date(time);
+    expires.setMonth(expires.getMonth() + Number(settings.maxAgeMonths));
+    if (expires.getTime() < Date.now()) {
+      return { valid: false, status, reason: `Opt-in older than ${settings.maxAgeMonths} months` };
+    }
+  }
+
+  return { valid: true, status, reason: `${label} on ${date}` };
+}
+
+/**
+ * Load the campaign consent settings
+ * @returns {Object} - { requireConsent, maxAgeMonths }
+ */
+export function loadConsentSettings() {
+  const defaults = { requireConsent: false, maxAgeMonths: 0 };
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_consentSettings');
+    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+  } catch (error) {
+    console.error('Error loading consent settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Save the campaign consent settings
+ * @param {Object} settings - { requireConsent, maxAgeMonths }
+ * @returns {boolean} - Success status
+ */
+export function saveConsentSettings(settings) {
+  try {
+    localStorage.setItem('bulkWhatsApp_consentSettings', JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving consent settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Build the rows of a consent report for a campaign
+ * @param {Array} contacts - Campaign recipients
+ * @param {Object} settings - { requireConsent, maxAgeMonths }
+ * @returns {Array} - One row per recipient
+ */
+export function buildConsentReport(contacts, settings) {
+  const generated = new Date().toISOString();
+
+  return contacts.map(contact => {
+    const state = getConsentState(contact, settings);
+    return {
+      'Phone': contact.phone,
+      'Name': contact.name || `${contact.first_name || ''} ${contact.last_name || ''}`.trim(),
+      'Consent Status': CONSENT_STATUSES.find(s => s.value === state.status).label,
+      'Consent Date': contact.consent_date || '',
+      'Consent Source': contact.consent_source || '',
+      'Proof': contact.consent_proof || '',
+      'Valid Consent': state.valid ? 'Yes' : 'No',
+      'Detail': state.reason,
+      'Included In Campaign': !settings.requireConsent || state.valid ? 'Yes' : 'No',
+      'Report Generated': generated
+    };
+  });
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { getConsentState, normalizeConsent, normalizeConsentStatus } from './consentUtils';
+
+describe('normalizeConsentStatus', () => {
+  it('maps spreadsheet values to statuses', () => {
+    expect(normalizeConsentStatus('Yes')).toBe('opted_in');
+    expect(normalizeConsentStatus('Unsubscribed')).toBe('opted_out');
+    expect(normalizeConsentStatus('awaiting')).toBe('pending');
+    expect(normalizeConsentStatus('maybe')).toBe('unknown');
+  });
+});
+
+describe('getConsentState', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-06-01T12:00:00Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('accepts an opt-in with a clear date', () => {
+    expect(getConsentState({ consent_status: 'yes', consent_date: '2024-01-15' })).toMatchObject({ valid: true });
+    expect(getConsentState({ consent_status: 'yes', consent_date: '25/04/2024' })).toMatchObject({ valid: true });
+  });
+
+  it('rejects contacts that did not opt in', () => {
+    expect(getConsentState({})).toMatchObject({ valid: false, reason: 'No consent recorded' });
+    expect(getConsentState({ consent_status: 'no', consent_date: '2024-01-15' })).toMatchObject({ valid: false });
+  });
+
+  it('fails closed on missing, unclear and future dates', () => {
+    expect(getConsentState({ consent_status: 'yes' }).reason).toBe('Opt-in date missing');
+    expect(getConsentState({ consent_status: 'yes', consent_date: '03/04/2024' }).reason).toBe('Opt-in date unclear');
+    expect(getConsentState({ consent_status: 'yes', consent_date: '2024' }).reason).toBe('Opt-in date unclear');
+    expect(getConsentState({ consent_status: 'yes', consent_date: 'last spring' }).reason).toBe('Opt-in date unclear');
+    expect(getConsentState({ consent_status: 'yes', consent_date: '2025-01-01' }).reason).toBe('Opt-in date is in the future');
+  });
+
+  it('expires opt-ins older than maxAgeMonths', () => {
+    const contact = { consent_status: 'yes', consent_date: '2023-01-15' };
+    expect(getConsentState(contact, { maxAgeMonths: 12 })).toMatchObject({ valid: false });
+    expect(getConsentState(contact, { maxAgeMonths: 24 })).toMatchObject({ valid: true });
+  });
+});
+
+describe('normalizeConsent', () => {
+  it('keeps unclear dates as written', () => {
+    expect(normalizeConsent({ consent_status: 'Yes', consent_date: '03/04/2024' })).toMatchObject({
+      consent_status: 'opted_in',
+      consent_date: '03/04/2024'
+    });
+  });
+});
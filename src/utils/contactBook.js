@@ -0,0 +1,570 @@
+/**
+ * Contact book stored in IndexedDB
+ * Each contact is stored once, keyed by its normalized phone number. Saved lists
+ * only hold the phone numbers of their members, so saving the same people in
+ * several lists costs almost nothing. Every chat opened by a campaign is kept in
+ * a separate history store.
+ */
+
+import { mergeContactFields } from './contactUtils';
+import { parseTags } from './segmentUtils';
+import { getPhoneSearchPrefixes } from './phoneUtils';
+
+const DB_NAME = 'bulkWhatsApp_contactBook';
+const DB_VERSION = 2;
+const LEGACY_LISTS_KEY = 'bulkWhatsApp_contacts';
+
+// Name prefix of the lists saved automatically on every import
+export const AUTO_SAVE_PREFIX = 'Auto-save';
+
+// Fields split into words for the search index
+const SEARCH_FIELDS = ['name', 'first_name', 'last_name', 'email', 'location', 'tags'];
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} - Resolves with the request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise} - Resolves once the transaction completes
+ */
+function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+/**
+ * Open the contact book, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openContactBook() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser does not support IndexedDB'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (event.oldVersion < 1) {
+          const contacts = db.createObjectStore('contacts', { keyPath: 'phone' });
+          contacts.createIndex('keywords', 'keywords', { multiEntry: true });
+          contacts.createIndex('email', 'email');
+          db.createObjectStore('lists', { keyPath: 'id' });
+        }
+
+        if (event.oldVersion < 2) {
+          const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+          history.createIndex('phone', 'phone');
+          history.createIndex('timestamp', 'timestamp');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Lowercase words a contact can be found by
+ * @param {Object} contact - Contact object
+ * @returns {Array} - Unique search words, including the phone digits
+ */
+function getKeywords(contact) {
+  const words = new Set([String(contact.phone).replace(/\D/g, '')]);
+  SEARCH_FIELDS.forEach(field => {
+    [].concat(contact[field] ?? '').join(' ')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}@.]+/u)
+      .filter(Boolean)
+      .forEach(word => words.add(word));
+  });
+  return [...words];
+}
+
+const toRecord = (contact) => {
+  const record = { ...contact };
+  if (record.tags !== undefined) record.tags = parseTags(record.tags);
+  return { ...record, keywords: getKeywords(record) };
+};
+
+// The search words are index data, not part of the contact
+const fromRecord = ({ keywords, ...contact }) => contact;
+
+/**
+ * Check whether an error means the browser ran out of storage space
+ * @param {Error} error - Error from a contact book call
+ * @returns {boolean} - True for quota errors
+ */
+export function isQuotaError(error) {
+  return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Message to show when a contact book call fails
+ * @param {Error} error - Error from a contact book call
+ * @returns {string} - User-facing explanation
+ */
+export function getStorageErrorMessage(error) {
+  if (isQuotaError(error)) {
+    return 'Browser storage is full. Delete old saved lists or remove unused contacts under "Saved Lists" to free space.';
+  }
+  return error?.message || 'Could not access the contact book';
+}
+
+/**
+ * Store contacts in the book, merging with any stored contact with the same phone
+ * Stored values are kept unless the new contact has a non-empty value for the field.
+ * @param {Array} contacts - Contacts with normalized phones
+ * @returns {Promise<number>} - Number of contacts written
+ */
+export async function upsertContacts(contacts) {
+  const db = await openContactBook();
+  const tx = db.transaction('contacts', 'readwrite');
+  const store = tx.objectStore('contacts');
+
+  contacts.forEach(contact => {
+    if (!contact.phone) return;
+    store.get(contact.phone).onsuccess = (event) => {
+      const existing = event.target.result;
+      if (!existing) {
+        store.put(toRecord(contact));
+        return;
+      }
+
+      // Tags from every import are kept together
+      const merged = mergeContactFields([fromRecord(existing), contact], 'prefer_last');
+      if (existing.tags || contact.tags) {
+        merged.tags = parseTags([...(existing.tags || []), ...parseTags(contact.tags)]);
+      }
+      store.put(toRecord(merged));
+    };
+  });
+
+  await done(tx);
+  return contacts.length;
+}
+
+/**
+ * Apply a change to stored contacts
+ * @param {Array} phones - Phones of the contacts to change
+ * @param {Function} update - (contact) => changed contact
+ * @returns {Promise<number>} - Number of contacts changed
+ */
+async function updateContacts(phones, update) {
+  const db = await openContactBook();
+  const tx = db.transaction('contacts', 'readwrite');
+  const store = tx.objectStore('contacts');
+  let changed = 0;
+
+  phones.forEach(phone => {
+    store.get(phone).onsuccess = (event) => {
+      const existing = event.target.result;
+      if (!existing) return;
+      store.put(toRecord(update(fromRecord(existing))));
+      changed++;
+    };
+  });
+
+  await done(tx);
+  return changed;
+}
+
+/**
+ * Add and remove tags on stored contacts
+ * @param {Array} phones - Phones of the contacts to tag
+ * @param {Object} changes - { add: [], remove: [] }
+ * @returns {Promise<number>} - Number of contacts changed
+ */
+export function updateContactTags(phones, { add = [], remove = [] }) {
+  const removed = parseTags(remove);
+  return updateContacts(phones, contact => ({
+    ...contact,
+    tags: parseTags([...(contact.tags || []), ...parseTags(add)]).filter(tag => !removed.includes(tag))
+  }));
+}
+
+/**
+ * Record that a campaign opened a chat with a number
+ * The message is added to the number's history, and a stored contact gets its
+ * last_messaged time updated.
+ * @param {string} phone - Recipient phone
+ * @param {Object} details - { message, campaignId, timestamp }
+ * @returns {Promise<void>}
+ */
+export async function recordMessageSent(phone, { message = '', campaignId = null, timestamp = new Date().toISOString() } = {}) {
+  const db = await openContactBook();
+  const tx = db.transaction(['contacts', 'history'], 'readwrite');
+  const contacts = tx.objectStore('contacts');
+
+  tx.objectStore('history').add({ phone, timestamp, campaignId, message });
+  contacts.get(phone).onsuccess = (event) => {
+    const existing = event.target.result;
+    if (existing) contacts.put({ ...existing, last_messaged: timestamp });
+  };
+
+  await done(tx);
+}
+
+/**
+ * Load the messages sent to a number, newest first
+ * @param {string} phone - Recipient phone
+ * @returns {Promise<Array>} - [{ id, phone, timestamp, campaignId, message }]
+ */
+export async function loadContactHistory(phone) {
+  const db = await openContactBook();
+  const records = await promisify(db.transaction('history').objectStore('history').index('phone').getAll(phone));
+  return records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Count messages sent to each number since a point in time
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Map>} - phone -> number of messages
+ */
+export async function countMessagesSince(since) {
+  const db = await openContactBook();
+  const records = await promisify(
+    db.transaction('history').objectStore('history').index('timestamp').getAll(IDBKeyRange.lowerBound(since))
+  );
+
+  const counts = new Map();
+  records.forEach(record => counts.set(record.phone, (counts.get(record.phone) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Load every contact in the book
+ * @returns {Promise<Array>} - Contacts
+ */
+export async function loadAllContacts() {
+  const db = await openContactBook();
+  const records = await promisify(db.transaction('contacts').objectStore('contacts').getAll());
+  return records.map(fromRecord);
+}
+
+/**
+ * Save contacts as a named list
+ * @param {Array} contacts - Contacts to save
+ * @param {string} name - List name
+ * @returns {Promise<Object>} - Saved list { id, name, phones, count, timestamp }
+ */
+export async function saveContactList(contacts, name = 'Default') {
+  const phones = [...new Set(contacts.map(contact => contact.phone).filter(Boolean))];
+  await upsertContacts(contacts);
+
+  const list = {
+    id: `list-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+    name,
+    phones,
+    count: phones.length,
+    timestamp: new Date().toISOString()
+  };
+
+  const db = await openContactBook();
+  const tx = db.transaction('lists', 'readwrite');
+  tx.objectStore('lists').put(list);
+  await done(tx);
+  return list;
+}
+
+/**
+ * Load saved lists, newest first
+ * @returns {Promise<Array>} - Lists without their contacts
+ */
+export async function loadContactLists() {
+  const db = await openContactBook();
+  const lists = await promisify(db.transaction('lists').objectStore('lists').getAll());
+  return lists.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+/**
+ * Load the contacts of a saved list in list order
+ * Phones whose contact record is missing are skipped
+ * @param {string} listId - List id
+ * @returns {Promise<Array>} - Contacts
+ */
+export async function loadListContacts(listId) {
+  const db = await openContactBook();
+  const tx = db.transaction(['lists', 'contacts']);
+  const list = await promisify(tx.objectStore('lists').get(listId));
+  if (!list) return [];
+
+  const store = tx.objectStore('contacts');
+  const records = await Promise.all(list.phones.map(phone => promisify(store.get(phone))));
+  return records.filter(Boolean).map(fromRecord);
+}
+
+/**
+ * Delete a saved list; its contacts stay in the book
+ * @param {string} listId - List id
+ * @returns {Promise<void>}
+ */
+export async function deleteSavedList(listId) {
+  const db = await openContactBook();
+  const tx = db.transaction('lists', 'readwrite');
+  tx.objectStore('lists').delete(listId);
+  await done(tx);
+}
+
+/**
+ * Change a saved list
+ * @param {string} listId - List id
+ * @param {Function} update - (list) => changed list
+ * @returns {Promise<Object|null>} - The changed list, or null if it does not exist
+ */
+async function updateList(listId, update) {
+  const db = await openContactBook();
+  const tx = db.transaction('lists', 'readwrite');
+  const store = tx.objectStore('lists');
+  const list = await promisify(store.get(listId));
+  if (!list) return null;
+
+  const changed = update(list);
+  store.put({ ...changed, count: changed.phones.length });
+  await done(tx);
+  return changed;
+}
+
+/**
+ * Rename a saved list
+ * @param {string} listId - List id
+ * @param {string} name - New name
+ * @returns {Promise<Object|null>} - The renamed list
+ */
+export function renameList(listId, name) {
+  return updateList(listId, list => ({ ...list, name }));
+}
+
+/**
+ * Add contacts to a saved list, storing them in the book first
+ * Phones already in the list are not added twice
+ * @param {string} listId - List id
+ * @param {Array} contacts - Contacts to add
+ * @returns {Promise<Object|null>} - The changed list
+ */
+export async function addContactsToList(listId, contacts) {
+  await upsertContacts(contacts);
+  return updateList(listId, list => ({
+    ...list,
+    phones: [...new Set([...list.phones, ...contacts.map(contact => contact.phone).filter(Boolean)])]
+  }));
+}
+
+/**
+ * Remove contacts from a saved list; they stay in the book
+ * @param {string} listId - List id
+ * @param {Array} phones - Phones to remove
+ * @returns {Promise<Object|null>} - The changed list
+ */
+export function removeFromList(listId, phones) {
+  const remove = new Set(phones);
+  return updateList(listId, list => ({ ...list, phones: list.phones.filter(phone => !remove.has(phone)) }));
+}
+
+/**
+ * Move contacts from one saved list to another
+ * @param {string} fromListId - Source list id
+ * @param {string} toListId - Target list id
+ * @param {Array} phones - Phones to move
+ * @returns {Promise<void>}
+ */
+export async function moveContactsBetweenLists(fromListId, toListId, phones) {
+  await updateList(toListId, list => ({ ...list, phones: [...new Set([...list.phones, ...phones])] }));
+  await removeFromList(fromListId, phones);
+}
+
+/**
+ * Replace a stored contact with an edited version
+ * Fields missing from the edited contact are removed. When the phone number changes,
+ * every list referring to the old number is pointed at the new one.
+ * @param {string} originalPhone - Phone the contact is stored under
+ * @param {Object} contact - Edited contact
+ * @returns {Promise<Object>} - The saved contact
+ */
+export async function saveContact(originalPhone, contact) {
+  const db = await openContactBook();
+  const tx = db.transaction(['contacts', 'lists'], 'readwrite');
+  const contacts = tx.objectStore('contacts');
+
+  if (originalPhone && originalPhone !== contact.phone) {
+    contacts.delete(originalPhone);
+
+    const lists = tx.objectStore('lists');
+    const allLists = await promisify(lists.getAll());
+    allLists
+      .filter(list => list.phones.includes(originalPhone))
+      .forEach(list => {
+        const phones = [...new Set(list.phones.map(phone => (phone === originalPhone ? contact.phone : phone)))];
+        lists.put({ ...list, phones, count: phones.length });
+      });
+  }
+
+  contacts.put(toRecord(contact));
+  await done(tx);
+  return contact;
+}
+
+/**
+ * Check whether a phone number is already stored
+ * @param {string} phone - Normalized phone
+ * @returns {Promise<boolean>} - True if a contact has this number
+ */
+export async function hasContact(phone) {
+  const db = await openContactBook();
+  const count = await promisify(db.transaction('contacts').objectStore('contacts').count(phone));
+  return count > 0;
+}
+
+/**
+ * Delete every list whose name starts with a prefix (e.g. automatic saves)
+ * @param {string} prefix - Name prefix
+ * @returns {Promise<number>} - Number of lists deleted
+ */
+export async function deleteListsByPrefix(prefix) {
+  const lists = (await loadContactLists()).filter(list => list.name.startsWith(prefix));
+  const db = await openContactBook();
+  const tx = db.transaction('lists', 'readwrite');
+  lists.forEach(list => tx.objectStore('lists').delete(list.id));
+  await done(tx);
+  return lists.length;
+}
+
+/**
+ * Remove contacts that no saved list refers to
+ * @returns {Promise<number>} - Number of contacts removed
+ */
+export async function pruneUnusedContacts() {
+  const lists = await loadContactLists();
+  const used = new Set(lists.flatMap(list => list.phones));
+
+  const db = await openContactBook();
+  const tx = db.transaction('contacts', 'readwrite');
+  const store = tx.objectStore('contacts');
+  const phones = await promisify(store.getAllKeys());
+  const unused = phones.filter(phone => !used.has(phone));
+  unused.forEach(phone => store.delete(phone));
+  await done(tx);
+  return unused.length;
+}
+
+/**
+ * Find contacts by the start of their number or of a word in their name, email or location
+ * Every word of the query must match
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results, 0 for no limit
+ * @param {string} defaultCountryCode - Dial code for numbers typed without one (e.g. 0772...)
+ * @returns {Promise<Array>} - Matching contacts
+ */
+export async function searchContacts(query, limit = 50, defaultCountryCode = '+256') {
+  const db = await openContactBook();
+  const store = db.transaction('contacts').objectStore('contacts');
+  const count = limit > 0 ? limit : undefined;
+
+  // Numbers are looked up by key: "+2567" and, in Uganda, "07" find every stored +2567... phone
+  if (/^\+?[\d\s()-]+$/.test(query.trim())) {
+    const batches = await Promise.all(getPhoneSearchPrefixes(query, defaultCountryCode).map(prefix =>
+      promisify(store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`), count))
+    ));
+    const results = new Map();
+    batches.flat().forEach(record => results.set(record.phone, fromRecord(record)));
+    return [...results.values()].slice(0, count);
+  }
+
+  const terms = getKeywords({ phone: '', name: query }).filter(Boolean);
+  if (terms.length === 0) return [];
+
+  // Look up the longest word in the index, then check the rest in memory
+  const [first, ...rest] = [...terms].sort((a, b) => b.length - a.length);
+  const records = await promisify(
+    store.index('keywords').getAll(IDBKeyRange.bound(first, `${first}\uffff`), count && count * 4)
+  );
+
+  const results = new Map();
+  records.forEach(record => {
+    if (rest.every(term => record.keywords.some(word => word.startsWith(term)))) {
+      results.set(record.phone, fromRecord(record));
+    }
+  });
+  return [...results.values()].slice(0, count);
+}
+
+/**
+ * Count stored records and estimate the space used
+ * @returns {Promise<Object>} - { lists, contacts, usage, quota } (usage and quota in bytes, null if unknown)
+ */
+export async function getContactBookStats() {
+  const db = await openContactBook();
+  const tx = db.transaction(['lists', 'contacts']);
+  const [lists, contacts] = await Promise.all([
+    promisify(tx.objectStore('lists').count()),
+    promisify(tx.objectStore('contacts').count())
+  ]);
+
+  let usage = null;
+  let quota = null;
+  if (navigator.storage?.estimate) {
+    ({ usage = null, quota = null } = await navigator.storage.estimate());
+  }
+
+  return { lists, contacts, usage, quota };
+}
+
+/**
+ * Move lists saved by older versions from localStorage into the contact book
+ * Runs once: the localStorage key is removed after a successful migration.
+ * @returns {Promise<number>} - Number of lists migrated
+ */
+export async function migrateLegacyLists() {
+  let legacy;
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_LISTS_KEY) || '[]');
+  } catch (error) {
+    console.error('Failed to read legacy contact lists:', error);
+    return 0;
+  }
+  if (!Array.isArray(legacy) || legacy.length === 0) return 0;
+
+  const db = await openContactBook();
+  for (const [index, saved] of legacy.entries()) {
+    const contacts = (saved.contacts || []).filter(contact => contact.phone);
+    await upsertContacts(contacts);
+
+    const phones = [...new Set(contacts.map(contact => contact.phone))];
+    const tx = db.transaction('lists', 'readwrite');
+    tx.objectStore('lists').put({
+      id: `list-legacy-${index}`,
+      name: saved.name || 'Imported list',
+      phones,
+      count: phones.length,
+      timestamp: saved.timestamp || new Date().toISOString()
+    });
+    await done(tx);
+  }
+
+  localStorage.removeItem(LEGACY_LISTS_KEY);
+  return legacy.length;
+}
@@ -1,44 +1,100 @@
-import { normalizePhone, validatePhone } from './phoneUtils';
+import { analyzePhone, validatePhone, resolveDialCode } from './phoneUtils';
+import { normalizeConsent } from './consentUtils';
 
 /**
  * Merge phone list with CSV/Excel data using header mapping
- * @param {Array} phones - Array of phone numbers (strings)
+ * @param {Array} phones - Array of phone numbers (strings, or { value, name, row } entries)
  * @param {Array} csvData - Array of data objects from CSV/Excel
  * @param {Object} headerMapping - Mapping of CSV headers to field types
+ * @param {string} defaultCountryCode - Dial code for numbers without one (a mapped country column overrides it per row)
  * @returns {Array} - Array of merged contact objects
  */
-export function mergeContactData(phones, csvData, headerMapping = {}) {
+export function mergeContactData(phones, csvData, headerMapping = {}, defaultCountryCode = '+256') {
+  return mergeContactDataWithReport(phones, csvData, headerMapping, defaultCountryCode).contacts;
+}
+
+/**
+ * Merge phone list with CSV/Excel data and report every row that was dropped
+ * Rejected entries look like:
+ * { id, row, value, reason, countryCode, contact, data }
+ * - id: unique within this import
+ * - row: 1-based line number (pasted text) or spreadsheet row number (row 1 is the header unless rowNumbers says otherwise)
+ * - value: the original phone value
+ * - reason: key of REJECTION_REASONS
+ * - contact: the mapped contact, so the row can be added back once its phone is fixed
+ * - data: the original row, for exporting back to whoever owns the source file
+ * - candidates: when several phone columns are mapped, [{ column, value, reason }] for each of them
+ *
+ * headerMapping.fallback_phones lists extra phone columns tried in order when the
+ * mapped phone column is blank or invalid; accepted contacts then get a phone_source
+ * field naming the column their number came from.
+ * @param {Array} phones - Array of phone numbers (strings, or { value, name, row } entries from scanned text)
+ * @param {Array} csvData - Array of data objects from CSV/Excel
+ * @param {Object} headerMapping - Mapping of CSV headers to field types
+ * @param {string} defaultCountryCode - Dial code for numbers without one
+ * @param {Array} rowNumbers - Spreadsheet row number of each csvData row (e.g. from parseExcelSheets)
+ * @param {Function} onProgress - Called every 5,000 rows with (rowsProcessed, totalRows)
+ * @param {Object} options - { onePerNumber: create a contact for every valid phone column instead of the first }
+ * @returns {Object} - { contacts: [], rejected: [] }
+ */
+export function mergeContactDataWithReport(phones, csvData, headerMapping = {}, defaultCountryCode = '+256', rowNumbers = null, onProgress = null, options = {}) {
   const contacts = [];
+  const rejected = [];
+  const seen = new Set();
+
+  const addContact = (contact, entry) => {
+    const { phone, reason } = analyzePhone(entry.value, entry.countryCode);
+
+    if (!phone) {
+      rejected.push({ id: rejected.length, ...entry, reason, contact });
+    } else if (seen.has(phone)) {
+      rejected.push({ id: rejected.length, ...entry, reason: 'duplicate', contact: { ...contact, phone } });
+    } else {
+      seen.add(phone);
+      contacts.push({ ...contact, phone });
+    }
+  };
 
   // Case 1: Simple text paste (phones only)
   if (phones && phones.length > 0 && (!csvData || csvData.length === 0)) {
-    phones.forEach(phone => {
-      const normalized = normalizePhone(phone);
-      if (normalized) {
-        contacts.push({ 
-          phone: normalized,
-          name: '',
-          first_name: '',
-          last_name: '',
-          email: '',
-          location: ''
-        });
-      }
+    phones.forEach((item, index) => {
+      const { value, name = '', row = index + 1 } = typeof item === 'object' ? item : { value: item };
+
+      // Blank lines are just spacing, not rejected rows
+      if (!String(value).trim()) return;
+
+      addContact({
+        name,
+        first_name: '',
+        last_name: '',
+        email: '',
+        location: ''
+      }, {
+        row,
+        value: String(value).trim(),
+        countryCode: defaultCountryCode,
+        data: name ? { name, phone: value } : { phone: value }
+      });
     });
-    return contacts;
+    return { contacts, rejected };
   }
 
   // Case 2: CSV/Excel data with mapping
   if (csvData && csvData.length > 0) {
-    csvData.forEach(row => {
+    // Ranked phone columns: the mapped phone column first, then the fallbacks in order
+    const phoneColumns = [headerMapping.phone, ...(headerMapping.fallback_phones || [])]
+      .filter((column, i, all) => column && all.indexOf(column) === i);
+    const isRanked = phoneColumns.length > 1;
+    const mappedHeaders = new Set(getMappedHeaders(headerMapping));
+
+    csvData.forEach((row, index) => {
       const contact = {};
-      let hasValidPhone = false;
 
       // Map standard fields based on user selection
       // headerMapping format: { phone: "Original Header", name: "Original Header 2" }
       Object.keys(headerMapping).forEach(targetField => {
         const originalHeader = headerMapping[targetField];
-        if (originalHeader && row[originalHeader] !== undefined) {
+        if (targetField !== 'fallback_phones' && originalHeader && row[originalHeader] !== undefined) {
           contact[targetField] = row[originalHeader];
         }
       });
@@ -47,51 +103,429 @@ export function mergeContactData(phones, csvData, headerMapping = {}) {
       // This allows using them as custom variables like {CustomColumn}
       Object.keys(row).forEach(key => {
         // If this key isn't one of our mapped values, add it as is (stripping spaces for template safety)
-        const isMapped = Object.values(headerMapping).includes(key);
-        if (!isMapped) {
+        if (!mappedHeaders.has(key)) {
           const safeKey = key.replace(/\s+/g, '_').toLowerCase();
           contact[safeKey] = row[key];
         }
       });
 
-      // Validate and normalize phone
-      if (contact.phone) {
-        const normalized = normalizePhone(String(contact.phone));
-        if (normalized && validatePhone(normalized)) {
-          contact.phone = normalized;
-          hasValidPhone = true;
+      // Validate and normalize each phone column in rank order
+      const countryCode = resolveDialCode(contact.country) || defaultCountryCode;
+      const candidates = phoneColumns.map(column => {
+        const value = row[column] === undefined || row[column] === null ? '' : String(row[column]).trim();
+        return { column, value, ...analyzePhone(value, countryCode) };
+      });
+
+      const accepted = [];
+      for (const candidate of candidates) {
+        if (!candidate.phone) continue;
+
+        // The first valid number decides the row, even when it was already imported
+        if (seen.has(candidate.phone)) {
+          candidate.reason = 'duplicate';
+          if (!options.onePerNumber) break;
+          continue;
         }
+
+        seen.add(candidate.phone);
+        accepted.push(candidate);
+        if (!options.onePerNumber) break;
+      }
+
+      accepted.forEach(candidate => {
+        contacts.push({
+          ...contact,
+          phone: candidate.phone,
+          ...(isRanked ? { phone_source: candidate.column } : {})
+        });
+      });
+
+      if (accepted.length === 0) {
+        const reported = candidates.find(c => c.reason === 'duplicate')
+          || candidates.find(c => c.value)
+          || candidates[0]
+          || { column: headerMapping.phone, value: '', reason: 'empty' };
+
+        rejected.push({
+          id: rejected.length,
+          row: rowNumbers ? rowNumbers[index] : index + 2,
+          value: reported.value,
+          column: reported.column,
+          reason: reported.reason,
+          countryCode,
+          contact: reported.reason === 'duplicate' ? { ...contact, phone: reported.phone } : contact,
+          data: row,
+          ...(isRanked ? { candidates: candidates.map(({ column, value, reason }) => ({ column, value, reason })) } : {})
+        });
       }
 
-      if (hasValidPhone) {
-        contacts.push(contact);
+      if (onProgress && (index + 1) % 5000 === 0) {
+        onProgress(index + 1, csvData.length);
       }
     });
   }
 
-  return contacts;
+  return { contacts, rejected };
+}
+
+/**
+ * List every file header used by a mapping, including the fallback phone columns
+ * @param {Object} headerMapping - Mapping of field types to headers (fallback_phones holds an array)
+ * @returns {Array} - Mapped headers
+ */
+function getMappedHeaders(headerMapping) {
+  return Object.values(headerMapping).flat().filter(Boolean);
+}
+
+/**
+ * List the contact fields an import will produce, in the same way mergeContactDataWithReport names them
+ * Mapped columns use their field type; other columns become lowercase keys with underscores
+ * @param {Array} headers - Original file headers
+ * @param {Object} headerMapping - Mapping of field types to headers
+ * @returns {Array} - Field names
+ */
+export function getImportFieldNames(headers, headerMapping = {}) {
+  const mappedHeaders = getMappedHeaders(headerMapping);
+  const fields = Object.keys(headerMapping).filter(field => field !== 'fallback_phones' && headerMapping[field]);
+
+  headers.forEach(header => {
+    if (!mappedHeaders.includes(header)) {
+      fields.push(header.replace(/\s+/g, '_').toLowerCase());
+    }
+  });
+
+  return [...new Set(fields)];
+}
+
+/**
+ * Revalidate a rejected import row after its phone number was edited
+ * @param {Object} entry - Rejected entry from mergeContactDataWithReport
+ * @param {string} value - Corrected phone value
+ * @param {Set} existingPhones - Normalized phones already accepted
+ * @returns {Object} - { contact } when the row is now valid, otherwise { entry } with an updated reason
+ */
+export function revalidateRejectedRow(entry, value, existingPhones) {
+  const { phone, reason } = analyzePhone(value, entry.countryCode);
+
+  if (!phone) {
+    return { entry: { ...entry, value, reason } };
+  }
+  if (existingPhones.has(phone)) {
+    return { entry: { ...entry, value, reason: 'duplicate' } };
+  }
+
+  return {
+    contact: {
+      ...entry.contact,
+      phone,
+      ...(entry.candidates ? { phone_source: entry.column } : {})
+    }
+  };
+}
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * How fields are combined when several rows are the same contact
+ */
+export const DEDUPE_RULES = [
+  { value: 'fill_blanks', label: 'Keep first values, fill blanks from duplicates' },
+  { value: 'prefer_last', label: 'Prefer values from later rows' },
+  { value: 'keep_first', label: 'Keep the first row only' }
+];
+
+/**
+ * Normalize text for fuzzy matching (case, accents and punctuation ignored)
+ * @param {*} value - Text
+ * @returns {string} - Comparable text
+ */
+function normalizeMatchText(value) {
+  return String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Keys that identify a contact for duplicate matching
+ * @param {Object} contact - Contact object
+ * @param {Object} options - { matchEmail, matchNameLocation }
+ * @returns {Array} - [[matchType, key]]
+ */
+function getMatchKeys(contact, options) {
+  const keys = [['phone', contact.phone]];
+
+  if (options.matchEmail && contact.email && String(contact.email).trim()) {
+    keys.push(['email', String(contact.email).trim().toLowerCase()]);
+  }
+
+  if (options.matchNameLocation) {
+    const name = normalizeMatchText(contact.name || `${contact.first_name || ''} ${contact.last_name || ''}`);
+    const location = normalizeMatchText(contact.location);
+    if (name && location) keys.push(['name_location', `${name}|${location}`]);
+  }
+
+  return keys;
+}
+
+/**
+ * Combine duplicate rows into one contact
+ * The first member is the primary: its phone is always kept
+ * @param {Array} members - Contacts in priority order
+ * @param {string} rule - Key of DEDUPE_RULES
+ * @returns {Object} - Merged contact
+ */
+export function mergeContactFields(members, rule = 'fill_blanks') {
+  const [primary, ...others] = members;
+  if (rule === 'keep_first') return primary;
+
+  const merged = { ...primary };
+  others.forEach(contact => {
+    Object.keys(contact).forEach(key => {
+      if (key === 'phone' || isBlank(contact[key])) return;
+      if (rule === 'prefer_last' || isBlank(merged[key])) {
+        merged[key] = contact[key];
+      }
+    });
+  });
+
+  return merged;
+}
+
+/**
+ * Resolve one duplicate group into the contacts it produces
+ * @param {Array} members - Contacts in the group, in import order
+ * @param {Object} override - { primary: member position, separate: keep different phones apart }
+ * @param {string} rule - Key of DEDUPE_RULES
+ * @returns {Array} - Resulting contacts
+ */
+function resolveDuplicateGroup(members, override, rule) {
+  const primary = override.primary || 0;
+  const ordered = [members[primary], ...members.filter((member, i) => i !== primary)];
+
+  if (!override.separate) return [mergeContactFields(ordered, rule)];
+
+  // Rows sharing a phone number are still one contact
+  const byPhone = new Map();
+  ordered.forEach(member => {
+    if (!byPhone.has(member.phone)) byPhone.set(member.phone, []);
+    byPhone.get(member.phone).push(member);
+  });
+  return [...byPhone.values()].map(group => mergeContactFields(group, rule));
+}
+
+/**
+ * Merge duplicate contacts and report every group of duplicates
+ * Rows match on phone, and optionally on email or on normalized name + location.
+ * Matches chain: if A shares a phone with B and B an email with C, all three are one group.
+ * Group ids are the import position of the group's first row, so they stay the same
+ * when the report is rebuilt with overrides.
+ * @param {Array} contacts - Contacts with normalized phones, in import order
+ * @param {Object} options - { rule, matchEmail, matchNameLocation, overrides: { [groupId]: { primary, separate } } }
+ * @returns {Object} - { contacts: [], groups: [{ id, matchedBy: [], members: [], result: [], primary, separate }] }
+ */
+export function deduplicateContactsWithReport(contacts, options = {}) {
+  const { rule = 'fill_blanks', overrides = {} } = options;
+  const list = (contacts || []).filter(contact => contact.phone);
+
+  // Union-find over row positions
+  const parent = list.map((contact, index) => index);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const firstByKey = new Map();
+  const matchTypes = new Map(); // root -> Set of match types
+
+  list.forEach((contact, index) => {
+    getMatchKeys(contact, options).forEach(([type, key]) => {
+      const mapKey = `${type}:${key}`;
+      if (!firstByKey.has(mapKey)) {
+        firstByKey.set(mapKey, index);
+        return;
+      }
+
+      const a = find(firstByKey.get(mapKey));
+      const b = find(index);
+      const root = Math.min(a, b);
+      const types = new Set([...(matchTypes.get(a) || []), ...(matchTypes.get(b) || []), type]);
+      parent[a] = root;
+      parent[b] = root;
+      matchTypes.set(root, types);
+    });
+  });
+
+  const membersByRoot = new Map();
+  list.forEach((contact, index) => {
+    const root = find(index);
+    if (!membersByRoot.has(root)) membersByRoot.set(root, []);
+    membersByRoot.get(root).push(contact);
+  });
+
+  const deduplicated = [];
+  const groups = [];
+
+  membersByRoot.forEach((members, root) => {
+    if (members.length === 1) {
+      deduplicated.push(members[0]);
+      return;
+    }
+
+    const override = overrides[root] || {};
+    const result = resolveDuplicateGroup(members, override, rule);
+    deduplicated.push(...result);
+    groups.push({
+      id: root,
+      matchedBy: [...(matchTypes.get(root) || [])],
+      members,
+      result,
+      primary: override.primary || 0,
+      separate: !!override.separate
+    });
+  });
+
+  return { contacts: deduplicated, groups };
 }
 
 /**
  * Remove duplicate contacts based on phone number
- * Keeps first occurrence
+ * Fields missing from the first occurrence are filled in from later duplicates
  * @param {Array} contacts - Array of contact objects
+ * @param {Object} options - See deduplicateContactsWithReport
  * @returns {Array} - Deduplicated contacts
  */
-export function deduplicateContacts(contacts) {
+export function deduplicateContacts(contacts, options = {}) {
   if (!contacts || contacts.length === 0) return [];
+  return deduplicateContactsWithReport(contacts, options).contacts;
+}
 
-  const seen = new Set();
-  const deduplicated = [];
+/**
+ * Deduplicate an import report for review
+ * Rows rejected as repeated numbers are merged into their contact instead.
+ * @param {Object} report - { contacts, rejected } from mergeContactDataWithReport
+ * @param {Object} options - See deduplicateContactsWithReport
+ * @returns {Object} - { contacts, rejected, candidates, duplicates }
+ */
+export function deduplicateImportReport(report, options = {}) {
+  const candidates = [
+    ...report.contacts,
+    ...report.rejected.filter(entry => entry.reason === 'duplicate').map(entry => entry.contact)
+  ];
+  const { contacts, groups } = deduplicateContactsWithReport(candidates, options);
 
-  contacts.forEach(contact => {
-    if (contact.phone && !seen.has(contact.phone)) {
-      seen.add(contact.phone);
-      deduplicated.push(contact);
+  return {
+    contacts,
+    rejected: report.rejected.filter(entry => entry.reason !== 'duplicate'),
+    candidates,
+    duplicates: groups
+  };
+}
+
+/**
+ * Record changes made to deduplicated contacts so they can be applied again after a rebuild
+ * Changes are keyed by the phone the contact had when deduplicated; a deleted contact is null,
+ * an edited one holds the changed fields.
+ * @param {Array} before - Contacts before the change
+ * @param {Array} after - The same contacts with rows removed or replaced, in the same order
+ * @param {Object} edits - Changes recorded so far
+ * @returns {Object} - Updated changes
+ */
+export function recordContactEdits(before, after, edits = {}) {
+  const next = { ...edits };
+  // A contact whose phone was edited is still recorded under its old phone
+  const keyOf = (phone) => Object.keys(next).find(key => next[key] && next[key].phone === phone) || phone;
+
+  if (before.length === after.length) {
+    before.forEach((contact, index) => {
+      const edited = after[index];
+      if (edited === contact) return;
+
+      const key = keyOf(contact.phone);
+      const changes = { ...next[key] };
+      Object.keys(edited).forEach(field => {
+        if (edited[field] !== contact[field]) changes[field] = edited[field];
+      });
+      next[key] = changes;
+    });
+  } else {
+    const kept = new Set(after);
+    before.filter(contact => !kept.has(contact)).forEach(contact => {
+      next[keyOf(contact.phone)] = null;
+    });
+  }
+
+  return next;
+}
+
+/**
+ * Apply changes recorded with recordContactEdits to freshly deduplicated contacts
+ * @param {Array} contacts - Deduplicated contacts
+ * @param {Object} edits - Changes keyed by phone
+ * @returns {Array} - Contacts with deleted ones removed and edits applied
+ */
+export function applyContactEdits(contacts, edits = {}) {
+  return contacts
+    .filter(contact => edits[contact.phone] !== null)
+    .map(contact => (edits[contact.phone] ? { ...contact, ...edits[contact.phone] } : contact));
+}
+
+/**
+ * Ways to settle a phone number that is already in the loaded contact set
+ */
+export const CONFLICT_STRATEGIES = [
+  { value: 'fill_blanks', label: 'Fill blanks only', description: 'Keep existing values, add missing ones from the new source' },
+  { value: 'keep', label: 'Keep existing', description: 'Ignore new rows for numbers already loaded' },
+  { value: 'overwrite', label: 'Overwrite', description: 'New non-empty values replace existing ones' }
+];
+
+/**
+ * Merge newly imported contacts into an already loaded set, matching on phone
+ * @param {Array} existing - Contacts already loaded
+ * @param {Array} incoming - Contacts from the new source (deduplicated)
+ * @param {string} strategy - Key of CONFLICT_STRATEGIES
+ * @returns {Object} - { contacts: [], summary: { added, updated, skipped } }
+ */
+export function mergeIntoContactSet(existing, incoming, strategy = 'fill_blanks') {
+  const contacts = [...existing];
+  const indexByPhone = new Map(existing.map((contact, index) => [contact.phone, index]));
+  const summary = { added: 0, updated: 0, skipped: 0 };
+
+  incoming.forEach(contact => {
+    const index = indexByPhone.get(contact.phone);
+
+    if (index === undefined) {
+      indexByPhone.set(contact.phone, contacts.length);
+      contacts.push(contact);
+      summary.added++;
+      return;
+    }
+
+    if (strategy === 'keep') {
+      summary.skipped++;
+      return;
+    }
+
+    const current = contacts[index];
+    const merged = { ...current };
+    let changed = false;
+
+    Object.keys(contact).forEach(key => {
+      if (isBlank(contact[key]) || String(contact[key]) === String(current[key] ?? '')) return;
+
+      if (strategy === 'overwrite' || isBlank(current[key])) {
+        merged[key] = contact[key];
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      contacts[index] = merged;
+      summary.updated++;
+    } else {
+      summary.skipped++;
     }
   });
 
-  return deduplicated;
+  return { contacts, summary };
 }
 
 /**
@@ -145,57 +579,33 @@ export function formatContactsForSending(contacts) {
       formatted.first_name = 'there';
     }
 
-    return formatted;
+    return normalizeConsent(formatted);
   });
 }
 
 /**
- * Save contacts to localStorage
- * @param {Array} contacts - Array of contacts to save
- * @param {string} name - Name for this contact list
- */
-export function saveContactsToStorage(contacts, name = 'Default') {
-  try {
-    const saved = JSON.parse(localStorage.getItem('bulkWhatsApp_contacts') || '[]');
-    saved.push({
-      name,
-      contacts,
-      timestamp: new Date().toISOString(),
-      count: contacts.length
-    });
-    localStorage.setItem('bulkWhatsApp_contacts', JSON.stringify(saved));
-    return true;
-  } catch (error) {
-    console.error('Failed to save contacts:', error);
-    return false;
-  }
-}
-
-/**
- * Load saved contact lists from localStorage
- * @returns {Array} - Array of saved contact lists
+ * Load the default country used for numbers without a country code
+ * @returns {string} - ISO country code (e.g. 'UG')
  */
-export function loadContactsFromStorage() {
+export function loadDefaultCountry() {
   try {
-    return JSON.parse(localStorage.getItem('bulkWhatsApp_contacts') || '[]');
+    return localStorage.getItem('bulkWhatsApp_defaultCountry') || 'UG';
   } catch (error) {
-    console.error('Failed to load contacts:', error);
-    return [];
+    console.error('Failed to load default country:', error);
+    return 'UG';
   }
 }
 
 /**
- * Delete a saved contact list
- * @param {number} index - Index of contact list to delete
+ * Remember the default country between sessions
+ * @param {string} iso - ISO country code (e.g. 'KE')
  */
-export function deleteContactList(index) {
+export function saveDefaultCountry(iso) {
   try {
-    const saved = JSON.parse(localStorage.getItem('bulkWhatsApp_contacts') || '[]');
-    saved.splice(index, 1);
-    localStorage.setItem('bulkWhatsApp_contacts', JSON.stringify(saved));
+    localStorage.setItem('bulkWhatsApp_defaultCountry', iso);
     return true;
   } catch (error) {
-    console.error('Failed to delete contact list:', error);
+    console.error('Failed to save default country:', error);
     return false;
   }
 }
\ No newline at end of file
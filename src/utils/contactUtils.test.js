@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  deduplicateContactsWithReport,
+  deduplicateImportReport,
+  recordContactEdits,
+  applyContactEdits,
+  mergeContactDataWithReport
+} from './contactUtils';
+
+const rows = [
+  { phone: '+256772000001', name: 'Ann', email: 'ann@example.com' },
+  { phone: '+256772000002', name: 'Ben', email: '' },
+  { phone: '+256772000001', name: '', location: 'Kampala' },
+  { phone: '+256772000003', name: 'Annie', email: 'ANN@example.com' }
+];
+
+describe('deduplicateContactsWithReport', () => {
+  it('merges rows with the same phone, filling blanks from later rows', () => {
+    const { contacts, groups } = deduplicateContactsWithReport(rows);
+    expect(contacts).toHaveLength(3);
+    expect(contacts[0]).toEqual({ phone: '+256772000001', name: 'Ann', email: 'ann@example.com', location: 'Kampala' });
+    expect(groups).toHaveLength(1);
+    expect(groups[0]).toMatchObject({ id: 0, matchedBy: ['phone'] });
+    expect(groups[0].members).toHaveLength(2);
+  });
+
+  it('prefers later values with prefer_last', () => {
+    const { contacts } = deduplicateContactsWithReport(rows, { rule: 'prefer_last' });
+    expect(contacts[0]).toMatchObject({ name: 'Ann', location: 'Kampala' });
+  });
+
+  it('chains phone and email matches into one group', () => {
+    const { contacts, groups } = deduplicateContactsWithReport(rows, { matchEmail: true });
+    expect(contacts.map(contact => contact.phone)).toEqual(['+256772000001', '+256772000002']);
+    expect(groups[0].matchedBy.sort()).toEqual(['email', 'phone']);
+  });
+
+  it('applies overrides by group id', () => {
+    const { contacts } = deduplicateContactsWithReport(rows, { matchEmail: true, overrides: { 0: { separate: true } } });
+    expect(contacts.map(contact => contact.phone).sort()).toEqual(['+256772000001', '+256772000002', '+256772000003']);
+
+    const primary = deduplicateContactsWithReport(rows, { matchEmail: true, overrides: { 0: { primary: 2 } } });
+    expect(primary.contacts[0]).toMatchObject({ phone: '+256772000003', name: 'Annie' });
+  });
+});
+
+describe('deduplicateImportReport', () => {
+  it('folds rows rejected as duplicates back into their contact', () => {
+    const report = {
+      contacts: [rows[0]],
+      rejected: [{ reason: 'duplicate', contact: rows[2] }, { reason: 'too_short', row: 5 }]
+    };
+    const result = deduplicateImportReport(report);
+    expect(result.contacts).toEqual([{ ...rows[0], location: 'Kampala' }]);
+    expect(result.rejected).toEqual([{ reason: 'too_short', row: 5 }]);
+    expect(result.duplicates).toHaveLength(1);
+  });
+});
+
+describe('recordContactEdits', () => {
+  it('keeps grid edits and deletions across a rebuild', () => {
+    const { contacts } = deduplicateContactsWithReport(rows);
+    let shown = contacts;
+    let edits = {};
+
+    const renamed = shown.map((contact, i) => (i === 0 ? { ...contact, name: 'Anna' } : contact));
+    edits = recordContactEdits(shown, renamed, edits);
+    shown = renamed;
+
+    const deleted = shown.filter((contact, i) => i !== 1);
+    edits = recordContactEdits(shown, deleted, edits);
+
+    const rebuilt = deduplicateContactsWithReport(rows, { rule: 'prefer_last' }).contacts;
+    expect(applyContactEdits(rebuilt, edits).map(contact => [contact.phone, contact.name])).toEqual([
+      ['+256772000001', 'Anna'],
+      ['+256772000003', 'Annie']
+    ]);
+  });
+});
+
+describe('mergeContactDataWithReport', () => {
+  it('does not copy fallback phone columns as custom fields', () => {
+    const { contacts } = mergeContactDataWithReport(
+      [],
+      [{ Mobile: '0772123456', Work: '0701234567', Name: 'Ann', Notes: 'VIP' }],
+      { phone: 'Mobile', name: 'Name', fallback_phones: ['Work'] },
+      '+256'
+    );
+    expect(contacts[0]).toMatchObject({ phone: '+256772123456', name: 'Ann', notes: 'VIP' });
+    expect(contacts[0]).not.toHaveProperty('work');
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Country dialing-plan metadata
+ *
+ * Each entry describes one country or territory:
+ * - iso: ISO 3166-1 alpha-2 code
+ * - name: Display name
+ * - dialCode: International calling code including the + (e.g. '+256')
+ * - lengths: Allowed lengths of the national significant number (digits after the dial code)
+ * - trunkPrefix: Digits dialled before a number inside the country (e.g. '0'), or null if none
+ * - areaCodes: Optional leading digits (after the dial code) that identify this entry
+ *   when several countries share a dial code, e.g. Jamaica is +1 876
+ * - pattern: Optional regex the national significant number must match
+ *
+ * Entries that share a dial code and have no areaCodes are the default for that code.
+ */
+
+/**
+ * Build an inclusive list of lengths
+ * @param {number} min - Shortest allowed length
+ * @param {number} max - Longest allowed length
+ * @returns {Array} - [min, ..., max]
+ */
+function range(min, max) {
+  const lengths = [];
+  for (let i = min; i <= max; i++) lengths.push(i);
+  return lengths;
+}
+
+// North American Numbering Plan: +1 followed by a 10 digit number, trunk prefix 1
+// Area codes and exchanges never start with 0 or 1
+const NANP_PATTERN = /^[2-9]\d{2}[2-9]\d{6}$/;
+
+const nanp = (iso, name, areaCodes) => ({ iso, name, dialCode: '+1', lengths: [10], trunkPrefix: '1', areaCodes, pattern: NANP_PATTERN });
+
+export const COUNTRIES = [
+  // East Africa
+  { iso: 'UG', name: 'Uganda', dialCode: '+256', lengths: [9], trunkPrefix: '0' },
+  { iso: 'KE', name: 'Kenya', dialCode: '+254', lengths: [9], trunkPrefix: '0' },
+  { iso: 'TZ', name: 'Tanzania', dialCode: '+255', lengths: [9], trunkPrefix: '0' },
+  { iso: 'RW', name: 'Rwanda', dialCode: '+250', lengths: [9], trunkPrefix: '0' },
+  { iso: 'BI', name: 'Burundi', dialCode: '+257', lengths: [8], trunkPrefix: null },
+  { iso: 'SS', name: 'South Sudan', dialCode: '+211', lengths: [9], trunkPrefix: '0' },
+  { iso: 'SD', name: 'Sudan', dialCode: '+249', lengths: [9], trunkPrefix: '0' },
+  { iso: 'ET', name: 'Ethiopia', dialCode: '+251', lengths: [9], trunkPrefix: '0' },
+  { iso: 'ER', name: 'Eritrea', dialCode: '+291', lengths: [7], trunkPrefix: '0' },
+  { iso: 'DJ', name: 'Djibouti', dialCode: '+253', lengths: [8], trunkPrefix: null },
+  { iso: 'SO', name: 'Somalia', dialCode: '+252', lengths: [7, 8, 9], trunkPrefix: '0' },
+  { iso: 'MG', name: 'Madagascar', dialCode: '+261', lengths: [9], trunkPrefix: '0' },
+  { iso: 'MU', name: 'Mauritius', dialCode: '+230', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'SC', name: 'Seychelles', dialCode: '+248', lengths: [7], trunkPrefix: null },
+  { iso: 'KM', name: 'Comoros', dialCode: '+269', lengths: [7], trunkPrefix: null },
+  { iso: 'RE', name: 'Réunion', dialCode: '+262', lengths: [9], trunkPrefix: '0' },
+  { iso: 'YT', name: 'Mayotte', dialCode: '+262', lengths: [9], trunkPrefix: '0', areaCodes: ['269', '639'] },
+
+  // Central Africa
+  { iso: 'CD', name: 'DR Congo', dialCode: '+243', lengths: [7, 9], trunkPrefix: '0' },
+  { iso: 'CG', name: 'Congo', dialCode: '+242', lengths: [9], trunkPrefix: null },
+  { iso: 'CM', name: 'Cameroon', dialCode: '+237', lengths: [8, 9], trunkPrefix: null },
+  { iso: 'CF', name: 'Central African Republic', dialCode: '+236', lengths: [8], trunkPrefix: null },
+  { iso: 'TD', name: 'Chad', dialCode: '+235', lengths: [8], trunkPrefix: null },
+  { iso: 'GA', name: 'Gabon', dialCode: '+241', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'GQ', name: 'Equatorial Guinea', dialCode: '+240', lengths: [9], trunkPrefix: null },
+  { iso: 'ST', name: 'São Tomé and Príncipe', dialCode: '+239', lengths: [7], trunkPrefix: null },
+  { iso: 'AO', name: 'Angola', dialCode: '+244', lengths: [9], trunkPrefix: null },
+
+  // Southern Africa
+  { iso: 'ZA', name: 'South Africa', dialCode: '+27', lengths: [9], trunkPrefix: '0' },
+  { iso: 'ZM', name: 'Zambia', dialCode: '+260', lengths: [9], trunkPrefix: '0' },
+  { iso: 'ZW', name: 'Zimbabwe', dialCode: '+263', lengths: range(5, 10), trunkPrefix: '0' },
+  { iso: 'MW', name: 'Malawi', dialCode: '+265', lengths: [7, 9], trunkPrefix: '0' },
+  { iso: 'MZ', name: 'Mozambique', dialCode: '+258', lengths: [8, 9], trunkPrefix: null },
+  { iso: 'BW', name: 'Botswana', dialCode: '+267', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'NA', name: 'Namibia', dialCode: '+264', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'LS', name: 'Lesotho', dialCode: '+266', lengths: [8], trunkPrefix: null },
+  { iso: 'SZ', name: 'Eswatini', dialCode: '+268', lengths: [8], trunkPrefix: null },
+  { iso: 'SH', name: 'Saint Helena', dialCode: '+290', lengths: [4, 5], trunkPrefix: null },
+  { iso: 'AC', name: 'Ascension Island', dialCode: '+247', lengths: [5, 6], trunkPrefix: null },
+  { iso: 'IO', name: 'British Indian Ocean Territory', dialCode: '+246', lengths: [7], trunkPrefix: null },
+
+  // West Africa
+  { iso: 'NG', name: 'Nigeria', dialCode: '+234', lengths: [7, 8, 10], trunkPrefix: '0' },
+  { iso: 'GH', name: 'Ghana', dialCode: '+233', lengths: [9], trunkPrefix: '0' },
+  { iso: 'CI', name: "Côte d'Ivoire", dialCode: '+225', lengths: [10], trunkPrefix: null },
+  { iso: 'SN', name: 'Senegal', dialCode: '+221', lengths: [9], trunkPrefix: null },
+  { iso: 'ML', name: 'Mali', dialCode: '+223', lengths: [8], trunkPrefix: null },
+  { iso: 'BF', name: 'Burkina Faso', dialCode: '+226', lengths: [8], trunkPrefix: null },
+  { iso: 'NE', name: 'Niger', dialCode: '+227', lengths: [8], trunkPrefix: null },
+  { iso: 'TG', name: 'Togo', dialCode: '+228', lengths: [8], trunkPrefix: null },
+  { iso: 'BJ', name: 'Benin', dialCode: '+229', lengths: [8, 10], trunkPrefix: null },
+  { iso: 'LR', name: 'Liberia', dialCode: '+231', lengths: [7, 8, 9], trunkPrefix: '0' },
+  { iso: 'SL', name: 'Sierra Leone', dialCode: '+232', lengths: [8], trunkPrefix: '0' },
+  { iso: 'GN', name: 'Guinea', dialCode: '+224', lengths: [8, 9], trunkPrefix: null },
+  { iso: 'GW', name: 'Guinea-Bissau', dialCode: '+245', lengths: [7, 9], trunkPrefix: null },
+  { iso: 'GM', name: 'Gambia', dialCode: '+220', lengths: [7], trunkPrefix: null },
+  { iso: 'MR', name: 'Mauritania', dialCode: '+222', lengths: [8], trunkPrefix: null },
+  { iso: 'CV', name: 'Cape Verde', dialCode: '+238', lengths: [7], trunkPrefix: null },
+
+  // North Africa
+  { iso: 'EG', name: 'Egypt', dialCode: '+20', lengths: [8, 9, 10], trunkPrefix: '0' },
+  { iso: 'LY', name: 'Libya', dialCode: '+218', lengths: [9], trunkPrefix: '0' },
+  { iso: 'TN', name: 'Tunisia', dialCode: '+216', lengths: [8], trunkPrefix: null },
+  { iso: 'DZ', name: 'Algeria', dialCode: '+213', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'MA', name: 'Morocco', dialCode: '+212', lengths: [9], trunkPrefix: '0' },
+
+  // Middle East & Gulf
+  { iso: 'AE', name: 'United Arab Emirates', dialCode: '+971', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'SA', name: 'Saudi Arabia', dialCode: '+966', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'QA', name: 'Qatar', dialCode: '+974', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'KW', name: 'Kuwait', dialCode: '+965', lengths: [8], trunkPrefix: null },
+  { iso: 'BH', name: 'Bahrain', dialCode: '+973', lengths: [8], trunkPrefix: null },
+  { iso: 'OM', name: 'Oman', dialCode: '+968', lengths: [8], trunkPrefix: null },
+  { iso: 'YE', name: 'Yemen', dialCode: '+967', lengths: [7, 8, 9], trunkPrefix: '0' },
+  { iso: 'IQ', name: 'Iraq', dialCode: '+964', lengths: range(8, 10), trunkPrefix: '0' },
+  { iso: 'IR', name: 'Iran', dialCode: '+98', lengths: [10], trunkPrefix: '0' },
+  { iso: 'JO', name: 'Jordan', dialCode: '+962', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'LB', name: 'Lebanon', dialCode: '+961', lengths: [7, 8], trunkPrefix: '0' },
+  { iso: 'SY', name: 'Syria', dialCode: '+963', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'IL', name: 'Israel', dialCode: '+972', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'PS', name: 'Palestine', dialCode: '+970', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'TR', name: 'Turkey', dialCode: '+90', lengths: [10], trunkPrefix: '0' },
+  { iso: 'CY', name: 'Cyprus', dialCode: '+357', lengths: [8], trunkPrefix: null },
+
+  // Europe
+  { iso: 'GB', name: 'United Kingdom', dialCode: '+44', lengths: [9, 10], trunkPrefix: '0' },
+  { iso: 'GG', name: 'Guernsey', dialCode: '+44', lengths: [10], trunkPrefix: '0', areaCodes: ['1481', '7781', '7839', '79111', '79117'] },
+  { iso: 'JE', name: 'Jersey', dialCode: '+44', lengths: [10], trunkPrefix: '0', areaCodes: ['1534', '7509', '77003', '77007', '77008', '7797', '7829', '7937'] },
+  { iso: 'IM', name: 'Isle of Man', dialCode: '+44', lengths: [10], trunkPrefix: '0', areaCodes: [
+    '1624', '74576', '7524', '76240', '76241', '76242', '76243', '76244', '762450', '762456', '76246', '76248', '76249', '7924'
+  ] },
+  { iso: 'IE', name: 'Ireland', dialCode: '+353', lengths: range(7, 9), trunkPrefix: '0' },
+  { iso: 'FR', name: 'France', dialCode: '+33', lengths: [9], trunkPrefix: '0' },
+  { iso: 'MC', name: 'Monaco', dialCode: '+377', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'DE', name: 'Germany', dialCode: '+49', lengths: range(6, 13), trunkPrefix: '0' },
+  { iso: 'AT', name: 'Austria', dialCode: '+43', lengths: range(4, 13), trunkPrefix: '0' },
+  { iso: 'CH', name: 'Switzerland', dialCode: '+41', lengths: [9], trunkPrefix: '0' },
+  { iso: 'LI', name: 'Liechtenstein', dialCode: '+423', lengths: [7, 9], trunkPrefix: null },
+  { iso: 'NL', name: 'Netherlands', dialCode: '+31', lengths: [9], trunkPrefix: '0' },
+  { iso: 'BE', name: 'Belgium', dialCode: '+32', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'LU', name: 'Luxembourg', dialCode: '+352', lengths: range(4, 11), trunkPrefix: null },
+  { iso: 'IT', name: 'Italy', dialCode: '+39', lengths: range(6, 11), trunkPrefix: null },
+  { iso: 'VA', name: 'Vatican City', dialCode: '+39', lengths: range(6, 11), trunkPrefix: null, areaCodes: ['06698'] },
+  { iso: 'SM', name: 'San Marino', dialCode: '+378', lengths: range(6, 10), trunkPrefix: null },
+  { iso: 'MT', name: 'Malta', dialCode: '+356', lengths: [8], trunkPrefix: null },
+  { iso: 'ES', name: 'Spain', dialCode: '+34', lengths: [9], trunkPrefix: null },
+  { iso: 'AD', name: 'Andorra', dialCode: '+376', lengths: [6, 8, 9], trunkPrefix: null },
+  { iso: 'GI', name: 'Gibraltar', dialCode: '+350', lengths: [8], trunkPrefix: null },
+  { iso: 'PT', name: 'Portugal', dialCode: '+351', lengths: [9], trunkPrefix: null },
+  { iso: 'DK', name: 'Denmark', dialCode: '+45', lengths: [8], trunkPrefix: null },
+  { iso: 'FO', name: 'Faroe Islands', dialCode: '+298', lengths: [6], trunkPrefix: null },
+  { iso: 'GL', name: 'Greenland', dialCode: '+299', lengths: [6], trunkPrefix: null },
+  { iso: 'NO', name: 'Norway', dialCode: '+47', lengths: [8], trunkPrefix: null },
+  { iso: 'SJ', name: 'Svalbard and Jan Mayen', dialCode: '+47', lengths: [8], trunkPrefix: null, areaCodes: ['79'] },
+  { iso: 'SE', name: 'Sweden', dialCode: '+46', lengths: range(7, 10), trunkPrefix: '0' },
+  { iso: 'FI', name: 'Finland', dialCode: '+358', lengths: range(5, 12), trunkPrefix: '0' },
+  { iso: 'AX', name: 'Åland Islands', dialCode: '+358', lengths: range(5, 12), trunkPrefix: '0', areaCodes: ['18'] },
+  { iso: 'IS', name: 'Iceland', dialCode: '+354', lengths: [7, 9], trunkPrefix: null },
+  { iso: 'EE', name: 'Estonia', dialCode: '+372', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'LV', name: 'Latvia', dialCode: '+371', lengths: [8], trunkPrefix: null },
+  { iso: 'LT', name: 'Lithuania', dialCode: '+370', lengths: [8], trunkPrefix: '8' },
+  { iso: 'PL', name: 'Poland', dialCode: '+48', lengths: [9], trunkPrefix: null },
+  { iso: 'CZ', name: 'Czechia', dialCode: '+420', lengths: [9], trunkPrefix: null },
+  { iso: 'SK', name: 'Slovakia', dialCode: '+421', lengths: [9], trunkPrefix: '0' },
+  { iso: 'HU', name: 'Hungary', dialCode: '+36', lengths: [8, 9], trunkPrefix: '06' },
+  { iso: 'SI', name: 'Slovenia', dialCode: '+386', lengths: [8], trunkPrefix: '0' },
+  { iso: 'HR', name: 'Croatia', dialCode: '+385', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'BA', name: 'Bosnia and Herzegovina', dialCode: '+387', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'RS', name: 'Serbia', dialCode: '+381', lengths: range(7, 10), trunkPrefix: '0' },
+  { iso: 'ME', name: 'Montenegro', dialCode: '+382', lengths: [8], trunkPrefix: '0' },
+  { iso: 'XK', name: 'Kosovo', dialCode: '+383', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'MK', name: 'North Macedonia', dialCode: '+389', lengths: [8], trunkPrefix: '0' },
+  { iso: 'AL', name: 'Albania', dialCode: '+355', lengths: range(6, 9), trunkPrefix: '0' },
+  { iso: 'GR', name: 'Greece', dialCode: '+30', lengths: [10], trunkPrefix: null },
+  { iso: 'BG', name: 'Bulgaria', dialCode: '+359', lengths: range(6, 9), trunkPrefix: '0' },
+  { iso: 'RO', name: 'Romania', dialCode: '+40', lengths: [9], trunkPrefix: '0' },
+  { iso: 'MD', name: 'Moldova', dialCode: '+373', lengths: [8], trunkPrefix: '0' },
+  { iso: 'UA', name: 'Ukraine', dialCode: '+380', lengths: [9], trunkPrefix: '0' },
+  { iso: 'BY', name: 'Belarus', dialCode: '+375', lengths: [9, 10], trunkPrefix: '80' },
+  { iso: 'RU', name: 'Russia', dialCode: '+7', lengths: [10], trunkPrefix: '8' },
+  { iso: 'KZ', name: 'Kazakhstan', dialCode: '+7', lengths: [10], trunkPrefix: '8', areaCodes: ['6', '7'] },
+  { iso: 'GE', name: 'Georgia', dialCode: '+995', lengths: [9], trunkPrefix: '0' },
+  { iso: 'AM', name: 'Armenia', dialCode: '+374', lengths: [8], trunkPrefix: '0' },
+  { iso: 'AZ', name: 'Azerbaijan', dialCode: '+994', lengths: [9], trunkPrefix: '0' },
+
+  // Central & South Asia
+  { iso: 'IN', name: 'India', dialCode: '+91', lengths: [10], trunkPrefix: '0' },
+  { iso: 'PK', name: 'Pakistan', dialCode: '+92', lengths: [9, 10], trunkPrefix: '0' },
+  { iso: 'BD', name: 'Bangladesh', dialCode: '+880', lengths: range(6, 10), trunkPrefix: '0' },
+  { iso: 'LK', name: 'Sri Lanka', dialCode: '+94', lengths: [9], trunkPrefix: '0' },
+  { iso: 'NP', name: 'Nepal', dialCode: '+977', lengths: [8, 10], trunkPrefix: '0' },
+  { iso: 'BT', name: 'Bhutan', dialCode: '+975', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'MV', name: 'Maldives', dialCode: '+960', lengths: [7], trunkPrefix: null },
+  { iso: 'AF', name: 'Afghanistan', dialCode: '+93', lengths: [9], trunkPrefix: '0' },
+  { iso: 'UZ', name: 'Uzbekistan', dialCode: '+998', lengths: [9], trunkPrefix: null },
+  { iso: 'TM', name: 'Turkmenistan', dialCode: '+993', lengths: [8], trunkPrefix: '8' },
+  { iso: 'TJ', name: 'Tajikistan', dialCode: '+992', lengths: [9], trunkPrefix: null },
+  { iso: 'KG', name: 'Kyrgyzstan', dialCode: '+996', lengths: [9], trunkPrefix: '0' },
+
+  // East & Southeast Asia
+  { iso: 'CN', name: 'China', dialCode: '+86', lengths: range(9, 11), trunkPrefix: '0' },
+  { iso: 'HK', name: 'Hong Kong', dialCode: '+852', lengths: [8], trunkPrefix: null },
+  { iso: 'MO', name: 'Macau', dialCode: '+853', lengths: [8], trunkPrefix: null },
+  { iso: 'TW', name: 'Taiwan', dialCode: '+886', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'JP', name: 'Japan', dialCode: '+81', lengths: [9, 10], trunkPrefix: '0' },
+  { iso: 'KR', name: 'South Korea', dialCode: '+82', lengths: range(8, 10), trunkPrefix: '0' },
+  { iso: 'KP', name: 'North Korea', dialCode: '+850', lengths: range(8, 10), trunkPrefix: '0' },
+  { iso: 'MN', name: 'Mongolia', dialCode: '+976', lengths: [8], trunkPrefix: '0' },
+  { iso: 'SG', name: 'Singapore', dialCode: '+65', lengths: [8], trunkPrefix: null },
+  { iso: 'MY', name: 'Malaysia', dialCode: '+60', lengths: [8, 9, 10], trunkPrefix: '0' },
+  { iso: 'ID', name: 'Indonesia', dialCode: '+62', lengths: range(8, 12), trunkPrefix: '0' },
+  { iso: 'PH', name: 'Philippines', dialCode: '+63', lengths: range(8, 10), trunkPrefix: '0' },
+  { iso: 'TH', name: 'Thailand', dialCode: '+66', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'VN', name: 'Vietnam', dialCode: '+84', lengths: [9, 10], trunkPrefix: '0' },
+  { iso: 'KH', name: 'Cambodia', dialCode: '+855', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'LA', name: 'Laos', dialCode: '+856', lengths: [8, 9, 10], trunkPrefix: '0' },
+  { iso: 'MM', name: 'Myanmar', dialCode: '+95', lengths: range(7, 10), trunkPrefix: '0' },
+  { iso: 'BN', name: 'Brunei', dialCode: '+673', lengths: [7], trunkPrefix: null },
+  { iso: 'TL', name: 'Timor-Leste', dialCode: '+670', lengths: [7, 8], trunkPrefix: null },
+
+  // Oceania
+  { iso: 'AU', name: 'Australia', dialCode: '+61', lengths: [9], trunkPrefix: '0' },
+  { iso: 'CX', name: 'Christmas Island', dialCode: '+61', lengths: [9], trunkPrefix: '0', areaCodes: ['89164'] },
+  { iso: 'CC', name: 'Cocos (Keeling) Islands', dialCode: '+61', lengths: [9], trunkPrefix: '0', areaCodes: ['89162'] },
+  { iso: 'NZ', name: 'New Zealand', dialCode: '+64', lengths: range(8, 10), trunkPrefix: '0' },
+  { iso: 'PG', name: 'Papua New Guinea', dialCode: '+675', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'FJ', name: 'Fiji', dialCode: '+679', lengths: [7], trunkPrefix: null },
+  { iso: 'SB', name: 'Solomon Islands', dialCode: '+677', lengths: [5, 7], trunkPrefix: null },
+  { iso: 'VU', name: 'Vanuatu', dialCode: '+678', lengths: [5, 7], trunkPrefix: null },
+  { iso: 'NC', name: 'New Caledonia', dialCode: '+687', lengths: [6], trunkPrefix: null },
+  { iso: 'PF', name: 'French Polynesia', dialCode: '+689', lengths: [8], trunkPrefix: null },
+  { iso: 'WF', name: 'Wallis and Futuna', dialCode: '+681', lengths: [6], trunkPrefix: null },
+  { iso: 'WS', name: 'Samoa', dialCode: '+685', lengths: [5, 6, 7], trunkPrefix: null },
+  { iso: 'TO', name: 'Tonga', dialCode: '+676', lengths: [5, 7], trunkPrefix: null },
+  { iso: 'TV', name: 'Tuvalu', dialCode: '+688', lengths: [5, 6, 7], trunkPrefix: null },
+  { iso: 'KI', name: 'Kiribati', dialCode: '+686', lengths: [5, 8], trunkPrefix: null },
+  { iso: 'NR', name: 'Nauru', dialCode: '+674', lengths: [7], trunkPrefix: null },
+  { iso: 'MH', name: 'Marshall Islands', dialCode: '+692', lengths: [7], trunkPrefix: null },
+  { iso: 'FM', name: 'Micronesia', dialCode: '+691', lengths: [7], trunkPrefix: null },
+  { iso: 'PW', name: 'Palau', dialCode: '+680', lengths: [7], trunkPrefix: null },
+  { iso: 'CK', name: 'Cook Islands', dialCode: '+682', lengths: [5], trunkPrefix: null },
+  { iso: 'NU', name: 'Niue', dialCode: '+683', lengths: [4, 7], trunkPrefix: null },
+  { iso: 'TK', name: 'Tokelau', dialCode: '+690', lengths: [4, 5, 6, 7], trunkPrefix: null },
+  { iso: 'NF', name: 'Norfolk Island', dialCode: '+672', lengths: [5, 6], trunkPrefix: null },
+
+  // Latin America
+  { iso: 'MX', name: 'Mexico', dialCode: '+52', lengths: [10], trunkPrefix: null },
+  { iso: 'GT', name: 'Guatemala', dialCode: '+502', lengths: [8], trunkPrefix: null },
+  { iso: 'BZ', name: 'Belize', dialCode: '+501', lengths: [7], trunkPrefix: null },
+  { iso: 'SV', name: 'El Salvador', dialCode: '+503', lengths: [8], trunkPrefix: null },
+  { iso: 'HN', name: 'Honduras', dialCode: '+504', lengths: [8], trunkPrefix: null },
+  { iso: 'NI', name: 'Nicaragua', dialCode: '+505', lengths: [8], trunkPrefix: null },
+  { iso: 'CR', name: 'Costa Rica', dialCode: '+506', lengths: [8], trunkPrefix: null },
+  { iso: 'PA', name: 'Panama', dialCode: '+507', lengths: [7, 8], trunkPrefix: null },
+  { iso: 'CU', name: 'Cuba', dialCode: '+53', lengths: range(6, 8), trunkPrefix: '0' },
+  { iso: 'HT', name: 'Haiti', dialCode: '+509', lengths: [8], trunkPrefix: null },
+  { iso: 'GP', name: 'Guadeloupe', dialCode: '+590', lengths: [9], trunkPrefix: '0' },
+  { iso: 'MQ', name: 'Martinique', dialCode: '+596', lengths: [9], trunkPrefix: '0' },
+  { iso: 'AW', name: 'Aruba', dialCode: '+297', lengths: [7], trunkPrefix: null },
+  { iso: 'BQ', name: 'Caribbean Netherlands', dialCode: '+599', lengths: [7], trunkPrefix: null },
+  { iso: 'CW', name: 'Curaçao', dialCode: '+599', lengths: [7, 8], trunkPrefix: null, areaCodes: ['9'] },
+  { iso: 'CO', name: 'Colombia', dialCode: '+57', lengths: [10], trunkPrefix: null },
+  { iso: 'VE', name: 'Venezuela', dialCode: '+58', lengths: [10], trunkPrefix: '0' },
+  { iso: 'EC', name: 'Ecuador', dialCode: '+593', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'PE', name: 'Peru', dialCode: '+51', lengths: [8, 9], trunkPrefix: '0' },
+  { iso: 'BO', name: 'Bolivia', dialCode: '+591', lengths: [8], trunkPrefix: '0' },
+  { iso: 'BR', name: 'Brazil', dialCode: '+55', lengths: [10, 11], trunkPrefix: '0' },
+  { iso: 'PY', name: 'Paraguay', dialCode: '+595', lengths: range(6, 9), trunkPrefix: '0' },
+  { iso: 'UY', name: 'Uruguay', dialCode: '+598', lengths: [8], trunkPrefix: '0' },
+  { iso: 'AR', name: 'Argentina', dialCode: '+54', lengths: [10, 11], trunkPrefix: '0' },
+  { iso: 'CL', name: 'Chile', dialCode: '+56', lengths: [9], trunkPrefix: null },
+  { iso: 'GY', name: 'Guyana', dialCode: '+592', lengths: [7], trunkPrefix: null },
+  { iso: 'SR', name: 'Suriname', dialCode: '+597', lengths: [6, 7], trunkPrefix: null },
+  { iso: 'GF', name: 'French Guiana', dialCode: '+594', lengths: [9], trunkPrefix: '0' },
+  { iso: 'FK', name: 'Falkland Islands', dialCode: '+500', lengths: [5], trunkPrefix: null },
+  { iso: 'PM', name: 'Saint Pierre and Miquelon', dialCode: '+508', lengths: [6], trunkPrefix: '0' },
+
+  // North America & Caribbean (NANP)
+  nanp('US', 'United States'),
+  nanp('CA', 'Canada', [
+    '204', '226', '236', '249', '250', '263', '289', '306', '343', '354', '365', '367', '368', '382',
+    '403', '416', '418', '428', '431', '437', '438', '450', '468', '474', '506', '514', '519', '548',
+    '579', '581', '584', '587', '604', '613', '639', '647', '672', '683', '705', '709', '742', '753',
+    '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+  ]),
+  nanp('AG', 'Antigua and Barbuda', ['268']),
+  nanp('AI', 'Anguilla', ['264']),
+  nanp('AS', 'American Samoa', ['684']),
+  nanp('BB', 'Barbados', ['246']),
+  nanp('BM', 'Bermuda', ['441']),
+  nanp('BS', 'Bahamas', ['242']),
+  nanp('DM', 'Dominica', ['767']),
+  nanp('DO', 'Dominican Republic', ['809', '829', '849']),
+  nanp('GD', 'Grenada', ['473']),
+  nanp('GU', 'Guam', ['671']),
+  nanp('JM', 'Jamaica', ['876', '658']),
+  nanp('KN', 'Saint Kitts and Nevis', ['869']),
+  nanp('KY', 'Cayman Islands', ['345']),
+  nanp('LC', 'Saint Lucia', ['758']),
+  nanp('MP', 'Northern Mariana Islands', ['670']),
+  nanp('MS', 'Montserrat', ['664']),
+  nanp('PR', 'Puerto Rico', ['787', '939']),
+  nanp('SX', 'Sint Maarten', ['721']),
+  nanp('TC', 'Turks and Caicos Islands', ['649']),
+  nanp('TT', 'Trinidad and Tobago', ['868']),
+  nanp('VC', 'Saint Vincent and the Grenadines', ['784']),
+  nanp('VG', 'British Virgin Islands', ['284']),
+  nanp('VI', 'U.S. Virgin Islands', ['340'])
+];
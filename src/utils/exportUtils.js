@@ -0,0 +1,74 @@
+import * as XLSX from 'xlsx';
+
+/**
+ * Trigger a browser download for generated content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} type - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(content, filename, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Escape a single CSV field (quotes fields containing commas, quotes or newlines)
+ * @param {*} value - Field value
+ * @returns {string} - CSV-safe field
+ */
+function escapeCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert an array of objects to CSV text
+ * Headers are the union of all keys, in first-seen order
+ * @param {Array} rows - Array of objects
+ * @returns {string} - CSV text
+ */
+export function rowsToCSV(rows) {
+  if (!rows || rows.length === 0) return '';
+
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+
+  const lines = [
+    headers.map(escapeCSVField).join(','),
+    ...rows.map(row => headers.map(header => escapeCSVField(row[header])).join(','))
+  ];
+
+  return lines.join('\r\n');
+}
+
+/**
+ * Download an array of objects as a CSV file
+ * A UTF-8 BOM is added so Excel opens non-ASCII names correctly
+ * @param {Array} rows - Array of objects
+ * @param {string} filename - Name of the downloaded file
+ */
+export function exportRowsToCSV(rows, filename) {
+  downloadFile('\uFEFF' + rowsToCSV(rows), filename, 'text/csv;charset=utf-8');
+}
+
+/**
+ * Download an array of objects as an Excel workbook
+ * @param {Array} rows - Array of objects
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} sheetName - Name of the worksheet
+ */
+export function exportRowsToXLSX(rows, filename, sheetName = 'Sheet1') {
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  XLSX.writeFile(workbook, filename);
+}
@@ -1,56 +1,159 @@
 import * as XLSX from 'xlsx';
 
 /**
- * Parse CSV text into array of objects
- * Handles quoted values, commas and newlines inside quotes
- * Returns data with ORIGINAL headers (not normalized)
- * @param {string} csvText - CSV text to parse
- * @returns {Object} - {data: [], headers: []}
+ * Delimiters offered for CSV files, with display labels
  */
-export function parseCSV(csvText) {
-  if (!csvText) return { data: [], headers: [] };
+export const CSV_DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
 
-  try {
-    const lines = [];
-    let currentLine = '';
-    let insideQuotes = false;
-
-    // Split by characters and handle quotes properly
-    for (let i = 0; i < csvText.length; i++) {
-      const char = csvText[i];
-      const nextChar = csvText[i + 1];
-
-      if (char === '"') {
-        if (insideQuotes && nextChar === '"') {
-          // Escaped quote
-          currentLine += '"';
-          i++; // Skip next quote
-        } else {
-          // Toggle quote state
-          insideQuotes = !insideQuotes;
-        }
-      } else if (char === '\n' && !insideQuotes) {
-        // End of line
-        if (currentLine.trim()) {
-          lines.push(currentLine);
+/**
+ * Text encodings offered for CSV files
+ */
+export const CSV_ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western European)' },
+  { value: 'iso-8859-1', label: 'ISO-8859-1 (Latin-1)' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' }
+];
+
+/**
+ * Split CSV text into rows of fields in a single pass
+ * Handles quoted values, escaped quotes, delimiters and newlines inside quotes,
+ * and \n, \r\n or \r line endings. Blank rows are skipped.
+ * Fields are sliced out of the text rather than built character by character,
+ * which keeps files with hundreds of thousands of rows fast.
+ * @param {string} csvText - CSV text
+ * @param {string} delimiter - Field separator
+ * @param {number} maxRows - Stop after this many rows (for sniffing)
+ * @param {Function} onProgress - Called every 5,000 rows with (rowsParsed, charactersRead)
+ * @returns {Array} - Array of rows, each an array of trimmed field values
+ */
+function parseCSVRows(csvText, delimiter = ',', maxRows = Infinity, onProgress = null) {
+  const rows = [];
+  const length = csvText.length;
+  let i = 0;
+
+  while (i < length && rows.length < maxRows) {
+    const row = [];
+    let lineEnded = false;
+
+    while (!lineEnded) {
+      let value = '';
+
+      // Quoted field (spaces before the opening quote are ignored)
+      let start = i;
+      while (start < length && csvText[start] === ' ') start++;
+
+      if (csvText[start] === '"') {
+        i = start + 1;
+        for (;;) {
+          const quote = csvText.indexOf('"', i);
+          if (quote === -1) {
+            value += csvText.slice(i);
+            i = length;
+            break;
+          }
+          if (csvText[quote + 1] === '"') {
+            // Escaped quote
+            value += csvText.slice(i, quote + 1);
+            i = quote + 2;
+            continue;
+          }
+          value += csvText.slice(i, quote);
+          i = quote + 1;
+          break;
         }
-        currentLine = '';
+        // Keep embedded line breaks as plain \n
+        value = value.replace(/\r\n/g, '\n');
+      }
+
+      // Unquoted field, or anything between a closing quote and the delimiter
+      let end = i;
+      while (end < length) {
+        const char = csvText[end];
+        if (char === delimiter || char === '\n' || char === '\r') break;
+        end++;
+      }
+      value += csvText.slice(i, end);
+      row.push(value.trim());
+
+      if (end < length && csvText[end] === delimiter) {
+        i = end + 1;
       } else {
-        currentLine += char;
+        // End of line (\r\n counts once)
+        lineEnded = true;
+        i = end + (csvText[end] === '\r' && csvText[end + 1] === '\n' ? 2 : 1);
       }
     }
 
-    // Add last line if exists
-    if (currentLine.trim()) {
-      lines.push(currentLine);
+    if (row.length > 1 || row[0]) {
+      rows.push(row);
+      if (onProgress && rows.length % 5000 === 0) {
+        onProgress(rows.length, Math.min(i, length));
+      }
     }
+  }
+
+  return rows;
+}
+
+/**
+ * Guess the delimiter of CSV text from its first lines
+ * Picks the candidate that splits every sampled line into the same number of columns,
+ * preferring more columns, so European semicolon exports are not read as one column
+ * @param {string} csvText - CSV text
+ * @returns {string} - Detected delimiter (comma when nothing fits better)
+ */
+export function sniffDelimiter(csvText) {
+  if (!csvText) return ',';
+
+  let best = { delimiter: ',', score: 0 };
+
+  CSV_DELIMITERS.forEach(({ value: delimiter }) => {
+    const rows = parseCSVRows(csvText.slice(0, 64 * 1024), delimiter, 10);
+    if (rows.length === 0) return;
 
-    if (lines.length === 0) {
-      return { data: [], headers: [] };
+    const columns = rows[0].length;
+    if (columns < 2) return;
+
+    const consistent = rows.filter(row => row.length === columns).length / rows.length;
+    const score = consistent * 100 + columns;
+
+    if (score > best.score) {
+      best = { delimiter, score };
     }
+  });
 
-    // Parse each line into fields
-    const rows = lines.map(line => parseCSVLine(line));
+  return best.delimiter;
+}
+
+/**
+ * Parse CSV text into array of objects
+ * Handles quoted values, delimiters and newlines inside quotes, a UTF-8 BOM and CRLF line endings
+ * Returns data with ORIGINAL headers (not normalized)
+ * @param {string} csvText - CSV text to parse
+ * @param {string} delimiter - Field separator, or 'auto' to detect it
+ * @param {Function} onProgress - Called while parsing with (rowsParsed, charactersRead)
+ * @returns {Object} - {data: [], headers: [], delimiter}
+ */
+export function parseCSV(csvText, delimiter = 'auto', onProgress = null) {
+  if (!csvText) return { data: [], headers: [] };
+
+  try {
+    // A BOM left on the first header hides it from detectHeaders
+    const text = csvText.charCodeAt(0) === 0xFEFF ? csvText.slice(1) : csvText;
+    const resolvedDelimiter = delimiter === 'auto' ? sniffDelimiter(text) : delimiter;
+
+    const rows = parseCSVRows(text, resolvedDelimiter, Infinity, onProgress);
+
+    if (rows.length === 0) {
+      return { data: [], headers: [], delimiter: resolvedDelimiter };
+    }
 
     // First row is headers (Keep original casing/spacing)
     const headers = rows[0].map(h => h.trim());
@@ -65,7 +168,7 @@ export function parseCSV(csvText) {
       return obj;
     });
 
-    return { data, headers };
+    return { data, headers, delimiter: resolvedDelimiter };
   } catch (error) {
     console.error('CSV parsing error:', error);
     return { data: [], headers: [], error: error.message };
@@ -73,70 +176,83 @@ export function parseCSV(csvText) {
 }
 
 /**
- * Parse a single CSV line into array of fields
- * @param {string} line - CSV line
- * @returns {Array} - Array of field values
+ * Read a text file, detecting its encoding unless one is given
+ * Uses the BOM when present, otherwise tries strict UTF-8 and falls back to Windows-1252
+ * (the usual encoding of CSV files saved by Excel on Windows)
+ * @param {File} file - File to read
+ * @param {string} encoding - Encoding label, or 'auto' to detect it
+ * @returns {Promise<Object>} - {text, encoding}
  */
-function parseCSVLine(line) {
-  const fields = [];
-  let currentField = '';
-  let insideQuotes = false;
+export async function readTextFile(file, encoding = 'auto') {
+  const bytes = new Uint8Array(await file.arrayBuffer());
 
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
+  if (encoding !== 'auto') {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  }
 
-    if (char === '"') {
-      if (insideQuotes && nextChar === '"') {
-        currentField += '"';
-        i++;
-      } else {
-        insideQuotes = !insideQuotes;
-      }
-    } else if (char === ',' && !insideQuotes) {
-      fields.push(currentField.trim());
-      currentField = '';
-    } else {
-      currentField += char;
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+  } catch (error) {
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Detect spreadsheet-shaped pasted text (cells copied from Excel or Google Sheets)
+ * Needs a header row without phone numbers, the same column count on every line,
+ * and at least one phone-like cell below the header
+ * @param {string} text - Pasted text
+ * @returns {Object|null} - {data: [], headers: [], delimiter} or null if the text is not tabular
+ */
+export function parseTabularText(text) {
+  if (!text) return null;
+
+  const countDigits = (value) => value.replace(/\D/g, '').length;
+
+  for (const delimiter of ['\t', ',', ';']) {
+    const rows = parseCSVRows(text, delimiter);
+    if (rows.length < 2) return null;
+
+    const columns = rows[0].length;
+
+    if (columns < 2 || !rows.every(row => row.length === columns)) continue;
+
+    const [headerRow, ...dataRows] = rows;
+    const isHeader = headerRow.some(cell => /[a-z]/i.test(cell)) &&
+      headerRow.every(cell => countDigits(cell) < 7);
+    const hasPhones = dataRows.some(row => row.some(cell => countDigits(cell) >= 7));
+
+    if (isHeader && hasPhones) {
+      return parseCSV(text, delimiter);
     }
   }
 
-  fields.push(currentField.trim());
-  return fields;
+  return null;
 }
 
 /**
- * Parse Excel file (.xlsx, .xls) into array of objects
- * Returns data with ORIGINAL headers
+ * Read an Excel file (.xlsx, .xls) into a workbook
  * @param {File} file - Excel file
- * @returns {Promise<Object>} - {data: [], headers: []}
+ * @returns {Promise<Object>} - XLSX workbook
  */
-export async function parseExcel(file) {
+export function readWorkbook(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
 
     reader.onload = (e) => {
       try {
         const data = new Uint8Array(e.target.result);
-        const workbook = XLSX.read(data, { type: 'array' });
-
-        // Get first sheet
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-
-        // Convert to JSON (first row as headers)
-        // defval: '' ensures empty cells are empty strings, not undefined
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
-
-        if (jsonData.length === 0) {
-          resolve({ data: [], headers: [] });
-          return;
-        }
-
-        // Extract headers from the first row keys
-        const headers = Object.keys(jsonData[0]);
-
-        resolve({ data: jsonData, headers });
+        resolve(XLSX.read(data, { type: 'array' }));
       } catch (error) {
         console.error('Excel parsing error:', error);
         reject({ data: [], headers: [], error: error.message });
@@ -151,6 +267,198 @@ export async function parseExcel(file) {
   });
 }
 
+const isBlankCell = (cell) => cell === undefined || cell === null || String(cell).trim() === '';
+const isBlankRow = (row) => !row || row.every(isBlankCell);
+
+/**
+ * Get the raw cell values of a worksheet, one array per spreadsheet row
+ * Index 0 is spreadsheet row 1 (blank rows are kept so indexes match row numbers)
+ * @param {Object} workbook - XLSX workbook
+ * @param {string} sheetName - Worksheet name
+ * @returns {Array} - Array of rows, each an array of cell values
+ */
+export function getSheetRows(workbook, sheetName) {
+  const worksheet = workbook.Sheets[sheetName];
+  if (!worksheet || !worksheet['!ref']) return [];
+
+  // Start at A1 even if the used range starts lower, so indexes match row numbers
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  range.s.r = 0;
+  range.s.c = 0;
+
+  // defval: '' ensures empty cells are empty strings, not undefined
+  return XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    blankrows: true,
+    range
+  });
+}
+
+/**
+ * List the worksheets of a workbook with their non-blank row counts
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Array} - [{ name, rowCount }]
+ */
+export function listSheets(workbook) {
+  return workbook.SheetNames.map(name => ({
+    name,
+    rowCount: getSheetRows(workbook, name).filter(row => !isBlankRow(row)).length
+  }));
+}
+
+/**
+ * Guess which row holds the column names
+ * Skips titles and blank rows above the table: the header is the first row that fills
+ * at least half the table width with text and contains no phone-like values
+ * @param {Array} rows - Rows from getSheetRows
+ * @returns {number} - 1-based spreadsheet row number
+ */
+export function detectHeaderRow(rows) {
+  const filled = (row) => row.filter(cell => !isBlankCell(cell));
+  const width = Math.max(0, ...rows.slice(0, 50).map(row => filled(row).length));
+
+  for (let i = 0; i < Math.min(rows.length, 20); i++) {
+    const cells = filled(rows[i]);
+    const looksLikeHeader = cells.length >= Math.max(2, Math.ceil(width / 2)) &&
+      cells.every(cell => typeof cell === 'string' && cell.replace(/\D/g, '').length < 7);
+
+    if (looksLikeHeader) return i + 1;
+  }
+
+  const firstFilled = rows.findIndex(row => !isBlankRow(row));
+  return firstFilled === -1 ? 1 : firstFilled + 1;
+}
+
+/**
+ * Turn worksheet rows into objects keyed by the cells of the header row
+ * Blank header cells become "Column X", repeated names get a (2), (3)... suffix
+ * and empty columns without a header are dropped
+ * @param {Array} rows - Rows from getSheetRows
+ * @param {number} headerRow - 1-based row number of the header
+ * @returns {Object} - {data: [], headers: [], rowNumbers: []}
+ */
+export function parseSheetRows(rows, headerRow = 1) {
+  const headerCells = rows[headerRow - 1] || [];
+  const bodyRows = rows.slice(headerRow);
+
+  const headers = [];
+  const columns = [];
+  // Sheets can have more rows than Math.max accepts as arguments
+  const width = bodyRows.reduce((max, row) => Math.max(max, row.length), headerCells.length);
+
+  for (let col = 0; col < width; col++) {
+    let header = isBlankCell(headerCells[col]) ? '' : String(headerCells[col]).trim();
+
+    if (!header) {
+      if (bodyRows.every(row => isBlankCell(row[col]))) continue;
+      header = `Column ${XLSX.utils.encode_col(col)}`;
+    }
+
+    let unique = header;
+    for (let n = 2; headers.includes(unique); n++) {
+      unique = `${header} (${n})`;
+    }
+
+    headers.push(unique);
+    columns.push(col);
+  }
+
+  const data = [];
+  const rowNumbers = [];
+
+  bodyRows.forEach((row, index) => {
+    if (isBlankRow(row)) return;
+
+    const obj = {};
+    headers.forEach((header, i) => {
+      const value = row[columns[i]];
+      obj[header] = value === undefined || value === null ? '' : value;
+    });
+
+    data.push(obj);
+    rowNumbers.push(headerRow + index + 1);
+  });
+
+  return { data, headers, rowNumbers };
+}
+
+/**
+ * Find the row in another sheet whose cells match a set of headers
+ * Used to stack sheets that share the same columns
+ * @param {Array} rows - Rows from getSheetRows
+ * @param {Array} headers - Headers to match
+ * @returns {number|null} - 1-based row number or null if no row matches
+ */
+function findHeaderRow(rows, headers) {
+  const target = [...headers].sort().join('\n');
+
+  for (let i = 0; i < Math.min(rows.length, 20); i++) {
+    if (isBlankRow(rows[i])) continue;
+    const { headers: candidate } = parseSheetRows(rows.slice(0, i + 1), i + 1);
+    if ([...candidate].sort().join('\n') === target) return i + 1;
+  }
+
+  return null;
+}
+
+/**
+ * Parse one worksheet, or stack several worksheets that share the same columns
+ * The first sheet's header row defines the columns; every other sheet is matched
+ * by finding its own row with the same headers and skipped if it has none.
+ * Stacked data gets a "Sheet" column and sheet-qualified row numbers (e.g. "Branch B:14")
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} sheetNames - Selected worksheet names (first one is the primary)
+ * @param {number} headerRow - 1-based header row of the primary sheet
+ * @returns {Object} - {data: [], headers: [], rowNumbers: [], skippedSheets: []}
+ */
+export function parseExcelSheets(workbook, sheetNames, headerRow = 1) {
+  const [primary, ...others] = sheetNames;
+  const result = parseSheetRows(getSheetRows(workbook, primary), headerRow);
+
+  if (others.length === 0) {
+    return { ...result, skippedSheets: [] };
+  }
+
+  const data = result.data.map(row => ({ ...row, Sheet: primary }));
+  const rowNumbers = result.rowNumbers.map(row => `${primary}:${row}`);
+  const skippedSheets = [];
+
+  others.forEach(name => {
+    const rows = getSheetRows(workbook, name);
+    const sheetHeaderRow = findHeaderRow(rows, result.headers);
+
+    if (!sheetHeaderRow) {
+      skippedSheets.push(name);
+      return;
+    }
+
+    const sheet = parseSheetRows(rows, sheetHeaderRow);
+    sheet.data.forEach(row => data.push({ ...row, Sheet: name }));
+    sheet.rowNumbers.forEach(row => rowNumbers.push(`${name}:${row}`));
+  });
+
+  return {
+    data,
+    headers: result.headers.includes('Sheet') ? result.headers : [...result.headers, 'Sheet'],
+    rowNumbers,
+    skippedSheets
+  };
+}
+
+/**
+ * Parse Excel file (.xlsx, .xls) into array of objects
+ * Reads the first sheet with row 1 as the header
+ * Returns data with ORIGINAL headers
+ * @param {File} file - Excel file
+ * @returns {Promise<Object>} - {data: [], headers: []}
+ */
+export async function parseExcel(file) {
+  const workbook = await readWorkbook(file);
+  const { data, headers } = parseSheetRows(getSheetRows(workbook, workbook.SheetNames[0]), 1);
+  return data.length === 0 ? { data: [], headers: [] } : { data, headers };
+}
+
 /**
  * Detect common header names and suggest field mappings
  * Compares normalized versions but returns ORIGINAL headers from file
@@ -165,7 +473,9 @@ export function detectHeaders(headers) {
   const firstNamePatterns = ['first_name', 'firstname', 'fname', 'given_name', 'first'];
   const lastNamePatterns = ['last_name', 'lastname', 'lname', 'surname', 'family_name', 'last'];
   const emailPatterns = ['email', 'e-mail', 'mail', 'email_address'];
-  const locationPatterns = ['location', 'address', 'city', 'town', 'region', 'area', 'country'];
+  const locationPatterns = ['location', 'address', 'city', 'town', 'region', 'area'];
+  const countryPatterns = ['country', 'dial_code', 'dialcode', 'calling_code'];
+  const consentPatterns = ['consent', 'optin', 'opt_in', 'subscribed', 'subscription'];
 
   headers.forEach(header => {
     // Normalize strictly for comparison
@@ -192,6 +502,18 @@ export function detectHeaders(headers) {
     if (!mapping.location && matches(locationPatterns)) {
       mapping.location = header;
     }
+    if (!mapping.country && matches(countryPatterns)) {
+      mapping.country = header;
+    }
+
+    // Consent columns are told apart by a second word ("Consent Date", "Opt-in Source")
+    if (matches(consentPatterns)) {
+      const consentField = matches(['date', 'time', 'when']) ? 'consent_date'
+        : matches(['source', 'method', 'channel', 'via']) ? 'consent_source'
+        : matches(['proof', 'evidence', 'note', 'reference']) ? 'consent_proof'
+        : 'consent_status';
+      if (!mapping[consentField]) mapping[consentField] = header;
+    }
   });
 
   return mapping;
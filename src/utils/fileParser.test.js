@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { parseCSV, sniffDelimiter, parseSheetRows, parseExcelSheets, detectHeaderRow } from './fileParser';
+
+const buildWorkbook = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return workbook;
+};
+
+describe('parseCSV', () => {
+  it('keeps headers as written and fills missing cells', () => {
+    const result = parseCSV('﻿Name,Phone Number\nAnn,0772123456\nBen\n');
+    expect(result.headers).toEqual(['Name', 'Phone Number']);
+    expect(result.data).toEqual([
+      { Name: 'Ann', 'Phone Number': '0772123456' },
+      { Name: 'Ben', 'Phone Number': '' }
+    ]);
+  });
+
+  it('handles quoted fields and other delimiters', () => {
+    expect(sniffDelimiter('a;b;c\n1;2;3')).toBe(';');
+    const result = parseCSV('name;note\n"Doe; Jane";"said ""hi""\nthen left"', 'auto');
+    expect(result.data).toEqual([{ name: 'Doe; Jane', note: 'said "hi"\nthen left' }]);
+  });
+});
+
+describe('parseSheetRows', () => {
+  it('names blank headers, makes duplicates unique and skips blank rows', () => {
+    const result = parseSheetRows([
+      ['Phone', '', 'Phone'],
+      ['0772123456', 'x', '0701234567'],
+      ['', '', ''],
+      ['0772123457', '', '']
+    ]);
+    expect(result.headers).toEqual(['Phone', 'Column B', 'Phone (2)']);
+    expect(result.data).toHaveLength(2);
+    expect(result.rowNumbers).toEqual([2, 4]);
+  });
+});
+
+describe('parseExcelSheets', () => {
+  it('finds the header row below a title', () => {
+    const rows = [['Customer export'], [], ['Name', 'Phone'], ['Ann', '0772123456']];
+    expect(detectHeaderRow(rows)).toBe(3);
+    const result = parseExcelSheets(buildWorkbook({ Sheet1: rows }), ['Sheet1'], 3);
+    expect(result.data).toEqual([{ Name: 'Ann', Phone: '0772123456' }]);
+  });
+
+  it('stacks sheets with the same headers and skips the rest', () => {
+    const workbook = buildWorkbook({
+      A: [['Name', 'Phone'], ['Ann', '1']],
+      B: [['Branch B'], ['Phone', 'Name'], ['2', 'Ben']],
+      Notes: [['Nothing here']]
+    });
+    const result = parseExcelSheets(workbook, ['A', 'B', 'Notes']);
+    expect(result.headers).toEqual(['Name', 'Phone', 'Sheet']);
+    expect(result.data.map(row => row.Name)).toEqual(['Ann', 'Ben']);
+    expect(result.rowNumbers).toEqual(['A:2', 'B:3']);
+    expect(result.skippedSheets).toEqual(['Notes']);
+  });
+
+  it('parses a sheet with more rows than Math.max takes as arguments', () => {
+    const rows = [['Phone', 'Name']];
+    for (let i = 0; i < 160000; i++) rows.push([`0772${String(i).padStart(6, '0')}`, `Contact ${i}`]);
+
+    const result = parseExcelSheets(buildWorkbook({ Big: rows }), ['Big']);
+    expect(result.data).toHaveLength(160000);
+    expect(result.data[159999]).toEqual({ Phone: '0772159999', Name: 'Contact 159999' });
+  }, 60000);
+});
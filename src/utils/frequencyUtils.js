@@ -0,0 +1,75 @@
+/**
+ * Frequency caps: limit how often one number is messaged
+ * A cap is { enabled, maxMessages, periodDays, skipOverCap }, e.g. no more than 2 messages per 7 days.
+ * With skipOverCap off, recipients over the cap are only flagged and still messaged.
+ * Message counts come from the contact book history (countMessagesSince).
+ */
+
+const DAY_MS = 86400000;
+
+const DEFAULT_CAP = { enabled: false, maxMessages: 2, periodDays: 7, skipOverCap: true };
+
+/**
+ * Load the frequency cap setting
+ * @returns {Object} - { enabled, maxMessages, periodDays, skipOverCap }
+ */
+export function loadFrequencyCap() {
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_frequencyCap');
+    return stored ? { ...DEFAULT_CAP, ...JSON.parse(stored) } : DEFAULT_CAP;
+  } catch (error) {
+    console.error('Error loading frequency cap:', error);
+    return DEFAULT_CAP;
+  }
+}
+
+/**
+ * Save the frequency cap setting
+ * @param {Object} cap - { enabled, maxMessages, periodDays, skipOverCap }
+ * @returns {boolean} - Success status
+ */
+export function saveFrequencyCap(cap) {
+  try {
+    localStorage.setItem('bulkWhatsApp_frequencyCap', JSON.stringify(cap));
+    return true;
+  } catch (error) {
+    console.error('Error saving frequency cap:', error);
+    return false;
+  }
+}
+
+/**
+ * Start of the window a cap looks back over
+ * @param {Object} cap - Frequency cap
+ * @returns {string} - ISO timestamp
+ */
+export function getCapWindowStart(cap) {
+  return new Date(Date.now() - Number(cap.periodDays) * DAY_MS).toISOString();
+}
+
+/**
+ * Find recipients that one more message would take over the cap
+ * @param {Array} contacts - Campaign recipients
+ * @param {Map} counts - phone -> messages sent inside the cap window
+ * @param {Object} cap - Frequency cap
+ * @returns {Map} - phone -> messages already sent, for over-cap recipients only
+ */
+export function findOverCapContacts(contacts, counts, cap) {
+  const overCap = new Map();
+  if (!cap.enabled) return overCap;
+
+  contacts.forEach(contact => {
+    const count = counts.get(contact.phone) || 0;
+    if (count >= Number(cap.maxMessages)) overCap.set(contact.phone, count);
+  });
+  return overCap;
+}
+
+/**
+ * Describe a cap for labels ("2 per 7 days")
+ * @param {Object} cap - Frequency cap
+ * @returns {string} - Short description
+ */
+export function describeFrequencyCap(cap) {
+  return `${cap.maxMessages} per ${cap.periodDays} day${Number(cap.periodDays) === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,206 @@
+/**
+ * Column layouts of well-known contact exports
+ * signature: headers that must all be present for the preset to match
+ * mapping: field type -> candidate headers, the first one present in the file is used
+ */
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'google',
+    name: 'Google Contacts',
+    signature: ['First Name', 'Last Name', 'Phone 1 - Value', 'E-mail 1 - Value'],
+    mapping: {
+      phone: ['Phone 1 - Value'],
+      first_name: ['First Name'],
+      last_name: ['Last Name'],
+      email: ['E-mail 1 - Value'],
+      location: ['Address 1 - City', 'Address 1 - Region'],
+      country: ['Address 1 - Country']
+    }
+  },
+  {
+    id: 'google-legacy',
+    name: 'Google Contacts (legacy export)',
+    signature: ['Name', 'Given Name', 'Family Name', 'Phone 1 - Value'],
+    mapping: {
+      phone: ['Phone 1 - Value'],
+      name: ['Name'],
+      first_name: ['Given Name'],
+      last_name: ['Family Name'],
+      email: ['E-mail 1 - Value'],
+      location: ['Address 1 - City', 'Address 1 - Region'],
+      country: ['Address 1 - Country']
+    }
+  },
+  {
+    id: 'outlook',
+    name: 'Outlook',
+    signature: ['First Name', 'Last Name', 'Mobile Phone', 'Business Phone', 'E-mail Address'],
+    mapping: {
+      phone: ['Mobile Phone', 'Business Phone', 'Home Phone'],
+      first_name: ['First Name'],
+      last_name: ['Last Name'],
+      email: ['E-mail Address'],
+      location: ['Home City', 'Business City'],
+      country: ['Home Country/Region', 'Business Country/Region']
+    }
+  },
+  {
+    id: 'hubspot',
+    name: 'HubSpot',
+    signature: ['Record ID', 'First Name', 'Last Name', 'Email'],
+    mapping: {
+      phone: ['Mobile Phone Number', 'Phone Number', 'WhatsApp Phone Number'],
+      first_name: ['First Name'],
+      last_name: ['Last Name'],
+      email: ['Email'],
+      location: ['City'],
+      country: ['Country/Region']
+    }
+  },
+  {
+    id: 'salesforce',
+    name: 'Salesforce / Zoho CRM',
+    signature: ['First Name', 'Last Name', 'Mobile', 'Mailing City'],
+    mapping: {
+      phone: ['Mobile', 'Phone'],
+      first_name: ['First Name'],
+      last_name: ['Last Name'],
+      email: ['Email'],
+      location: ['Mailing City'],
+      country: ['Mailing Country']
+    }
+  }
+];
+
+/**
+ * Normalize a header for comparison (case and surrounding spaces ignored)
+ * @param {string} header - Header name
+ * @returns {string} - Comparable header
+ */
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase();
+}
+
+/**
+ * Build the key identifying a file layout by its set of headers
+ * Column order does not matter
+ * @param {Array} headers - Headers of the file
+ * @returns {string} - Layout key
+ */
+export function getHeaderKey(headers) {
+  return [...new Set(headers.map(normalizeHeader))].sort().join('\n');
+}
+
+/**
+ * Resolve a preset mapping against the headers of a file
+ * @param {Object} preset - Built-in or saved preset
+ * @param {Array} headers - Headers of the file
+ * @returns {Object} - Mapping of field type to the file's own header names
+ */
+export function applyPreset(preset, headers) {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+
+  Object.entries(preset.mapping).forEach(([fieldType, candidates]) => {
+    const list = Array.isArray(candidates) ? candidates : [candidates];
+
+    // Fallback phone columns are a ranked list rather than alternatives
+    if (fieldType === 'fallback_phones') {
+      const columns = list
+        .filter(candidate => byNormalized.has(normalizeHeader(candidate)))
+        .map(candidate => byNormalized.get(normalizeHeader(candidate)));
+      if (columns.length > 0) mapping[fieldType] = columns;
+      return;
+    }
+
+    const match = list.find(candidate => byNormalized.has(normalizeHeader(candidate)));
+    if (match) mapping[fieldType] = byNormalized.get(normalizeHeader(match));
+  });
+
+  return mapping;
+}
+
+/**
+ * Load presets saved by the user
+ * @returns {Array} - [{ id, name, headerKey, mapping, timestamp }]
+ */
+export function loadImportPresets() {
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_importPresets');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading import presets:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the current mapping as a preset for this header layout
+ * Replaces any preset already saved for the same set of headers
+ * @param {string} name - Preset name
+ * @param {Array} headers - Headers of the file
+ * @param {Object} mapping - Field type -> header mapping
+ * @returns {Object|null} - The saved preset, or null on failure
+ */
+export function saveImportPreset(name, headers, mapping) {
+  try {
+    const headerKey = getHeaderKey(headers);
+    const preset = {
+      id: `user-${Date.now()}`,
+      name,
+      headerKey,
+      mapping,
+      timestamp: new Date().toISOString()
+    };
+
+    const presets = loadImportPresets().filter(p => p.headerKey !== headerKey);
+    localStorage.setItem('bulkWhatsApp_importPresets', JSON.stringify([preset, ...presets]));
+    return preset;
+  } catch (error) {
+    console.error('Error saving import preset:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a saved preset
+ * @param {string} id - Preset id
+ * @returns {boolean} - Success status
+ */
+export function deleteImportPreset(id) {
+  try {
+    const presets = loadImportPresets().filter(p => p.id !== id);
+    localStorage.setItem('bulkWhatsApp_importPresets', JSON.stringify(presets));
+    return true;
+  } catch (error) {
+    console.error('Error deleting import preset:', error);
+    return false;
+  }
+}
+
+/**
+ * Find the preset for a file layout
+ * A preset the user saved for this exact header set wins; otherwise the
+ * built-in preset with the most specific matching signature is used
+ * @param {Array} headers - Headers of the file
+ * @returns {Object|null} - { preset, mapping } or null if no preset matches
+ */
+export function findPreset(headers) {
+  if (!headers || headers.length === 0) return null;
+
+  const headerKey = getHeaderKey(headers);
+  const saved = loadImportPresets().find(p => p.headerKey === headerKey);
+  if (saved) {
+    return { preset: saved, mapping: applyPreset(saved, headers) };
+  }
+
+  const present = new Set(headers.map(normalizeHeader));
+  const builtIn = BUILT_IN_PRESETS
+    .filter(p => p.signature.every(header => present.has(normalizeHeader(header))))
+    .sort((a, b) => b.signature.length - a.signature.length)[0];
+
+  if (!builtIn) return null;
+
+  const mapping = applyPreset(builtIn, headers);
+  return mapping.phone ? { preset: builtIn, mapping } : null;
+}
@@ -0,0 +1,124 @@
+/**
+ * Main-thread side of the contact import worker
+ * Sends tasks to src/workers/importWorker.js and relays their progress
+ *
+ * Cancelling stops the worker outright, since a large parse can't be interrupted
+ * from inside. The requests that loaded the current file are remembered and sent
+ * to the new worker before the next task that needs the file.
+ */
+
+// Tasks that load a new file and replace whatever the worker held
+const FILE_TASKS = ['parse-csv', 'parse-vcard', 'open-workbook'];
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+let loadedFile = []; // [{ type, payload }] that built the worker's current file state
+let replayNeeded = false;
+
+/**
+ * Reject every running task and drop the worker (and the file state it holds)
+ * @param {Error} error - Error passed to pending tasks
+ */
+function resetWorker(error) {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+    replayNeeded = loadedFile.length > 0;
+  }
+  pending.forEach(task => task.reject(error));
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = (e) => {
+    const { id, type } = e.data;
+    const task = pending.get(id);
+    if (!task) return;
+
+    if (type === 'progress') {
+      if (task.onProgress) task.onProgress(e.data.progress);
+      return;
+    }
+
+    pending.delete(id);
+    if (type === 'result') {
+      rememberFileState(task.request);
+      task.resolve(e.data.result);
+    } else {
+      task.reject(new Error(e.data.error));
+    }
+  };
+
+  worker.onerror = (e) => {
+    console.error('Import worker crashed:', e);
+    resetWorker(new Error(e.message || 'The import worker stopped unexpectedly'));
+  };
+
+  return worker;
+}
+
+/**
+ * Keep the requests needed to rebuild the worker's file state after a restart
+ * @param {Object} request - { type, payload } of a task that succeeded
+ */
+function rememberFileState(request) {
+  if (FILE_TASKS.includes(request.type)) {
+    loadedFile = [request];
+  } else if (request.type === 'select-sheets' && loadedFile.length > 0) {
+    loadedFile = [loadedFile[0], request];
+  }
+}
+
+/**
+ * Send the remembered file requests to a restarted worker
+ * Their replies carry no pending id and are ignored; the worker runs requests in order,
+ * so the next task sees the rebuilt file.
+ */
+function replayFileState() {
+  replayNeeded = false;
+  loadedFile.forEach(({ type, payload }) => {
+    getWorker().postMessage({ id: ++nextId, type, payload });
+  });
+}
+
+/**
+ * Check whether an error came from cancelling an import task
+ * @param {Error} error - Error thrown by a task
+ * @returns {boolean} - True if the task was cancelled
+ */
+export function isCancelledError(error) {
+  return !!(error && error.cancelled);
+}
+
+/**
+ * Run an import task in the worker
+ * @param {string} type - Task name ('parse-csv', 'open-workbook', 'select-sheets', 'merge')
+ * @param {Object} payload - Task input
+ * @param {Function} onProgress - Called with { stage, processed, total }
+ * @returns {Object} - { promise, cancel } where cancel() stops the worker and rejects the promise
+ */
+export function runImportTask(type, payload, onProgress) {
+  const request = { type, payload };
+  if (replayNeeded && !FILE_TASKS.includes(type)) replayFileState();
+
+  const id = ++nextId;
+  const promise = new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress, request });
+    getWorker().postMessage({ id, type, payload });
+  });
+
+  // A file load that is cancelled never becomes the remembered file, so the previous one is replayed
+  const cancel = () => {
+    if (!pending.has(id)) return;
+    const error = new Error('Import cancelled');
+    error.cancelled = true;
+    resetWorker(error);
+  };
+
+  return { promise, cancel };
+}
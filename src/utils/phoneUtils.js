@@ -1,67 +1,239 @@
 /**
  * Phone number normalization and validation utilities
- * Supports multiple country codes
+ * Country rules (dial codes, number lengths, trunk prefixes) come from ./countries
  */
 
-const COUNTRY_CODES = ['+254', '+256', '+255', '+233', '+234', '+27', '+1', '+44'];
+import { COUNTRIES } from './countries';
+
+// Every dial code + area code prefix, longest first, so +1 876 (Jamaica)
+// resolves before +1 (United States) and +44 1534 (Jersey) before +44 (United Kingdom)
+const PREFIX_INDEX = COUNTRIES
+  .flatMap(country => (country.areaCodes || ['']).map(areaCode => ({
+    prefix: country.dialCode + areaCode,
+    country
+  })))
+  .sort((a, b) => b.prefix.length - a.prefix.length);
 
 /**
- * Normalize phone number by removing non-digits and adding country code
+ * Find the country that owns an international phone number
+ * @param {string} phone - Phone number starting with + and the dial code
+ * @returns {Object|null} - Country metadata from COUNTRIES or null if unknown
+ */
+export function getCountryFromPhone(phone) {
+  if (!phone) return null;
+
+  const match = PREFIX_INDEX.find(entry => phone.startsWith(entry.prefix));
+  return match ? match.country : null;
+}
+
+/**
+ * Find the default country for a dial code (e.g. '+1' gives the United States)
+ * @param {string} dialCode - Dial code with or without the leading +
+ * @returns {Object|null} - Country metadata from COUNTRIES or null if unknown
+ */
+export function getCountryByDialCode(dialCode) {
+  if (!dialCode) return null;
+
+  const code = dialCode.startsWith('+') ? dialCode : `+${dialCode}`;
+  return COUNTRIES.find(country => country.dialCode === code && !country.areaCodes) || null;
+}
+
+/**
+ * Find a country by its ISO 3166-1 alpha-2 code
+ * @param {string} iso - ISO code (e.g. 'KE')
+ * @returns {Object|null} - Country metadata from COUNTRIES or null if unknown
+ */
+export function getCountryByIso(iso) {
+  if (!iso) return null;
+
+  const code = String(iso).trim().toUpperCase();
+  return COUNTRIES.find(country => country.iso === code) || null;
+}
+
+/**
+ * Resolve a free-form country value from a spreadsheet cell to a dial code
+ * Accepts dial codes ('+254', '254'), ISO codes ('KE') and country names ('Kenya')
+ * @param {string} value - Country value
+ * @returns {string|null} - Dial code (e.g. '+254') or null if not recognized
+ */
+export function resolveDialCode(value) {
+  if (value === undefined || value === null) return null;
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (/^\+?\d{1,4}$/.test(text)) {
+    const country = getCountryByDialCode(text);
+    return country ? country.dialCode : null;
+  }
+
+  const lower = text.toLowerCase();
+  const country = COUNTRIES.find(c => c.iso.toLowerCase() === lower || c.name.toLowerCase() === lower);
+  return country ? country.dialCode : null;
+}
+
+/**
+ * Remove a trunk prefix written after the dial code (e.g. +256 0712 345678)
+ * Only stripped when the number is the wrong length with it and the right length without it
+ * @param {string} phone - International phone number
+ * @returns {string} - Phone number without the misplaced trunk prefix
+ */
+function stripTrunkPrefixAfterDialCode(phone) {
+  const country = getCountryFromPhone(phone);
+  if (!country || !country.trunkPrefix) return phone;
+
+  const national = phone.substring(country.dialCode.length);
+  const withoutTrunk = national.substring(country.trunkPrefix.length);
+
+  if (
+    national.startsWith(country.trunkPrefix) &&
+    !country.lengths.includes(national.length) &&
+    country.lengths.includes(withoutTrunk.length)
+  ) {
+    return country.dialCode + withoutTrunk;
+  }
+
+  return phone;
+}
+
+/**
+ * Reasons a phone number can be rejected during import, with display labels
+ */
+export const REJECTION_REASONS = {
+  empty: 'Empty',
+  non_numeric: 'Not a number',
+  unknown_country: 'Unknown country code',
+  too_short: 'Too short',
+  too_long: 'Too long',
+  invalid_length: 'Wrong length for country',
+  invalid_number: 'Not a valid number for country',
+  duplicate: 'Duplicate'
+};
+
+/**
+ * Work out why an international number failed validation
+ * @param {string} phone - Candidate number starting with +
+ * @returns {string} - Key of REJECTION_REASONS
+ */
+function getRejectionReason(phone) {
+  const country = getCountryFromPhone(phone);
+  if (!country) return 'unknown_country';
+
+  const nationalLength = phone.length - country.dialCode.length;
+  if (nationalLength < Math.min(...country.lengths)) return 'too_short';
+  if (nationalLength > Math.max(...country.lengths)) return 'too_long';
+  if (!country.lengths.includes(nationalLength)) return 'invalid_length';
+  return 'invalid_number';
+}
+
+/**
+ * Normalize a phone number and explain the result
  * @param {string} phone - Phone number to normalize
  * @param {string} defaultCountryCode - Default country code to use if missing
- * @returns {string|null} - Normalized phone number or null if invalid
+ * @returns {Object} - { phone: normalized number or null, reason: key of REJECTION_REASONS or null }
  */
-export function normalizePhone(phone, defaultCountryCode = '+256') {
-  if (!phone) return null;
+export function analyzePhone(phone, defaultCountryCode = '+256') {
+  const text = phone === undefined || phone === null ? '' : String(phone).trim();
+  if (!text) return { phone: null, reason: 'empty' };
 
   // Remove all non-digit characters except +
-  let cleaned = phone.replace(/[^\d+]/g, '');
-
-  // If it starts with +, keep it
-  if (cleaned.startsWith('+')) {
-    // Validate it's a known country code
-    const hasValidCode = COUNTRY_CODES.some(code => cleaned.startsWith(code));
-    if (!hasValidCode) return null;
-  } else {
-    // If it starts with 0, remove it (common in local formats)
-    if (cleaned.startsWith('0')) {
-      cleaned = cleaned.substring(1);
+  let cleaned = text.replace(/[^\d+]/g, '');
+
+  // A + anywhere but the start is not a phone number
+  if (!/\d/.test(cleaned) || cleaned.lastIndexOf('+') > 0) {
+    return { phone: null, reason: 'non_numeric' };
+  }
+
+  // 00 is the international call prefix in most countries
+  if (cleaned.startsWith('00')) {
+    cleaned = '+' + cleaned.substring(2);
+  }
+
+  let candidate = cleaned;
+
+  if (!cleaned.startsWith('+')) {
+    const country = getCountryByDialCode(defaultCountryCode);
+    if (!country) return { phone: null, reason: 'unknown_country' };
+
+    // Drop the trunk prefix used for local dialling (e.g. 0712... in Uganda)
+    let national = cleaned;
+    if (country.trunkPrefix && national.startsWith(country.trunkPrefix)) {
+      national = national.substring(country.trunkPrefix.length);
+    }
+
+    candidate = country.dialCode + national;
+
+    // Numbers copied without the + (e.g. 256712345678) already carry their dial code
+    if (!validatePhone(candidate) && validatePhone('+' + cleaned)) {
+      candidate = '+' + cleaned;
     }
-    // Add default country code
-    cleaned = defaultCountryCode + cleaned;
   }
 
-  // Extract just the digits after the +
-  const digitsOnly = cleaned.replace(/\+/g, '');
+  candidate = stripTrunkPrefixAfterDialCode(candidate);
 
-  // Validate length (7-15 digits is standard international range)
-  if (digitsOnly.length < 7 || digitsOnly.length > 15) {
-    return null;
+  if (!validatePhone(candidate)) {
+    return { phone: null, reason: getRejectionReason(candidate) };
   }
 
-  return cleaned;
+  return { phone: candidate, reason: null };
+}
+
+/**
+ * Turn a typed number, complete or not, into the stored number prefixes it could match
+ * A complete number is normalized as on import; a partial one written locally (0772...)
+ * gets the default dial code in place of the trunk prefix.
+ * @param {string} query - Number as typed
+ * @param {string} defaultCountryCode - Dial code used for numbers without one
+ * @returns {Array} - Prefixes starting with +, most likely first; empty if there are no digits
+ */
+export function getPhoneSearchPrefixes(query, defaultCountryCode = '+256') {
+  const { phone } = analyzePhone(query, defaultCountryCode);
+  if (phone) return [phone];
+
+  let digits = String(query).replace(/[^\d+]/g, '');
+  if (!/\d/.test(digits)) return [];
+  if (digits.startsWith('00')) digits = '+' + digits.substring(2);
+  if (digits.startsWith('+')) return [digits];
+
+  const country = getCountryByDialCode(defaultCountryCode);
+  if (!country) return [`+${digits}`];
+  if (country.trunkPrefix && digits.startsWith(country.trunkPrefix)) {
+    return [country.dialCode + digits.substring(country.trunkPrefix.length)];
+  }
+
+  // Without a trunk prefix the digits may be a national number or one copied without its +
+  return [country.dialCode + digits, `+${digits}`];
+}
+
+/**
+ * Normalize phone number by removing non-digits and adding country code
+ * @param {string} phone - Phone number to normalize
+ * @param {string} defaultCountryCode - Default country code to use if missing
+ * @returns {string|null} - Normalized phone number or null if invalid
+ */
+export function normalizePhone(phone, defaultCountryCode = '+256') {
+  if (!phone) return null;
+  return analyzePhone(phone, defaultCountryCode).phone;
 }
 
 /**
  * Validate if a phone number is in valid format
+ * Checks the dial code is known and the number length matches that country
  * @param {string} phone - Phone number to validate
  * @returns {boolean} - True if valid
  */
 export function validatePhone(phone) {
   if (!phone) return false;
 
-  // Check if it starts with + and a country code
-  const startsWithValidCode = COUNTRY_CODES.some(code => phone.startsWith(code));
-  if (!startsWithValidCode) return false;
-
-  // Extract digits only
-  const digitsOnly = phone.replace(/\+/g, '');
+  // Must be + followed by digits only
+  if (!/^\+\d+$/.test(phone)) return false;
 
-  // Check if it contains only digits after +
-  if (!/^\d+$/.test(digitsOnly)) return false;
+  const country = getCountryFromPhone(phone);
+  if (!country) return false;
 
-  // Check length
-  return digitsOnly.length >= 7 && digitsOnly.length <= 15;
+  // Check length (and number pattern, where known) of the national number for this country
+  const national = phone.substring(country.dialCode.length);
+  return country.lengths.includes(national.length) && (!country.pattern || country.pattern.test(national));
 }
 
 /**
@@ -77,10 +249,18 @@ export function formatPhoneForDisplay(phone) {
 
   // Extract country code and number
   const countryCode = getCountryCodeFromPhone(phone);
-  const number = phone.replace(countryCode, '');
+  const number = phone.substring(countryCode.length);
+
+  // NANP numbers read as area code, exchange and line (+1 876 555 0123)
+  if (countryCode === '+1') {
+    return `${countryCode} ${number.slice(0, 3)} ${number.slice(3, 6)} ${number.slice(6)}`;
+  }
 
   // Format number in groups of 3-4 digits
-  const formatted = number.match(/.{1,3}/g)?.join(' ') || number;
+  // (a trailing single digit joins the previous group)
+  const formatted = (number.match(/.{1,3}/g) || [number])
+    .join(' ')
+    .replace(/ (\d{3}) (\d)$/, ' $1$2');
 
   return `${countryCode} ${formatted}`;
 }
@@ -91,35 +271,176 @@ export function formatPhoneForDisplay(phone) {
  * @returns {string} - Country code (e.g., '+256')
  */
 export function getCountryCodeFromPhone(phone) {
-  if (!phone) return '';
+  const country = getCountryFromPhone(phone);
+  return country ? country.dialCode : '';
+}
+
+// Phone-like runs: optional + or (, then digits mixed with spaces, dashes and brackets
+const PHONE_RUN_REGEX = /\+?\(?\d[\d \u00a0\-()]*\d/g;
+
+// Characters that separate one entry from the next in pasted text
+const ENTRY_SEPARATOR_REGEX = /[,;\t|\n]/;
+
+// Labels that often sit next to a number but are not part of a name
+const PHONE_LABEL_REGEX = /\b(tel|telephone|phone|mobile|mob|cell|whatsapp|call|contact|number|no)\b\.?/gi;
+
+// Runs with fewer digits than this are treated as ordinary text (house numbers, years...)
+const MIN_PHONE_DIGITS = 7;
+
+// Most digits one number can be written with: 15 for E.164 plus a 00 prefix
+const MAX_PHONE_DIGITS = 17;
+
+const countDigits = (text) => text.replace(/\D/g, '').length;
+
+/**
+ * Split a run of digits into phone numbers
+ * Tries the whole run first, then reads the space-separated tokens left to right,
+ * cutting a number as soon as the tokens so far are valid,
+ * so "0772123456 0711000111" gives two numbers
+ * @param {string} run - Phone-like text
+ * @param {number} offset - Position of the run in the full text
+ * @param {string} defaultCountryCode - Default country code
+ * @returns {Array} - [{ raw, start, end, phone, reason }]
+ */
+function splitPhoneRun(run, offset, defaultCountryCode) {
+  const whole = analyzePhone(run, defaultCountryCode);
+  if (whole.phone) {
+    return [{ raw: run, start: offset, end: offset + run.length, ...whole }];
+  }
+
+  const tokens = [...run.matchAll(/\S+/g)];
+  const found = [];
+  let leftover = [];
 
-  for (const code of COUNTRY_CODES) {
-    if (phone.startsWith(code)) {
-      return code;
+  const flushLeftover = () => {
+    if (leftover.length === 0) return;
+    const first = leftover[0];
+    const last = leftover[leftover.length - 1];
+    const raw = run.slice(first.index, last.index + last[0].length);
+    if (countDigits(raw) >= MIN_PHONE_DIGITS) {
+      found.push({
+        raw,
+        start: offset + first.index,
+        end: offset + last.index + last[0].length,
+        ...analyzePhone(raw, defaultCountryCode)
+      });
+    }
+    leftover = [];
+  };
+
+  let i = 0;
+  while (i < tokens.length) {
+    const first = tokens[i];
+    let digits = 0;
+    let end = -1;
+
+    // A number never spans more digits than MAX_PHONE_DIGITS, which keeps each step short
+    for (let j = i; j < tokens.length; j++) {
+      const last = tokens[j];
+      digits += countDigits(last[0]);
+      if (digits > MAX_PHONE_DIGITS) break;
+
+      const raw = run.slice(first.index, last.index + last[0].length);
+      const result = analyzePhone(raw, defaultCountryCode);
+      if (result.phone) {
+        flushLeftover();
+        found.push({ raw, start: offset + first.index, end: offset + last.index + last[0].length, ...result });
+        end = j + 1;
+        break;
+      }
+    }
+
+    if (end === -1) {
+      leftover.push(first);
+      i++;
+    } else {
+      i = end;
     }
   }
 
-  return '';
+  flushLeftover();
+
+  // Nothing valid inside: report the run as a single rejected number
+  if (found.length === 0) {
+    return [{ raw: run, start: offset, end: offset + run.length, ...whole }];
+  }
+
+  return found;
 }
 
 /**
- * Extract phone numbers from multi-line text
- * @param {string} text - Text containing phone numbers (one per line)
+ * Pull a person's name from the text around a number (e.g. "John 0772 123456")
+ * @param {string} text - Entry text with the phone numbers removed
+ * @returns {string} - Name or empty string if the text does not look like one
+ */
+function extractNameFromText(text) {
+  const name = text
+    .replace(/\S+@\S+/g, ' ')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(PHONE_LABEL_REGEX, ' ')
+    .replace(/[:()\-–]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!name || name.split(' ').length > 4) return '';
+  return /^[\p{L}][\p{L}'. ]*$/u.test(name) ? name : '';
+}
+
+/**
+ * Scan free-form text for phone numbers
+ * Finds several numbers per line, separated by commas, semicolons, tabs or pipes,
+ * and captures a name written next to a number in the same entry
+ * @param {string} text - Any text (lists, email signatures, chat exports...)
  * @param {string} defaultCountryCode - Default country code
- * @returns {Array} - Array of normalized phone numbers
+ * @returns {Array} - [{ raw, start, end, line, phone, reason, name }] in text order;
+ *   phone is null (with a REJECTION_REASONS key in reason) for phone-like text that failed validation
  */
-export function extractPhonesFromText(text, defaultCountryCode = '+256') {
+export function scanTextForPhones(text, defaultCountryCode = '+256') {
   if (!text) return [];
 
-  const lines = text.split('\n').map(line => line.trim()).filter(line => line);
-  const phones = [];
+  const matches = [];
+  let line = 1;
+  let entryStart = 0;
+
+  for (let i = 0; i <= text.length; i++) {
+    if (i < text.length && !ENTRY_SEPARATOR_REGEX.test(text[i])) continue;
 
-  for (const line of lines) {
-    const normalized = normalizePhone(line, defaultCountryCode);
-    if (normalized) {
-      phones.push(normalized);
+    const entry = text.slice(entryStart, i);
+    const entryMatches = [];
+
+    for (const run of entry.matchAll(PHONE_RUN_REGEX)) {
+      if (countDigits(run[0]) < MIN_PHONE_DIGITS) continue;
+      entryMatches.push(...splitPhoneRun(run[0], entryStart + run.index, defaultCountryCode));
     }
+
+    // Only a single number per entry can be matched to the surrounding name
+    const valid = entryMatches.filter(match => match.phone);
+    const name = valid.length === 1
+      ? extractNameFromText(entryMatches.reduce(
+        (rest, match) => rest.replace(match.raw, ' '),
+        entry
+      ))
+      : '';
+
+    entryMatches.forEach(match => {
+      matches.push({ ...match, line, name: match.phone ? name : '' });
+    });
+
+    if (text[i] === '\n') line++;
+    entryStart = i + 1;
   }
 
-  return phones;
-}
\ No newline at end of file
+  return matches;
+}
+
+/**
+ * Extract phone numbers from free-form text
+ * @param {string} text - Text containing phone numbers (any layout, several per line allowed)
+ * @param {string} defaultCountryCode - Default country code
+ * @returns {Array} - Array of normalized phone numbers
+ */
+export function extractPhonesFromText(text, defaultCountryCode = '+256') {
+  return scanTextForPhones(text, defaultCountryCode)
+    .filter(match => match.phone)
+    .map(match => match.phone);
+}
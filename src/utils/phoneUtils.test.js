@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { analyzePhone, getCountryFromPhone, getPhoneSearchPrefixes, scanTextForPhones } from './phoneUtils';
+
+describe('analyzePhone', () => {
+  it('adds the default dial code in place of the trunk prefix', () => {
+    expect(analyzePhone('0772 123456', '+256')).toEqual({ phone: '+256772123456', reason: null });
+    expect(analyzePhone('256772123456', '+256').phone).toBe('+256772123456');
+    expect(analyzePhone('00256772123456', '+256').phone).toBe('+256772123456');
+  });
+
+  it('removes a trunk prefix written after the dial code', () => {
+    expect(analyzePhone('+256 0772 123456').phone).toBe('+256772123456');
+  });
+
+  it('explains rejected numbers', () => {
+    expect(analyzePhone('').reason).toBe('empty');
+    expect(analyzePhone('abc').reason).toBe('non_numeric');
+    expect(analyzePhone('+256 772').reason).toBe('too_short');
+  });
+
+  it('requires NANP area codes and exchanges to start with 2-9', () => {
+    expect(analyzePhone('+1 212 555 1234').phone).toBe('+12125551234');
+    expect(analyzePhone('+1 012 555 1234').reason).toBe('invalid_number');
+    expect(analyzePhone('+1 212 155 1234').reason).toBe('invalid_number');
+  });
+
+  it('tells Crown dependency mobiles from UK ones', () => {
+    expect(getCountryFromPhone('+447781123456').iso).toBe('GG');
+    expect(getCountryFromPhone('+447797123456').iso).toBe('JE');
+    expect(getCountryFromPhone('+447624123456').iso).toBe('IM');
+    expect(getCountryFromPhone('+447700900123').iso).toBe('GB');
+  });
+});
+
+describe('scanTextForPhones', () => {
+  it('splits a run of space-separated numbers', () => {
+    const phones = scanTextForPhones('0772123456 0711000111 0772 123 457', '+256').map(match => match.phone);
+    expect(phones).toEqual(['+256772123456', '+256711000111', '+256772123457']);
+  });
+
+  it('keeps the name next to each number', () => {
+    const [match] = scanTextForPhones('Jane Doe - 0772 123456', '+256');
+    expect(match).toMatchObject({ phone: '+256772123456', name: 'Jane Doe' });
+  });
+
+  it('handles long runs in linear time', () => {
+    const run = Array.from({ length: 20000 }, () => '12').join(' ');
+    const started = Date.now();
+    scanTextForPhones(run, '+256');
+    expect(Date.now() - started).toBeLessThan(10000);
+  });
+});
+
+describe('getPhoneSearchPrefixes', () => {
+  it('turns local prefixes into international ones', () => {
+    expect(getPhoneSearchPrefixes('0772', '+256')).toEqual(['+256772']);
+    expect(getPhoneSearchPrefixes('+2567', '+256')).toEqual(['+2567']);
+    expect(getPhoneSearchPrefixes('0772 123456', '+256')).toEqual(['+256772123456']);
+    expect(getPhoneSearchPrefixes('()', '+256')).toEqual([]);
+  });
+});
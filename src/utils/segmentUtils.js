@@ -0,0 +1,208 @@
+/**
+ * Contact tags and saved segments
+ * A segment is { id, name, match: 'all' | 'any', rules: [{ id, field, operator, value }] }.
+ * Segments store only their rules and are evaluated against the contact book each
+ * time they are used, so they always reflect the current contacts.
+ */
+
+const DAY_MS = 86400000;
+
+/**
+ * Rule operators with display labels
+ * `input` is the kind of value the operator needs: 'text', 'number', 'days' or null
+ */
+export const SEGMENT_OPERATORS = [
+  { value: 'has_tag', label: 'has tag', input: 'text', tagsOnly: true },
+  { value: 'lacks_tag', label: 'does not have tag', input: 'text', tagsOnly: true },
+  { value: 'equals', label: 'is', input: 'text' },
+  { value: 'not_equals', label: 'is not', input: 'text' },
+  { value: 'contains', label: 'contains', input: 'text' },
+  { value: 'not_contains', label: 'does not contain', input: 'text' },
+  { value: 'empty', label: 'is empty', input: null },
+  { value: 'not_empty', label: 'is not empty', input: null },
+  { value: 'gt', label: 'is greater than', input: 'number' },
+  { value: 'lt', label: 'is less than', input: 'number' },
+  { value: 'older_than', label: 'more than N days ago', input: 'days', datesOnly: true },
+  { value: 'within', label: 'within the last N days', input: 'days', datesOnly: true }
+];
+
+// Fields every contact book contact can be filtered on
+export const BASE_SEGMENT_FIELDS = ['tags', 'name', 'first_name', 'last_name', 'email', 'location', 'phone', 'last_messaged'];
+
+// Fields holding dates, compared with the "days" operators
+export const DATE_FIELDS = ['last_messaged'];
+
+/**
+ * Normalize tags from a comma-separated string or an array
+ * @param {string|Array} value - Tags
+ * @returns {Array} - Unique lowercase tags
+ */
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Operators that make sense for a field
+ * @param {string} field - Contact field
+ * @returns {Array} - Entries of SEGMENT_OPERATORS
+ */
+export function getOperatorsForField(field) {
+  if (field === 'tags') return SEGMENT_OPERATORS.filter(op => op.tagsOnly || op.value === 'empty' || op.value === 'not_empty');
+  if (DATE_FIELDS.includes(field)) {
+    return SEGMENT_OPERATORS.filter(op => op.datesOnly || op.value === 'empty' || op.value === 'not_empty');
+  }
+  return SEGMENT_OPERATORS.filter(op => !op.tagsOnly && !op.datesOnly);
+}
+
+/**
+ * All fields found on a set of contacts, standard fields first
+ * @param {Array} contacts - Contacts
+ * @returns {Array} - Field names
+ */
+export function getSegmentFields(contacts) {
+  const fields = new Set(BASE_SEGMENT_FIELDS);
+  contacts.forEach(contact => Object.keys(contact).forEach(key => fields.add(key)));
+  return [...fields];
+}
+
+/**
+ * Check a rule before evaluating it
+ * @param {Object} rule - Segment rule
+ * @returns {string|null} - Error message, or null if the rule can run
+ */
+export function getRuleError(rule) {
+  const operator = SEGMENT_OPERATORS.find(op => op.value === rule.operator);
+  if (!rule.field || !operator) return 'Choose a field and a condition';
+  if (!operator.input) return null;
+
+  const value = String(rule.value ?? '').trim();
+  if (!value) return 'Enter a value';
+  if ((operator.input === 'number' || operator.input === 'days') && Number.isNaN(Number(value))) {
+    return 'Enter a number';
+  }
+  return null;
+}
+
+/**
+ * Check one contact against one rule
+ * @param {Object} contact - Contact
+ * @param {Object} rule - Segment rule
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True if the contact matches
+ */
+function matchesRule(contact, rule, now) {
+  const raw = contact[rule.field];
+  const text = Array.isArray(raw) ? raw.join(', ') : String(raw ?? '').trim();
+  const value = String(rule.value ?? '').trim();
+
+  switch (rule.operator) {
+    case 'has_tag':
+      return parseTags(raw).includes(value.toLowerCase());
+    case 'lacks_tag':
+      return !parseTags(raw).includes(value.toLowerCase());
+    case 'equals':
+      return text.toLowerCase() === value.toLowerCase();
+    case 'not_equals':
+      return text.toLowerCase() !== value.toLowerCase();
+    case 'contains':
+      return text.toLowerCase().includes(value.toLowerCase());
+    case 'not_contains':
+      return !text.toLowerCase().includes(value.toLowerCase());
+    case 'empty':
+      return text === '';
+    case 'not_empty':
+      return text !== '';
+    case 'gt':
+    case 'lt': {
+      if (text === '') return false;
+      const number = Number(text.replace(/[^\d.-]/g, ''));
+      if (Number.isNaN(number)) return false;
+      return rule.operator === 'gt' ? number > Number(value) : number < Number(value);
+    }
+    case 'older_than':
+    case 'within': {
+      // A contact never messaged counts as messaged "long ago"
+      const time = text ? Date.parse(text) : NaN;
+      if (Number.isNaN(time)) return rule.operator === 'older_than';
+      const days = (now - time) / DAY_MS;
+      return rule.operator === 'older_than' ? days > Number(value) : days <= Number(value);
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Select the contacts matching a segment
+ * Rules with errors are ignored; a segment without valid rules matches everyone
+ * @param {Array} contacts - Contacts from the contact book
+ * @param {Object} segment - { match, rules }
+ * @returns {Array} - Matching contacts
+ */
+export function evaluateSegment(contacts, segment) {
+  const rules = (segment.rules || []).filter(rule => !getRuleError(rule));
+  if (rules.length === 0) return contacts;
+
+  const now = Date.now();
+  const test = segment.match === 'any'
+    ? (contact) => rules.some(rule => matchesRule(contact, rule, now))
+    : (contact) => rules.every(rule => matchesRule(contact, rule, now));
+
+  return contacts.filter(test);
+}
+
+/**
+ * Load saved segments
+ * @returns {Array} - [{ id, name, match, rules, timestamp }]
+ */
+export function loadSegments() {
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_segments');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading segments:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a segment, replacing any segment with the same name
+ * @param {string} name - Segment name
+ * @param {Object} segment - { match, rules }
+ * @returns {Object|null} - The saved segment, or null on failure
+ */
+export function saveSegment(name, { match, rules }) {
+  try {
+    const saved = {
+      id: `segment-${Date.now()}`,
+      name,
+      match,
+      rules,
+      timestamp: new Date().toISOString()
+    };
+
+    const segments = loadSegments().filter(s => s.name !== name);
+    localStorage.setItem('bulkWhatsApp_segments', JSON.stringify([saved, ...segments]));
+    return saved;
+  } catch (error) {
+    console.error('Error saving segment:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a saved segment
+ * @param {string} id - Segment id
+ * @returns {boolean} - Success status
+ */
+export function deleteSegment(id) {
+  try {
+    const segments = loadSegments().filter(s => s.id !== id);
+    localStorage.setItem('bulkWhatsApp_segments', JSON.stringify(segments));
+    return true;
+  } catch (error) {
+    console.error('Error deleting segment:', error);
+    return false;
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * Do-not-contact (suppression) list
+ * Entries are { phone, reason, source, timestamp } with source 'manual', 'csv' or 'send_log'.
+ * Every time a suppressed number is messaged anyway, the override is written to a log.
+ */
+
+const LIST_KEY = 'bulkWhatsApp_suppression';
+const OVERRIDES_KEY = 'bulkWhatsApp_suppressionOverrides';
+
+export const SUPPRESSION_SOURCES = {
+  manual: 'Added manually',
+  csv: 'Imported from file',
+  send_log: 'Opted out during sending'
+};
+
+/**
+ * Load the suppression list
+ * @returns {Array} - [{ phone, reason, source, timestamp }]
+ */
+export function loadSuppressionList() {
+  try {
+    const stored = localStorage.getItem(LIST_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading suppression list:', error);
+    return [];
+  }
+}
+
+/**
+ * Add numbers to the suppression list
+ * Numbers already on the list keep their original entry
+ * @param {Array} phones - Normalized phone numbers
+ * @param {string} reason - Why these numbers must not be contacted
+ * @param {string} source - Key of SUPPRESSION_SOURCES
+ * @returns {Object|null} - { added, existing }, or null on failure
+ */
+export function addToSuppressionList(phones, reason, source = 'manual') {
+  try {
+    const list = loadSuppressionList();
+    const known = new Set(list.map(entry => entry.phone));
+    const timestamp = new Date().toISOString();
+
+    const added = [...new Set(phones)]
+      .filter(phone => phone && !known.has(phone))
+      .map(phone => ({ phone, reason, source, timestamp }));
+
+    localStorage.setItem(LIST_KEY, JSON.stringify([...added, ...list]));
+    return { added: added.length, existing: phones.length - added.length };
+  } catch (error) {
+    console.error('Error saving suppression list:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove a number from the suppression list
+ * @param {string} phone - Phone number
+ * @returns {boolean} - Success status
+ */
+export function removeFromSuppressionList(phone) {
+  try {
+    const list = loadSuppressionList().filter(entry => entry.phone !== phone);
+    localStorage.setItem(LIST_KEY, JSON.stringify(list));
+    return true;
+  } catch (error) {
+    console.error('Error saving suppression list:', error);
+    return false;
+  }
+}
+
+/**
+ * Split contacts into those that may be messaged and those on the suppression list
+ * @param {Array} contacts - Contacts with normalized phones
+ * @param {Set} overriddenPhones - Suppressed numbers explicitly allowed for this campaign
+ * @returns {Object} - { allowed: [], excluded: [{ contact, entry }] }
+ */
+export function filterSuppressed(contacts, overriddenPhones = new Set()) {
+  const entries = new Map(loadSuppressionList().map(entry => [entry.phone, entry]));
+  const allowed = [];
+  const excluded = [];
+
+  contacts.forEach(contact => {
+    const entry = entries.get(contact.phone);
+    if (entry && !overriddenPhones.has(contact.phone)) {
+      excluded.push({ contact, entry });
+    } else {
+      allowed.push(contact);
+    }
+  });
+
+  return { allowed, excluded };
+}
+
+/**
+ * Count excluded contacts by suppression reason
+ * @param {Array} excluded - From filterSuppressed
+ * @returns {Array} - [{ reason, count }], most common first
+ */
+export function summarizeExclusions(excluded) {
+  const counts = new Map();
+  excluded.forEach(({ entry }) => {
+    const reason = entry.reason || SUPPRESSION_SOURCES[entry.source] || 'No reason given';
+    counts.set(reason, (counts.get(reason) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([reason, count]) => ({ reason, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Load the log of suppression overrides
+ * @returns {Array} - [{ phones, justification, timestamp }], newest first
+ */
+export function loadSuppressionOverrides() {
+  try {
+    const stored = localStorage.getItem(OVERRIDES_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading suppression overrides:', error);
+    return [];
+  }
+}
+
+/**
+ * Record that suppressed numbers were allowed into a campaign
+ * @param {Array} phones - Overridden phone numbers
+ * @param {string} justification - Reason given by the user
+ * @returns {Object|null} - The log entry, or null on failure
+ */
+export function logSuppressionOverride(phones, justification) {
+  try {
+    const entry = {
+      phones,
+      justification,
+      timestamp: new Date().toISOString()
+    };
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify([entry, ...loadSuppressionOverrides()]));
+    return entry;
+  } catch (error) {
+    console.error('Error saving suppression override:', error);
+    return null;
+  }
+}
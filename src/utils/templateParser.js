@@ -0,0 +1,267 @@
+/**
+ * Template tokenizer and parser
+ * Turns a message template into a tree of text, placeholder and block nodes,
+ * collecting syntax errors with their line and column instead of throwing.
+ *
+ * Syntax
+ * {key} or {{key}}            value of a contact field (keys may contain spaces, '-' and '.')
+ * {key|there}                 fallback used when the field is missing or blank; quote it to keep spaces: {key|" there "}
+ * {key|capitalize}            filters, see TEMPLATE_FILTER_NAMES; some take an argument: {date|date:"D MMM"}
+ * {key|capitalize|there}      filters run in order; any part that is not a filter is the fallback.
+ *                             A one-word fallback close to a filter name ({name|capitalise}) gets a warning
+ * {#if key}...{/if}           kept only when the field has a value
+ * {#unless key}...{/unless}   kept only when the field is missing or blank
+ * \{ and \}                   literal braces
+ */
+
+export const TEMPLATE_FILTER_NAMES = ['upper', 'lower', 'capitalize', 'title', 'trim', 'number', 'date'];
+
+const BLOCK_TYPES = ['if', 'unless'];
+
+const KEY_REGEX = /^[\w.-]+(?:\s+[\w.-]+)*$/;
+
+const unquote = (text) => text.replace(/^"([\s\S]*)"$/, '$1');
+
+/**
+ * Count the single-character edits that turn one word into another
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find a filter name that a one-word fallback was probably meant to be
+ * @param {string} word - Bare fallback text
+ * @returns {string|null} - Filter name within two edits, or null
+ */
+function findSimilarFilter(word) {
+  const lower = word.toLowerCase();
+  if (TEMPLATE_FILTER_NAMES.includes(lower)) return lower;
+  return TEMPLATE_FILTER_NAMES.find(name => editDistance(lower, name) <= 2) || null;
+}
+
+/**
+ * Find the line and column of a position in the template
+ * @param {string} template - The message template
+ * @param {number} offset - Character position
+ * @returns {Object} - { line, column }, both starting at 1
+ */
+export function getLineColumn(template, offset) {
+  const lines = template.slice(0, offset).split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Split a template into tokens covering every character
+ * Tokens: text, escape (\{ or \}), tag ({...} or {{...}}) and error (braces that don't pair up).
+ * A tag may not span lines or contain another brace.
+ * @param {string} template - The message template
+ * @returns {Array} - [{ type, raw, start, end, value?, inner?, message? }]
+ */
+export function tokenizeTemplate(template) {
+  const tokens = [];
+  let textStart = 0;
+
+  const flushText = (end) => {
+    if (end <= textStart) return;
+    const raw = template.slice(textStart, end);
+    tokens.push({ type: 'text', raw, value: raw, start: textStart, end });
+  };
+  const push = (token) => {
+    flushText(token.start);
+    tokens.push({ ...token, raw: template.slice(token.start, token.end) });
+    textStart = token.end;
+  };
+
+  let i = 0;
+  while (i < template.length) {
+    const char = template[i];
+
+    if (char === '\\' && (template[i + 1] === '{' || template[i + 1] === '}')) {
+      push({ type: 'escape', value: template[i + 1], start: i, end: i + 2 });
+      i += 2;
+    } else if (char === '{') {
+      const double = template[i + 1] === '{';
+      const innerStart = i + (double ? 2 : 1);
+      let j = innerStart;
+      while (j < template.length && !'{}\n'.includes(template[j])) j++;
+
+      if (template[j] !== '}') {
+        push({ type: 'error', message: "Unclosed '{' (write \\{ for a literal brace)", start: i, end: j });
+        i = j;
+      } else if (double && template[j + 1] !== '}') {
+        push({ type: 'error', message: "'{{' must be closed with '}}'", start: i, end: j + 1 });
+        i = j + 1;
+      } else {
+        const end = j + (double ? 2 : 1);
+        push({ type: 'tag', inner: template.slice(innerStart, j).trim(), start: i, end });
+        i = end;
+      }
+    } else if (char === '}') {
+      push({ type: 'error', message: "Unexpected '}' (write \\} for a literal brace)", start: i, end: i + 1 });
+      i += 1;
+    } else {
+      i += 1;
+    }
+  }
+
+  flushText(template.length);
+  return tokens;
+}
+
+/**
+ * Split a placeholder expression into key, filters and fallback
+ * "name|capitalize|there" -> { key: 'name', filters: [{ name: 'capitalize' }], fallback: 'there' }
+ * @param {string} expression - Text between the braces
+ * @returns {Object} - { key, filters, fallback, warning? }, or { error } if the expression is not valid
+ */
+export function parsePlaceholder(expression) {
+  // Split on '|' outside double quotes
+  const parts = [''];
+  let quoted = false;
+  for (const char of expression) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === '|' && !quoted) {
+      parts.push('');
+      continue;
+    }
+    parts[parts.length - 1] += char;
+  }
+
+  const key = parts[0].trim();
+  if (!key) return { error: 'Empty placeholder' };
+  if (!KEY_REGEX.test(key)) return { error: `"${key}" is not a valid field name` };
+  if (quoted) return { error: 'Missing closing " in placeholder' };
+
+  const filters = [];
+  let fallback;
+  let error = null;
+  let warning = null;
+
+  parts.slice(1).forEach(part => {
+    const text = part.trim();
+    const filter = text.match(/^(\w+)(?::\s*(.+))?$/);
+    if (filter && TEMPLATE_FILTER_NAMES.includes(filter[1])) {
+      filters.push({ name: filter[1], arg: filter[2] === undefined ? undefined : unquote(filter[2].trim()) });
+    } else if (filter && filter[2] !== undefined) {
+      error = error || `Unknown filter "${filter[1]}"`;
+    } else {
+      const similar = filter && findSimilarFilter(filter[1]);
+      if (similar) warning = warning || `"${filter[1]}" is used as a fallback; did you mean the ${similar} filter?`;
+      fallback = unquote(text);
+    }
+  });
+
+  if (error) return { error };
+  return warning ? { key, filters, fallback, warning } : { key, filters, fallback };
+}
+
+/**
+ * Parse a template into nodes
+ * Nodes: { type: 'text', value }, { type: 'placeholder', key, filters, fallback, raw }
+ * and { type: 'block', kind, key, children }. Text that fails to parse is kept as a
+ * text node so the template still renders; the problem is listed in errors.
+ * Tokens are returned with a kind for highlighting: text, escape, variable, block or error.
+ * Warnings point at likely mistakes that still parse, such as a misspelled filter read as a fallback.
+ * @param {string} template - The message template
+ * @returns {Object} - { nodes, errors: [{ message, start, end, line, column }], warnings (same shape), tokens }
+ */
+export function parseTemplate(template) {
+  const source = template || '';
+  const tokens = tokenizeTemplate(source);
+  const errors = [];
+  const warnings = [];
+  const root = { children: [] };
+  const stack = [root];
+  const openTags = []; // Opening tag token of each block on the stack
+
+  const addError = (token, message) => {
+    errors.push({ message, start: token.start, end: token.end, ...getLineColumn(source, token.start) });
+    token.kind = 'error';
+    token.message = message;
+  };
+
+  const classify = (token) => {
+    if (token.type === 'error') return token.message;
+
+    const open = token.inner.match(/^#(\w*)\s*(.*)$/);
+    const close = token.inner.match(/^\/\s*(\w*)$/);
+    const parent = stack[stack.length - 1];
+
+    if (open) {
+      const [, kind, key] = open;
+      if (!BLOCK_TYPES.includes(kind)) return `Unknown block "{#${kind}}", use {#if} or {#unless}`;
+      if (!KEY_REGEX.test(key)) return key ? `"${key}" is not a valid field name` : `{#${kind}} needs a field name`;
+
+      const block = { type: 'block', kind, key, children: [] };
+      parent.children.push(block);
+      stack.push(block);
+      openTags.push(token);
+      Object.assign(token, { kind: 'block', key });
+      return null;
+    }
+
+    if (close) {
+      const kind = close[1];
+      if (stack.length === 1) return `{/${kind}} has no matching {#${kind}}`;
+      if (parent.kind !== kind) return `Expected {/${parent.kind}} but found {/${kind}}`;
+
+      stack.pop();
+      openTags.pop();
+      Object.assign(token, { kind: 'block', key: parent.key });
+      return null;
+    }
+
+    const placeholder = parsePlaceholder(token.inner);
+    if (placeholder.error) return placeholder.error;
+
+    if (placeholder.warning) {
+      warnings.push({ message: placeholder.warning, start: token.start, end: token.end, ...getLineColumn(source, token.start) });
+    }
+    parent.children.push({ type: 'placeholder', ...placeholder, raw: token.raw });
+    Object.assign(token, { kind: 'variable', placeholder });
+    return null;
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'text' || token.type === 'escape') {
+      token.kind = token.type;
+      stack[stack.length - 1].children.push({ type: 'text', value: token.value });
+      return;
+    }
+
+    const error = classify(token);
+    if (error) {
+      addError(token, error);
+      stack[stack.length - 1].children.push({ type: 'text', value: token.raw });
+    }
+  });
+
+  // Unclosed blocks: report the opening tag and keep its contents in place
+  while (stack.length > 1) {
+    const block = stack.pop();
+    const token = openTags.pop();
+    const parent = stack[stack.length - 1];
+    addError(token, `{#${block.kind} ${block.key}} is never closed with {/${block.kind}}`);
+    parent.children.splice(parent.children.indexOf(block), 1, { type: 'text', value: token.raw }, ...block.children);
+  }
+
+  errors.sort((a, b) => a.start - b.start);
+  return { nodes: root.children, errors, warnings, tokens };
+}
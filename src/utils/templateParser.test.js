@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { parsePlaceholder, parseTemplate, tokenizeTemplate } from './templateParser';
+
+describe('parsePlaceholder', () => {
+  it('reads the key, filters and fallback', () => {
+    expect(parsePlaceholder('name|capitalize|there')).toEqual({
+      key: 'name',
+      filters: [{ name: 'capitalize', arg: undefined }],
+      fallback: 'there'
+    });
+  });
+
+  it('accepts bare, multi-word and quoted fallbacks', () => {
+    expect(parsePlaceholder('first_name|there').fallback).toBe('there');
+    expect(parsePlaceholder('first_name|Dear customer').fallback).toBe('Dear customer');
+    expect(parsePlaceholder('first_name|" a | b "').fallback).toBe(' a | b ');
+  });
+
+  it('unquotes filter arguments', () => {
+    expect(parsePlaceholder('due|date:"D MMM"').filters).toEqual([{ name: 'date', arg: 'D MMM' }]);
+  });
+
+  it('warns when a fallback looks like a misspelled filter', () => {
+    const result = parsePlaceholder('name|capitalise');
+    expect(result.fallback).toBe('capitalise');
+    expect(result.warning).toMatch(/capitalize/);
+    expect(parsePlaceholder('name|there').warning).toBeUndefined();
+  });
+
+  it('rejects unknown filters with arguments, bad keys and open quotes', () => {
+    expect(parsePlaceholder('name|shout:2').error).toBe('Unknown filter "shout"');
+    expect(parsePlaceholder('').error).toBe('Empty placeholder');
+    expect(parsePlaceholder('na!me').error).toMatch(/not a valid field name/);
+    expect(parsePlaceholder('name|"there').error).toMatch(/Missing closing "/);
+  });
+});
+
+describe('tokenizeTemplate', () => {
+  it('covers every character with text, escape and tag tokens', () => {
+    const template = 'Hi {name}, \\{literal\\} {{ city }}';
+    const tokens = tokenizeTemplate(template);
+    expect(tokens.map(token => token.raw).join('')).toBe(template);
+    expect(tokens.filter(token => token.type === 'tag').map(token => token.inner)).toEqual(['name', 'city']);
+    expect(tokens.filter(token => token.type === 'escape').map(token => token.value)).toEqual(['{', '}']);
+  });
+});
+
+describe('parseTemplate', () => {
+  it('builds placeholder and block nodes', () => {
+    const { nodes, errors } = parseTemplate('Hi {name}{#if city} from {city}{/if}');
+    expect(errors).toEqual([]);
+    expect(nodes[1]).toMatchObject({ type: 'placeholder', key: 'name' });
+    expect(nodes[2]).toMatchObject({ type: 'block', kind: 'if', key: 'city' });
+    expect(nodes[2].children[1]).toMatchObject({ type: 'placeholder', key: 'city' });
+  });
+
+  it('reports errors with their line and column', () => {
+    const { errors } = parseTemplate('Hello\n{name|shout:1} and }');
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatchObject({ message: 'Unknown filter "shout"', line: 2, column: 1 });
+    expect(errors[1]).toMatchObject({ line: 2, column: 20 });
+  });
+
+  it('reports unclosed and mismatched blocks', () => {
+    expect(parseTemplate('{#if name}hi').errors[0].message).toMatch(/never closed/);
+    expect(parseTemplate('{#if name}hi{/unless}').errors.map(error => error.message))
+      .toContain('Expected {/if} but found {/unless}');
+    expect(parseTemplate('{/if}').errors[0].message).toMatch(/no matching/);
+  });
+
+  it('lists warnings separately from errors', () => {
+    const { errors, warnings } = parseTemplate('Hi {name|lowr}');
+    expect(errors).toEqual([]);
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toMatchObject({ line: 1, column: 4 });
+  });
+});
@@ -1,63 +1,302 @@
-import { formatPhoneForDisplay } from './phoneUtils';
+import { toTitleCase, parseDateValue, parseNumberValue } from './transformUtils';
+import { parseTemplate } from './templateParser';
+
+/**
+ * Message templates
+ * Syntax and parsing live in templateParser; this module renders parsed templates
+ * and checks them against contact lists.
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Look up a field, following dots into nested objects when there is no flat key
+ * @param {Object} contact - Contact object
+ * @param {string} key - Field name, e.g. "email" or "address.city"
+ * @returns {*} - Field value, undefined if missing
+ */
+function getFieldValue(contact, key) {
+  if (key in contact) return contact[key];
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), contact);
+}
+
+/**
+ * Format an ISO date (YYYY-MM-DD) with tokens
+ * YYYY, YY, MMMM (January), MMM (Jan), MM, M, DD, D, dddd (Monday), ddd (Mon)
+ * Tokens only count as whole words, so "Due D MMM" keeps "Due"; text in [brackets] is never replaced
+ * @param {string} isoDate - Date as YYYY-MM-DD
+ * @param {string} format - Format pattern
+ * @returns {string} - Formatted date
+ */
+export function formatDate(isoDate, format = 'D MMM YYYY') {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const pad = (number) => String(number).padStart(2, '0');
+
+  const tokens = {
+    YYYY: String(year),
+    YY: pad(year % 100),
+    MMMM: MONTH_NAMES[month - 1],
+    MMM: MONTH_NAMES[month - 1].slice(0, 3),
+    MM: pad(month),
+    M: String(month),
+    DD: pad(day),
+    D: String(day),
+    dddd: DAY_NAMES[weekday],
+    ddd: DAY_NAMES[weekday].slice(0, 3)
+  };
+
+  return format.replace(
+    /\[([^\]]*)\]|(?<![A-Za-z])(?:YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd)(?![A-Za-z])/g,
+    (token, literal) => (literal !== undefined ? literal : tokens[token])
+  );
+}
+
+/**
+ * Filters available inside placeholders, one per TEMPLATE_FILTER_NAMES entry
+ * Each takes the text value and the optional argument after ':'
+ * and returns the new text, or null when the value can't be converted.
+ */
+export const TEMPLATE_FILTERS = {
+  upper: (value) => value.toUpperCase(),
+  lower: (value) => value.toLowerCase(),
+  capitalize: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+  title: (value) => toTitleCase(value),
+  trim: (value) => value.trim(),
+  number: (value, decimals) => {
+    const number = parseNumberValue(value);
+    if (number === null) return null;
+    const digits = decimals === undefined ? undefined : Number(decimals);
+    return number.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits ?? 2 });
+  },
+  date: (value, format) => {
+    const date = parseDateValue(value);
+    return date ? formatDate(date, format) : null;
+  }
+};
+
+/**
+ * Campaign choices for recipients whose value for a placeholder is blank or missing
+ */
+export const BLANK_FIELD_ACTIONS = [
+  { value: 'block', label: 'Block sending', description: 'Fix the contacts or the template first' },
+  { value: 'exclude', label: 'Exclude them', description: 'Skip these recipients when sending' },
+  { value: 'fallback', label: 'Use a fallback', description: 'Fill in a value you choose per placeholder' }
+];
+
+/**
+ * Render one parsed placeholder for a contact
+ * @param {Object} placeholder - Placeholder node from parseTemplate
+ * @param {Object} contact - Contact object
+ * @param {Object} context - { fallbacks, problems }; blank or missing fields without a fallback are added to problems
+ * @returns {string|undefined} - Text, or undefined if the field is missing and there is no fallback
+ */
+function renderPlaceholder({ key, filters, fallback }, contact, context) {
+  const value = getFieldValue(contact, key);
+  if (isBlank(value)) {
+    if (fallback !== undefined) return fallback;
+    context.problems.set(key, value === undefined ? 'missing' : 'blank');
+    if (context.fallbacks[key] !== undefined) return context.fallbacks[key];
+    return value === undefined ? undefined : '';
+  }
+
+  const result = filters.reduce(
+    (text, filter) => (text === null ? null : TEMPLATE_FILTERS[filter.name](text, filter.arg)),
+    String(value)
+  );
+  // A value the filters can't convert is printed as it is
+  return result === null ? String(value) : result;
+}
+
+/**
+ * List every field a template uses with how it is used
+ * @param {string} template - The message template
+ * @returns {Array} - [{ key, hasFallback, conditionOnly }], one per unique key
+ */
+export function analyzePlaceholders(template) {
+  if (!template) return [];
+
+  const usage = new Map();
+  const visit = (nodes) => nodes.forEach(node => {
+    if (node.type === 'text') return;
+    if (!usage.has(node.key)) usage.set(node.key, { key: node.key, hasFallback: true, conditionOnly: true });
+    const entry = usage.get(node.key);
+
+    if (node.type === 'block') {
+      visit(node.children);
+    } else {
+      entry.conditionOnly = false;
+      if (node.fallback === undefined) entry.hasFallback = false;
+    }
+  });
+  visit(parseTemplate(template).nodes);
+
+  return [...usage.values()].map(entry => ({ ...entry, hasFallback: !entry.conditionOnly && entry.hasFallback }));
+}
 
 /**
  * Extract all unique placeholders from template text
- * Supports {placeholder} and {{placeholder}} formats
+ * Includes fields used in placeholders and in {#if}/{#unless} blocks
  * @param {string} template - The message template
  * @returns {Array} - Array of unique placeholder names
  */
 export function extractPlaceholders(template) {
-  if (!template) return [];
-  
-  // Match {key} or {{key}}
-  const regex = /{{?([\w\s]+)}}?/g;
-  const matches = [...template.matchAll(regex)];
-  
-  // Extract key names and remove duplicates
-  const keys = matches.map(match => match[1].trim());
-  return [...new Set(keys)];
+  return analyzePlaceholders(template).map(entry => entry.key);
 }
 
 /**
  * Validate that all placeholders in template exist in contacts
+ * Fields that have a fallback or are only tested in a block can be absent
  * @param {string} template - The message template
  * @param {Array} availableFields - Array of available field names
- * @returns {Object} - { valid: boolean, missingFields: [] }
+ * @returns {Object} - { valid: boolean, missingFields: [], coveredFields: [] }
  */
 export function validatePlaceholders(template, availableFields) {
-  const placeholders = extractPlaceholders(template);
-  const missingFields = placeholders.filter(p => !availableFields.includes(p));
-  
+  const absent = analyzePlaceholders(template).filter(entry => !availableFields.includes(entry.key));
+  const missingFields = absent.filter(entry => !entry.hasFallback && !entry.conditionOnly).map(entry => entry.key);
+
   return {
     valid: missingFields.length === 0,
-    missingFields
+    missingFields,
+    coveredFields: absent.filter(entry => !missingFields.includes(entry.key)).map(entry => entry.key)
   };
 }
 
 /**
  * Get all available fields from a contact list
+ * A field counts if any contact has it
  * @param {Array} contacts - List of contacts
  * @returns {Array} - Array of field keys
  */
 export function getAvailableFields(contacts) {
   if (!contacts || contacts.length === 0) return [];
-  return Object.keys(contacts[0]);
+
+  const fields = new Set();
+  contacts.forEach(contact => Object.keys(contact).forEach(key => fields.add(key)));
+  return [...fields];
 }
 
 /**
- * Render a single message by replacing placeholders
+ * Render parsed nodes for a contact
+ * @param {Array} nodes - Nodes from parseTemplate
+ * @param {Object} contact - Contact object
+ * @param {Object} context - { fallbacks: { key: value }, problems: Map key -> 'missing' | 'blank', missing? }
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, contact, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'block') {
+      const show = isBlank(getFieldValue(contact, node.key)) === (node.kind === 'unless');
+      return show ? renderNodes(node.children, contact, context) : '';
+    }
+
+    const rendered = renderPlaceholder(node, contact, context);
+    // Keep the placeholder if the field is missing (to show error visually), unless the context says otherwise
+    if (rendered !== undefined) return rendered;
+    return context.missing !== undefined ? context.missing : node.raw;
+  }).join('');
+}
+
+const newContext = (fallbacks = {}) => ({ fallbacks, problems: new Map() });
+
+/**
+ * Render a single message by resolving blocks and replacing placeholders
  * @param {string} template - Message template
  * @param {Object} contact - Contact object
  * @returns {string} - Personalized message
  */
 export function renderMessage(template, contact) {
   if (!template || !contact) return '';
+  return renderNodes(parseTemplate(template).nodes, contact, newContext());
+}
+
+/**
+ * Render a template built only from contact fields, such as a vCard name
+ * Missing fields render empty instead of keeping their placeholder.
+ * @param {string} template - Template with {field} placeholders
+ * @param {Object} contact - Contact object
+ * @returns {string} - Rendered text
+ */
+export function renderFieldText(template, contact) {
+  if (!template || !contact) return '';
+  return renderNodes(parseTemplate(template).nodes, contact, { ...newContext(), missing: '' });
+}
+
+/**
+ * Split a template into highlighted segments for the editor
+ * Kinds: text, escape, variable, unknown (field not in the contacts and no fallback), block and error
+ * @param {string} template - Message template
+ * @param {Array} availableFields - Fields in the contact list; empty skips the unknown check
+ * @returns {Array} - [{ text, kind, message? }] covering the whole template
+ */
+export function getTemplateHighlights(template, availableFields = []) {
+  return parseTemplate(template).tokens.map(token => {
+    const unknown = token.kind === 'variable'
+      && availableFields.length > 0
+      && token.placeholder.fallback === undefined
+      && !availableFields.includes(token.placeholder.key);
+    return { text: token.raw, kind: unknown ? 'unknown' : token.kind, message: token.message };
+  });
+}
 
-  return template.replace(/{{?([\w\s]+)}}?/g, (match, key) => {
-    const trimmedKey = key.trim();
-    // Use the contact value or keep the placeholder if missing (to show error visually)
-    return contact[trimmedKey] !== undefined ? contact[trimmedKey] : match;
+/**
+ * Check a template against every contact
+ * Lists, per placeholder, the recipients who would get a blank or missing value.
+ * Placeholders with their own fallback, or inside an {#if} on the same field, never count.
+ * @param {string} template - Message template
+ * @param {Array} contacts - List of contacts
+ * @returns {Array} - [{ key, missing, blank, contacts: [{ contact, problem }] }], most affected first
+ */
+export function checkTemplateCoverage(template, contacts) {
+  if (!template || !contacts) return [];
+
+  const { nodes } = parseTemplate(template);
+  const fields = new Map();
+
+  contacts.forEach(contact => {
+    const context = newContext();
+    renderNodes(nodes, contact, context);
+    context.problems.forEach((problem, key) => {
+      if (!fields.has(key)) fields.set(key, { key, missing: 0, blank: 0, contacts: [] });
+      const field = fields.get(key);
+      field[problem]++;
+      field.contacts.push({ contact, problem });
+    });
   });
+
+  return [...fields.values()].sort((a, b) => b.contacts.length - a.contacts.length);
+}
+
+/**
+ * Campaign fallbacks for the placeholders in a coverage report
+ * @param {Array} coverage - From checkTemplateCoverage
+ * @param {Object} settings - { action, fallbacks } blank field settings
+ * @returns {Object} - { key: fallback }, empty unless the action is 'fallback'
+ */
+export function getCampaignFallbacks(coverage, settings) {
+  if (settings.action !== 'fallback') return {};
+  return Object.fromEntries(coverage.map(field => [field.key, settings.fallbacks[field.key] ?? '']));
+}
+
+/**
+ * Recipients left out of a campaign because a placeholder would be blank
+ * @param {Array} coverage - From checkTemplateCoverage
+ * @param {Object} settings - { action, fallbacks } blank field settings
+ * @returns {Map} - phone -> blank placeholder keys, empty unless the action is 'exclude'
+ */
+export function getBlankFieldExclusions(coverage, settings) {
+  const excluded = new Map();
+  if (settings.action !== 'exclude') return excluded;
+  coverage.forEach(field => field.contacts.forEach(({ contact }) => {
+    excluded.set(contact.phone, [...(excluded.get(contact.phone) || []), field.key]);
+  }));
+  return excluded;
 }
 
 /**
@@ -65,16 +304,27 @@ export function renderMessage(template, contact) {
  * @param {string} template - Message template
  * @param {Array} contacts - List of contacts
  * @param {number} count - Number of previews to generate
+ * @param {Object} fallbacks - Campaign fallback per placeholder, used for blank or missing values
  * @returns {Array} - Array of preview objects
  */
-export function generatePreview(template, contacts, count = 5) {
+export function generatePreview(template, contacts, count = 5, fallbacks = {}) {
   if (!template || !contacts) return [];
 
-  return contacts.slice(0, count).map(contact => ({
-    phone: contact.phone,
-    contact: contact,
-    message: renderMessage(template, contact)
-  }));
+  const { nodes } = parseTemplate(template);
+
+  return contacts.slice(0, count).map(contact => {
+    const context = newContext(fallbacks);
+    const message = renderNodes(nodes, contact, context);
+    return {
+      phone: contact.phone,
+      contact: contact,
+      message,
+      // Fields left as a raw placeholder in the message
+      missingFields: [...context.problems]
+        .filter(([key, problem]) => problem === 'missing' && fallbacks[key] === undefined)
+        .map(([key]) => key)
+    };
+  });
 }
 
 /**
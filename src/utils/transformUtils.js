@@ -0,0 +1,343 @@
+/**
+ * Import-time column transforms
+ * A rule is { id, column, type, params } and rules run in order on every imported contact.
+ * For 'concat' the column is the field written to; every other type rewrites its own column
+ * ('split_name' also writes title, first_name and last_name).
+ */
+
+/**
+ * Available transforms with display labels and default parameters
+ */
+export const TRANSFORM_TYPES = [
+  { value: 'trim', label: 'Trim spaces', params: {} },
+  { value: 'title_case', label: 'Title Case', params: {} },
+  { value: 'split_name', label: 'Split full name', params: {} },
+  { value: 'concat', label: 'Combine columns', params: { columns: [], separator: ' ' } },
+  { value: 'replace', label: 'Find & replace (regex)', params: { pattern: '', replacement: '', ignoreCase: true } },
+  { value: 'parse_date', label: 'Parse date', params: { order: 'DMY' } },
+  { value: 'parse_number', label: 'Parse number', params: { decimal: '.' } }
+];
+
+// Words kept lowercase inside names ("Ludwig van Beethoven")
+const NAME_PARTICLES = ['van', 'von', 'der', 'den', 'de', 'del', 'della', 'da', 'das', 'dos', 'do', 'di', 'du', 'la', 'le', 'ter', 'ten', 'bin', 'binti', 'bint', 'al', 'el', 'st'];
+
+const HONORIFICS = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'dame', 'madam', 'hon', 'rev', 'fr', 'eng', 'capt', 'col', 'gen', 'sr', 'sra'];
+
+const NAME_SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'esq'];
+
+// Excel serial dates accepted by parseDateValue: 1927-05-18 up to 2119
+const MIN_EXCEL_SERIAL = 10000;
+const MAX_EXCEL_SERIAL = 80000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toText = (value) => (value === undefined || value === null ? '' : String(value));
+
+const bareWord = (word) => word.toLowerCase().replace(/\./g, '');
+
+/**
+ * Title-case a value, keeping name particles lowercase after the first word
+ * Letters after hyphens and apostrophes are capitalized too (Mary-Jane O'Neil)
+ * @param {string} value - Text to convert
+ * @returns {string} - Title-cased text
+ */
+export function toTitleCase(value) {
+  return toText(value)
+    .toLowerCase()
+    .split(' ')
+    .map((word, index) => (
+      index > 0 && NAME_PARTICLES.includes(word)
+        ? word
+        : word.replace(/(^|[-'’])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase())
+    ))
+    .join(' ');
+}
+
+/**
+ * Split a full name into title, first and last name
+ * Handles "Last, First", leading honorifics (Dr., Mrs), trailing suffixes (Jr, III)
+ * and surname particles (van der Berg, bin Ahmed)
+ * @param {string} fullName - Full name
+ * @returns {Object} - { title, first_name, last_name }
+ */
+export function splitFullName(fullName) {
+  let text = toText(fullName).replace(/\s+/g, ' ').trim();
+
+  // "Doe, John" lists the surname first
+  const comma = text.match(/^([^,]+),\s*(.+)$/);
+  if (comma && !NAME_SUFFIXES.includes(bareWord(comma[2]))) {
+    text = `${comma[2]} ${comma[1]}`;
+  }
+
+  const words = text.replace(/,/g, ' ').split(' ').filter(Boolean);
+
+  const titles = [];
+  while (words.length > 1 && HONORIFICS.includes(bareWord(words[0]))) {
+    titles.push(words.shift());
+  }
+  while (words.length > 1 && NAME_SUFFIXES.includes(bareWord(words[words.length - 1]))) {
+    words.pop();
+  }
+
+  if (words.length <= 1) {
+    return { title: titles.join(' '), first_name: words[0] || '', last_name: '' };
+  }
+
+  // The surname is the last word plus any particles directly before it
+  let lastStart = words.length - 1;
+  while (lastStart > 1 && NAME_PARTICLES.includes(words[lastStart - 1].toLowerCase())) {
+    lastStart--;
+  }
+
+  return {
+    title: titles.join(' '),
+    first_name: words.slice(0, lastStart).join(' '),
+    last_name: words.slice(lastStart).join(' ')
+  };
+}
+
+/**
+ * Parse a date in common spreadsheet formats to YYYY-MM-DD
+ * Accepts Excel serial numbers, ISO dates, numeric dates in the given order
+ * and dates with month names ("12 Mar 2024", "March 12, 2024")
+ * @param {*} value - Date value
+ * @param {string} order - 'DMY', 'MDY' or 'YMD' for ambiguous numeric dates
+ * @returns {string|null} - ISO date, or null if the value is not a date
+ */
+export function parseDateValue(value, order = 'DMY') {
+  const text = toText(value).trim();
+  if (!text) return null;
+
+  const format = (year, month, day) => {
+    const fullYear = year < 100 ? year + (year < 50 ? 2000 : 1900) : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+  };
+
+  // Excel stores dates as days since 1899-12-30. Only numeric cells and 5 digit text are
+  // read as serials, and only from 1927 to 2119, so bare years like "2024" are not dates
+  if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(text)) {
+    const serial = Math.floor(Number(text));
+    if (serial >= MIN_EXCEL_SERIAL && serial < MAX_EXCEL_SERIAL) {
+      return new Date(Date.UTC(1899, 11, 30) + serial * 86400000).toISOString().slice(0, 10);
+    }
+    return null;
+  }
+
+  const numeric = text.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})/);
+  if (numeric) {
+    const [a, b, c] = numeric.slice(1).map(Number);
+    if (numeric[1].length === 4 || order === 'YMD') return format(a, b, c);
+    return order === 'MDY' ? format(c, a, b) : format(c, b, a);
+  }
+
+  const monthIndex = (word) => MONTHS.indexOf(word.slice(0, 3).toLowerCase()) + 1;
+
+  const dayFirst = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([A-Za-z]+)\.?,?[\s-]+(\d{2,4})$/);
+  if (dayFirst && monthIndex(dayFirst[2])) {
+    return format(Number(dayFirst[3]), monthIndex(dayFirst[2]), Number(dayFirst[1]));
+  }
+
+  const monthFirst = text.match(/^([A-Za-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2,4})$/);
+  if (monthFirst && monthIndex(monthFirst[1])) {
+    return format(Number(monthFirst[3]), monthIndex(monthFirst[1]), Number(monthFirst[2]));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a date only when it can be read one way
+ * Numeric dates that differ between day-first and month-first ("03/04/2024") and
+ * serial numbers typed as text are rejected instead of guessed.
+ * @param {*} value - Date value
+ * @returns {string|null} - ISO date, or null if the value is not a clear date
+ */
+export function parseUnambiguousDate(value) {
+  if (typeof value !== 'number' && /^\d+(\.\d+)?$/.test(toText(value).trim())) return null;
+
+  const dayFirst = parseDateValue(value, 'DMY');
+  const monthFirst = parseDateValue(value, 'MDY');
+  if (dayFirst && monthFirst && dayFirst !== monthFirst) return null;
+  return dayFirst || monthFirst;
+}
+
+/**
+ * Parse a number stored as text ("UGX 1,250,000", "1.250,50 €", "(300)")
+ * @param {*} value - Number value
+ * @param {string} decimal - Decimal separator used in the data ('.' or ',')
+ * @returns {number|null} - Parsed number, or null if there are no digits
+ */
+export function parseNumberValue(value, decimal = '.') {
+  if (typeof value === 'number') return value;
+
+  const text = toText(value).trim();
+  if (!/\d/.test(text)) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d-]/g, ''));
+  const thousands = decimal === ',' ? /[.\s'’]/g : /[,\s'’]/g;
+  const cleaned = text
+    .replace(thousands, '')
+    .replace(decimal, '.')
+    .replace(/[^\d.]/g, '');
+
+  const number = parseFloat(cleaned);
+  if (Number.isNaN(number)) return null;
+  return negative ? -number : number;
+}
+
+/**
+ * Check a rule before running it
+ * @param {Object} rule - Transform rule
+ * @returns {string|null} - Error message, or null if the rule can run
+ */
+export function getTransformError(rule) {
+  if (!rule.column) return 'Choose a column';
+
+  if (rule.type === 'concat' && (!rule.params.columns || rule.params.columns.length === 0)) {
+    return 'Choose the columns to combine';
+  }
+
+  if (rule.type === 'replace') {
+    if (!rule.params.pattern) return 'Enter a pattern';
+    try {
+      new RegExp(rule.params.pattern);
+    } catch (error) {
+      return `Invalid pattern: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the function that applies one rule to a contact
+ * Regular expressions are compiled once per import, not once per row
+ * @param {Object} rule - Transform rule
+ * @returns {Function|null} - (contact) => contact, or null for an invalid rule
+ */
+function compileRule(rule) {
+  if (getTransformError(rule)) return null;
+
+  const { column, params } = rule;
+  const mapValue = (fn) => (contact) => ({ ...contact, [column]: fn(contact[column]) });
+
+  switch (rule.type) {
+    case 'trim':
+      return mapValue(value => toText(value).replace(/\s+/g, ' ').trim());
+    case 'title_case':
+      return mapValue(toTitleCase);
+    case 'split_name':
+      return (contact) => ({ ...contact, ...splitFullName(contact[column]) });
+    case 'concat':
+      return (contact) => ({
+        ...contact,
+        [column]: params.columns.map(source => toText(contact[source]).trim()).filter(Boolean).join(params.separator ?? ' ')
+      });
+    case 'replace': {
+      const regex = new RegExp(params.pattern, params.ignoreCase ? 'gi' : 'g');
+      return mapValue(value => toText(value).replace(regex, params.replacement || '').trim());
+    }
+    case 'parse_date':
+      return mapValue(value => parseDateValue(value, params.order) ?? value);
+    case 'parse_number':
+      return mapValue(value => parseNumberValue(value, params.decimal) ?? value);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Run transform rules over imported contacts
+ * Invalid rules are skipped; the phone field is never transformed
+ * @param {Array} contacts - Contacts from mergeContactDataWithReport
+ * @param {Array} rules - Transform rules, applied in order
+ * @returns {Array} - Transformed contacts
+ */
+export function applyTransforms(contacts, rules) {
+  const steps = (rules || [])
+    .filter(rule => rule.column !== 'phone')
+    .map(compileRule)
+    .filter(Boolean);
+
+  if (steps.length === 0) return contacts;
+
+  return contacts.map(contact => {
+    const transformed = steps.reduce((current, step) => step(current), contact);
+    return { ...transformed, phone: contact.phone };
+  });
+}
+
+/**
+ * Run transform rules over an import report, including rejected rows so
+ * they match the accepted contacts once fixed
+ * @param {Object} report - { contacts: [], rejected: [] }
+ * @param {Array} rules - Transform rules
+ * @returns {Object} - Transformed report
+ */
+export function applyTransformsToReport(report, rules) {
+  if (!rules || rules.length === 0) return report;
+
+  const rejectedContacts = applyTransforms(report.rejected.map(entry => entry.contact), rules);
+
+  return {
+    ...report,
+    contacts: applyTransforms(report.contacts, rules),
+    rejected: report.rejected.map((entry, index) => ({ ...entry, contact: rejectedContacts[index] }))
+  };
+}
+
+/**
+ * Load saved transform sets
+ * @returns {Array} - [{ id, name, rules, timestamp }]
+ */
+export function loadTransformSets() {
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_transformSets');
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error loading transform sets:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a transform set, replacing any set with the same name
+ * @param {string} name - Set name
+ * @param {Array} rules - Transform rules
+ * @returns {Object|null} - The saved set, or null on failure
+ */
+export function saveTransformSet(name, rules) {
+  try {
+    const set = {
+      id: `transforms-${Date.now()}`,
+      name,
+      rules,
+      timestamp: new Date().toISOString()
+    };
+
+    const sets = loadTransformSets().filter(s => s.name !== name);
+    localStorage.setItem('bulkWhatsApp_transformSets', JSON.stringify([set, ...sets]));
+    return set;
+  } catch (error) {
+    console.error('Error saving transform set:', error);
+    return null;
+  }
+}
+
+/**
+ * Delete a saved transform set
+ * @param {string} id - Set id
+ * @returns {boolean} - Success status
+ */
+export function deleteTransformSet(id) {
+  try {
+    const sets = loadTransformSets().filter(s => s.id !== id);
+    localStorage.setItem('bulkWhatsApp_transformSets', JSON.stringify(sets));
+    return true;
+  } catch (error) {
+    console.error('Error deleting transform set:', error);
+    return false;
+  }
+}
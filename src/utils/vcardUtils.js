@@ -0,0 +1,410 @@
+import { renderFieldText } from './templateUtils';
+
+/**
+ * Columns produced for each vCard, in display order
+ * Names match detectHeaders patterns so the standard fields map automatically
+ */
+const VCARD_COLUMNS = ['Name', 'First Name', 'Last Name', 'Phone', 'Other Phones', 'Email', 'Organization', 'Location', 'Country'];
+
+// TEL types that mean a mobile number, across phone vendors
+const MOBILE_TYPES = ['cell', 'mobile', 'iphone', 'text'];
+
+/**
+ * Join folded lines back into logical lines
+ * vCard 3.0/4.0 fold by starting the next line with a space or tab;
+ * vCard 2.1 quoted-printable values continue when a line ends with '='
+ * @param {string} text - vCard file text
+ * @returns {Array} - Unfolded lines
+ */
+function unfoldLines(text) {
+  const lines = [];
+
+  text.split(/\r\n|\r|\n/).forEach(line => {
+    const previous = lines[lines.length - 1];
+
+    if (previous !== undefined && /^[ \t]/.test(line)) {
+      lines[lines.length - 1] = previous + line.slice(1);
+    } else if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+      lines[lines.length - 1] = previous.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  });
+
+  return lines;
+}
+
+/**
+ * Decode a quoted-printable value (=C3=A9 style byte escapes)
+ * @param {string} value - Encoded value
+ * @param {string} charset - Charset of the decoded bytes
+ * @returns {string} - Decoded text
+ */
+function decodeQuotedPrintable(value, charset = 'utf-8') {
+  const encoder = new TextEncoder();
+  const bytes = [];
+
+  for (let i = 0; i < value.length; i++) {
+    const hex = value.slice(i + 1, i + 3);
+    if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...encoder.encode(value[i]));
+    }
+  }
+
+  try {
+    return new TextDecoder(charset).decode(new Uint8Array(bytes));
+  } catch (error) {
+    // Unknown charset label
+    return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+  }
+}
+
+/**
+ * Split a value on a separator that is not backslash-escaped
+ * @param {string} value - Raw property value
+ * @param {string} separator - ';' or ','
+ * @returns {Array} - Parts, still escaped
+ */
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+/**
+ * Remove vCard text escaping (\, \; \n \\)
+ * @param {string} value - Escaped text
+ * @returns {string} - Plain text
+ */
+function unescapeText(value) {
+  return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+/**
+ * Parse one content line, e.g. "item1.TEL;TYPE=CELL,pref:+256 772 123456"
+ * Handles 2.1 bare parameters (TEL;CELL;VOICE) as TYPE values
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - {name, types: [], params: {}, value} or null if the line has no value
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter
+  let colon = -1;
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [fullName, ...paramParts] = line.slice(0, colon).split(';');
+  const name = fullName.split('.').pop().toUpperCase();
+  const params = {};
+  const types = [];
+
+  paramParts.forEach(part => {
+    const [key, rawValue] = part.split('=');
+    const paramValue = rawValue === undefined ? null : rawValue.replace(/"/g, '');
+
+    if (paramValue === null) {
+      // vCard 2.1: TEL;CELL;PREF or ;QUOTED-PRINTABLE
+      if (/^QUOTED-PRINTABLE$/i.test(key)) {
+        params.ENCODING = 'QUOTED-PRINTABLE';
+      } else {
+        types.push(key.toLowerCase());
+      }
+    } else if (key.toUpperCase() === 'TYPE') {
+      types.push(...paramValue.toLowerCase().split(','));
+    } else {
+      params[key.toUpperCase()] = paramValue;
+    }
+  });
+
+  // vCard 4.0 marks preference with PREF=1
+  if (params.PREF) types.push('pref');
+
+  let value = line.slice(colon + 1);
+  if (params.ENCODING && params.ENCODING.toUpperCase() === 'QUOTED-PRINTABLE') {
+    value = decodeQuotedPrintable(value, params.CHARSET);
+  }
+
+  return { name, types, params, value };
+}
+
+/**
+ * Order TEL entries so the WhatsApp number comes first: preferred mobile,
+ * then any mobile, then the preferred number, then file order
+ * @param {Array} phones - [{value, types}]
+ * @returns {Array} - Sorted phones
+ */
+function rankPhones(phones) {
+  const score = ({ types }) => {
+    const isMobile = types.some(type => MOBILE_TYPES.includes(type));
+    const isPreferred = types.includes('pref');
+    return (isMobile ? 2 : 0) + (isPreferred ? 1 : 0);
+  };
+
+  return phones
+    .map((phone, index) => ({ ...phone, index }))
+    .sort((a, b) => score(b) - score(a) || a.index - b.index);
+}
+
+/**
+ * Build a contact row from the properties of one card
+ * @param {Array} properties - Parsed content lines between BEGIN and END
+ * @returns {Object} - Row keyed by VCARD_COLUMNS
+ */
+function cardToRow(properties) {
+  const first = (name) => properties.find(property => property.name === name);
+  const phones = [];
+  const emails = [];
+
+  properties.forEach(property => {
+    if (property.name === 'TEL') {
+      // vCard 4.0 may store the number as a tel: URI with extension parameters
+      const value = property.value.replace(/^tel:/i, '').split(';')[0].trim();
+      if (value) phones.push({ value, types: property.types });
+    } else if (property.name === 'EMAIL') {
+      const value = unescapeText(property.value);
+      if (value) emails.push({ value, types: property.types });
+    }
+  });
+
+  const [family = '', given = ''] = first('N')
+    ? splitUnescaped(first('N').value, ';').map(unescapeText)
+    : [];
+
+  // ADR: post office box; extended; street; locality; region; postal code; country
+  const address = first('ADR') ? splitUnescaped(first('ADR').value, ';').map(unescapeText) : [];
+  const [, , street = '', locality = '', region = '', , country = ''] = address;
+
+  const organization = first('ORG') ? splitUnescaped(first('ORG').value, ';').map(unescapeText).filter(Boolean).join(', ') : '';
+  const fullName = first('FN') ? unescapeText(first('FN').value) : '';
+
+  const [primary, ...others] = rankPhones(phones);
+  const preferredEmail = rankPhones(emails)[0];
+
+  return {
+    'Name': fullName || [given, family].filter(Boolean).join(' ') || organization,
+    'First Name': given,
+    'Last Name': family,
+    'Phone': primary ? primary.value : '',
+    'Other Phones': others.map(phone => phone.value).join(', '),
+    'Email': preferredEmail ? preferredEmail.value : '',
+    'Organization': organization,
+    'Location': locality || region || street,
+    'Country': country
+  };
+}
+
+/**
+ * Parse a vCard file holding one or many cards (vCard 2.1, 3.0 and 4.0)
+ * Each card becomes one row; when a card has several TEL entries the mobile
+ * number is used and the rest are kept in "Other Phones"
+ * @param {string} text - vCard file text
+ * @returns {Object} - {data: [], headers: [], rowNumbers: [], error?} where rowNumbers are card numbers
+ */
+export function parseVCard(text) {
+  const cards = [];
+  let current = null;
+
+  unfoldLines(text.replace(/^\uFEFF/, '')).forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VCARD') {
+      current = [];
+    } else if (property.name === 'END' && property.value.trim().toUpperCase() === 'VCARD') {
+      if (current) cards.push(current);
+      current = null;
+    } else if (current) {
+      current.push(property);
+    }
+  });
+
+  if (cards.length === 0) {
+    return { data: [], headers: [], rowNumbers: [], error: 'No contacts found. Is this a vCard (.vcf) file?' };
+  }
+
+  const data = cards.map(cardToRow);
+
+  // Hide columns no card uses, but always offer Name and Phone for mapping
+  const headers = VCARD_COLUMNS.filter(column =>
+    column === 'Name' || column === 'Phone' || data.some(row => row[column])
+  );
+
+  return {
+    data: data.map(row => Object.fromEntries(headers.map(header => [header, row[header]]))),
+    headers,
+    rowNumbers: data.map((row, index) => index + 1)
+  };
+}
+
+/**
+ * Default card name pattern for exported contacts
+ */
+export const DEFAULT_VCARD_NAME_PATTERN = '{first_name} {last_name} - {location}';
+
+/**
+ * Escape text for a vCard 3.0 value
+ * @param {*} value - Field value
+ * @returns {string} - Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/([,;])/g, '\\$1')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Count the UTF-8 octets of a single code point
+ * @param {string} char - One code point
+ * @returns {number} - 1 to 4
+ */
+function utf8Length(char) {
+  const code = char.codePointAt(0);
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Fold a content line at 75 UTF-8 octets, continuing with a leading space
+ * Splits between code points so accented letters and emoji in names are not broken apart
+ * @param {string} line - Content line
+ * @returns {string} - Folded line
+ */
+function foldLine(line) {
+  const parts = [''];
+  let size = 0;
+
+  Array.from(line).forEach(char => {
+    const length = utf8Length(char);
+    if (size + length > 75) {
+      // The leading space of a continuation line counts towards its 75 octets
+      parts.push(' ');
+      size = 1;
+    }
+    parts[parts.length - 1] += char;
+    size += length;
+  });
+
+  return parts.join('\r\n');
+}
+
+/**
+ * Build a card name from a pattern such as "{first_name} {last_name} - {location}"
+ * Separators left dangling by empty fields are removed ("John -" becomes "John")
+ * @param {string} pattern - Name pattern with {field} placeholders, filters and blocks as in message templates
+ * @param {Object} contact - Contact object
+ * @returns {string} - Card name, or the phone number if the pattern renders empty
+ */
+export function formatCardName(pattern, contact) {
+  const rendered = renderFieldText(pattern || DEFAULT_VCARD_NAME_PATTERN, contact)
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s–|,:/-]+|[\s–|,:/-]+$/g, '')
+    .replace(/([–|,:/-])(\s*[–|,:/-])+/g, '$1')
+    .trim();
+
+  return rendered || contact.phone;
+}
+
+/**
+ * Build vCard 3.0 text for a list of contacts
+ * The pattern name is used for both FN and N so phones display it as-is
+ * @param {Array} contacts - Contacts with a normalized phone
+ * @param {string} namePattern - Card name pattern
+ * @returns {string} - vCard file text
+ */
+export function buildVCard(contacts, namePattern = DEFAULT_VCARD_NAME_PATTERN) {
+  return contacts.map(contact => {
+    const name = escapeText(formatCardName(namePattern, contact));
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${name}`,
+      `N:;${name};;;`,
+      `TEL;TYPE=CELL:${contact.phone}`
+    ];
+
+    if (contact.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeText(contact.email)}`);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n');
+  }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split contacts into vCard files of at most chunkSize cards
+ * @param {Array} contacts - Contacts to export
+ * @param {Object} options - { namePattern, chunkSize (0 for one file), filename (without extension) }
+ * @returns {Array} - [{filename, content, count}]
+ */
+export function buildVCardFiles(contacts, { namePattern, chunkSize = 0, filename = 'contacts' } = {}) {
+  const size = chunkSize > 0 ? chunkSize : contacts.length;
+  const chunks = [];
+
+  for (let i = 0; i < contacts.length; i += size) {
+    chunks.push(contacts.slice(i, i + size));
+  }
+
+  return chunks.map((chunk, index) => ({
+    filename: chunks.length > 1
+      ? `${filename}-part-${index + 1}-of-${chunks.length}.vcf`
+      : `${filename}.vcf`,
+    content: buildVCard(chunk, namePattern),
+    count: chunk.length
+  }));
+}
+
+/**
+ * Load the last used vCard export options
+ * @returns {Object} - { namePattern, chunkSize, split }
+ */
+export function loadVCardExportSettings() {
+  const defaults = { namePattern: DEFAULT_VCARD_NAME_PATTERN, chunkSize: 256, split: true };
+
+  try {
+    const stored = localStorage.getItem('bulkWhatsApp_vcardExport');
+    return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
+  } catch (error) {
+    console.error('Error loading vCard export settings:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Remember vCard export options for next time
+ * @param {Object} settings - { namePattern, chunkSize, split }
+ * @returns {boolean} - Success status
+ */
+export function saveVCardExportSettings(settings) {
+  try {
+    localStorage.setItem('bulkWhatsApp_vcardExport', JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Error saving vCard export settings:', error);
+    return false;
+  }
+}
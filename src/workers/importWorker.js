@@ -0,0 +1,160 @@
+/**
+ * Contact import worker
+ * Runs file parsing, header detection, phone normalization and deduplication
+ * off the main thread so large files don't freeze the wizard.
+ *
+ * Requests: { id, type, payload }
+ * Responses: { id, type: 'progress', progress: { stage, processed, total } }
+ *            { id, type: 'result', result }
+ *            { id, type: 'error', error }
+ *
+ * Requests run one at a time in the order they arrive.
+ *
+ * The last workbook and parsed rows are kept here, so follow-up requests
+ * (picking another sheet, merging with a mapping) don't copy the file back in.
+ */
+
+import {
+  parseCSV,
+  readTextFile,
+  readWorkbook,
+  listSheets,
+  getSheetRows,
+  detectHeaderRow,
+  parseExcelSheets,
+  detectHeaders
+} from '../utils/fileParser';
+import { parseVCard } from '../utils/vcardUtils';
+import { mergeContactDataWithReport, deduplicateImportReport } from '../utils/contactUtils';
+import { applyTransformsToReport } from '../utils/transformUtils';
+
+let workbook = null;
+let parsed = null;
+let queue = Promise.resolve();
+
+/**
+ * Count lines to estimate the number of CSV rows before parsing
+ * @param {string} text - CSV text
+ * @returns {number} - Approximate data row count
+ */
+function estimateRowCount(text) {
+  let count = 0;
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+  return Math.max(count, 1);
+}
+
+/**
+ * Parse the selected sheets of the loaded workbook
+ * @param {Object} selection - { sheets: [], headerRow, stack }
+ * @returns {Object} - { selection, previewRows, parsed }
+ */
+function selectSheets(selection) {
+  const primaryRows = getSheetRows(workbook, selection.sheets[0]);
+  parsed = parseExcelSheets(workbook, selection.sheets, selection.headerRow);
+
+  return {
+    selection,
+    previewRows: primaryRows.slice(0, 20),
+    parsed
+  };
+}
+
+const handlers = {
+  async 'parse-csv'({ file, dialect }, progress) {
+    progress({ stage: 'reading', processed: 0, total: file.size });
+    const { text, encoding } = await readTextFile(file, dialect.encoding);
+
+    const total = estimateRowCount(text);
+    parsed = {
+      ...parseCSV(text, dialect.delimiter, (rows) => progress({ stage: 'parsing', processed: rows, total })),
+      encoding
+    };
+    workbook = null;
+
+    return { parsed, mapping: detectHeaders(parsed.headers) };
+  },
+
+  async 'parse-vcard'({ file }, progress) {
+    progress({ stage: 'reading', processed: 0, total: file.size });
+    const { text } = await readTextFile(file);
+
+    parsed = parseVCard(text);
+    workbook = null;
+
+    return { parsed, mapping: detectHeaders(parsed.headers) };
+  },
+
+  async 'open-workbook'({ file }, progress) {
+    progress({ stage: 'reading', processed: 0, total: file.size });
+    workbook = await readWorkbook(file);
+
+    const sheets = listSheets(workbook);
+
+    // Cover sheets come first in many workbooks, so start on the sheet with the most rows
+    const largest = sheets.reduce((best, sheet) => (sheet.rowCount > best.rowCount ? sheet : best), sheets[0]);
+    const selection = {
+      sheets: [largest.name],
+      headerRow: detectHeaderRow(getSheetRows(workbook, largest.name)),
+      stack: false
+    };
+
+    progress({ stage: 'parsing', processed: largest.rowCount, total: largest.rowCount });
+    const result = selectSheets(selection);
+
+    return { ...result, sheets, mapping: detectHeaders(result.parsed.headers) };
+  },
+
+  async 'select-sheets'({ selection, redetectHeaderRow }) {
+    if (!workbook) throw new Error('The workbook is no longer loaded. Please upload the file again.');
+
+    const next = redetectHeaderRow
+      ? { ...selection, headerRow: detectHeaderRow(getSheetRows(workbook, selection.sheets[0])) }
+      : selection;
+
+    const result = selectSheets(next);
+    return { ...result, mapping: detectHeaders(result.parsed.headers) };
+  },
+
+  async merge({ headerMapping, defaultCountryCode, options, transforms, dedupe }, progress) {
+    if (!parsed) throw new Error('No file is loaded. Please upload the file again.');
+
+    const total = parsed.data.length;
+    progress({ stage: 'normalizing', processed: 0, total });
+
+    const report = mergeContactDataWithReport(
+      [],
+      parsed.data,
+      headerMapping,
+      defaultCountryCode,
+      parsed.rowNumbers || null,
+      (processed) => progress({ stage: 'normalizing', processed, total }),
+      options
+    );
+
+    return deduplicateImportReport(applyTransformsToReport(report, transforms), dedupe);
+  }
+};
+
+/**
+ * Run one request and post its result or error
+ * @param {Object} request - { id, type, payload }
+ */
+async function runTask({ id, type, payload }) {
+  const progress = (value) => self.postMessage({ id, type: 'progress', progress: value });
+
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown import task: ${type}`);
+
+    const result = await handler(payload, progress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    console.error('Import worker error:', error);
+    self.postMessage({ id, type: 'error', error: error.message || error.error || 'Unknown error' });
+  }
+}
+
+// Reading a file is async, so chain requests to keep a follow-up from running on the previous file
+self.onmessage = (e) => {
+  queue = queue.then(() => runTask(e.data));
+};